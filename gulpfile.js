@@ -1,9 +1,15 @@
 const fs = require('fs');
+const { spawn } = require('child_process')
+const path = require('path')
 const pkg = require('./package.json')
 const glob = require('glob')
 const yargs = require('yargs')
 const through = require('through2');
 const qunit = require('node-qunit-puppeteer')
+const { OfflineBuild } = require('./tasks/offline.js')
+const { exportDeck } = require('./tasks/export.js')
+const { DeckLinter, formatProblems } = require('./tasks/lint-deck.js')
+const { SyncRelay } = require('./tasks/relay.js')
 
 const {rollup} = require('rollup')
 const terser = require('@rollup/plugin-terser')
@@ -23,6 +29,7 @@ const autoprefixer = require('gulp-autoprefixer')
 const root = yargs.argv.root || '.'
 const port = yargs.argv.port || 8000
 const host = yargs.argv.host || 'localhost'
+const syncPort = yargs.argv.syncPort || port + 1
 
 const cssLicense = `
 reveal.js ${pkg.version}
@@ -133,6 +140,7 @@ gulp.task('plugins', () => {
         { name: 'RevealNotes', input: './plugin/notes/plugin.js', output: './plugin/notes/notes' },
         { name: 'RevealZoom', input: './plugin/zoom/plugin.js', output: './plugin/zoom/zoom' },
         { name: 'RevealMath', input: './plugin/math/plugin.js', output: './plugin/math/math' },
+        { name: 'RevealMenu', input: './plugin/menu/plugin.js', output: './plugin/menu/menu' },
     ].map( plugin => {
         return rollup({
                 cache: cache[plugin.input],
@@ -265,11 +273,48 @@ gulp.task('qunit', () => {
     } );
 } )
 
-gulp.task('eslint', () => gulp.src(['./js/**', 'gulpfile.js'])
+// Runs the tests of the Node tasks in test/node with the QUnit CLI
+gulp.task('qunit-node', () => new Promise( ( resolve, reject ) => {
+
+    const cli = spawn( process.execPath, [ require.resolve( 'qunit/bin/qunit.js' ), 'test/node/' ], { stdio: 'inherit' } )
+
+    cli.on( 'error', reject )
+    cli.on( 'close', code => code === 0 ? resolve() : reject( new Error( 'Node tests failed'.red ) ) )
+
+} ))
+
+gulp.task('eslint', () => gulp.src(['./js/**', './tasks/**', 'gulpfile.js'])
         .pipe(eslint())
         .pipe(eslint.format()))
 
-gulp.task('test', gulp.series( 'eslint', 'qunit' ))
+// Lints the slide partials listed in the deck manifest and prints
+// one "file:line:column: severity: message (rule)" line per problem.
+// Fails if there are errors.
+//
+// gulp lint-deck --deck deck.json --format json --out out/lint.json
+gulp.task('lint-deck', async () => {
+
+    const argv = yargs.argv
+    const problems = new DeckLinter({ root, manifest: argv.deck || 'deck.json' }).lint()
+    const output = formatProblems( problems, argv.format )
+
+    if( argv.out ) {
+        fs.mkdirSync( path.dirname( argv.out ), { recursive: true } )
+        fs.writeFileSync( argv.out, output )
+    }
+    else if( output ) {
+        console.log( output )
+    }
+
+    const errors = problems.filter( problem => problem.severity === 'error' ).length
+
+    if( errors ) {
+        throw new Error( `${errors} error(s) and ${problems.length - errors} warning(s) in slide partials` )
+    }
+
+})
+
+gulp.task('test', gulp.series( 'eslint', 'qunit-node', 'qunit' ))
 
 gulp.task('default', gulp.series(gulp.parallel('js', 'css', 'plugins'), 'test'))
 
@@ -278,7 +323,10 @@ gulp.task('build', gulp.parallel('js', 'css', 'plugins'))
 gulp.task('package', gulp.series(async () => {
 
     let dirs = [
-        './index.html',
+        './*.html',
+        './deck.json',
+        './js/**',
+        './css/**',
         './dist/**',
         './plugin/**',
         './*/*.md'
@@ -287,12 +335,96 @@ gulp.task('package', gulp.series(async () => {
     if (fs.existsSync('./lib')) dirs.push('./lib/**');
     if (fs.existsSync('./images')) dirs.push('./images/**');
     if (fs.existsSync('./slides')) dirs.push('./slides/**');
+    if (fs.existsSync('./clients')) dirs.push('./clients/**');
 
     return gulp.src( dirs, { base: './', encoding: false } )
     .pipe(zip('reveal-js-presentation.zip')).pipe(gulp.dest('./'))
 
 }))
 
+// Creates a single, self-contained HTML file of the deck that
+// works offline and from file://
+//
+// gulp offline --deck deck.json --out out/fusefy-deck.html
+//
+// Use --client to personalize the deck for another client profile,
+// either a name in clients/ or a path, and --lang to build it in
+// another language
+gulp.task('offline', gulp.series(gulp.parallel('js', 'css'), async () => {
+
+    const build = new OfflineBuild({
+        root,
+        input: yargs.argv.input || 'index.html',
+        manifest: yargs.argv.deck || 'deck.json',
+        client: yargs.argv.client,
+        lang: yargs.argv.lang
+    })
+
+    const result = build.write( yargs.argv.out || './out/deck.html' )
+
+    result.missing.forEach( file => console.warn( `Missing asset left as is: ${file}`.yellow ) )
+    console.log( `${'✔'} Wrote ${result.output} (${Math.round( result.size / 1024 )} KB)`.green )
+
+}))
+
+// Exports the deck to PDF with headless Chrome, optionally with
+// one PNG per PDF page
+//
+// gulp export --out out/deck.pdf --png out/png
+//             --separate-fragments false --max-pages 1 --notes separate-page
+//
+// Use --url to export a deck that is served elsewhere, --client to
+// export it for another client profile and --lang in another language
+gulp.task('export', gulp.series(gulp.parallel('js', 'css'), async () => {
+
+    const argv = yargs.argv
+
+    let server = null
+    let url = argv.url
+
+    if( !url ) {
+        const serverConfig = {
+            root,
+            port: 8010,
+            host: 'localhost',
+            name: 'export-server'
+        }
+
+        server = connect.server( serverConfig )
+        url = `http://${serverConfig.host}:${serverConfig.port}/${argv.input || 'index.html'}`
+    }
+
+    if( argv.client || argv.lang ) {
+        const deckURL = new URL( url )
+        if( argv.client ) deckURL.searchParams.set( 'client', argv.client )
+        if( argv.lang ) deckURL.searchParams.set( 'lang', argv.lang )
+        url = deckURL.href
+    }
+
+    const config = {}
+    if( argv.separateFragments !== undefined ) config.pdfSeparateFragments = argv.separateFragments
+    if( argv.maxPages !== undefined ) config.pdfMaxPagesPerSlide = argv.maxPages
+    if( argv.notes !== undefined ) config.showNotes = argv.notes
+
+    try {
+        const result = await exportDeck({
+            url,
+            output: argv.out || './out/deck.pdf',
+            png: argv.png === true ? './out/png' : argv.png,
+            config,
+            width: argv.width,
+            height: argv.height
+        })
+
+        console.log( `${'✔'} Wrote ${result.pdf}`.green )
+        if( result.png.length ) console.log( `${'✔'} Wrote ${result.png.length} PNG files`.green )
+    }
+    finally {
+        if( server ) server.close()
+    }
+
+}))
+
 gulp.task('reload', () => gulp.src(['index.html'])
     .pipe(connect.reload()));
 
@@ -305,6 +437,12 @@ gulp.task('serve', () => {
         livereload: true
     })
 
+    // Relay for follow-the-presenter sync, the phone remote and polls,
+    // presenters need --sync-key to join if it's set. Use --host
+    // 0.0.0.0 to pair phones on the same network
+    new SyncRelay({ port: syncPort, host, presenterKey: yargs.argv.syncKey })
+    console.log( `Sync relay running at ws://${host}:${syncPort}`.green )
+
     const slidesRoot = root.endsWith('/') ? root : root + '/'
     gulp.watch([
         slidesRoot + '**/*.html',
@@ -0,0 +1,387 @@
+/**
+ * Presentation analytics recorder
+ * Records a timestamped timeline of each viewing session: slides and
+ * fragments with the time spent on them, demo cards and images that
+ * were opened and the view (presenter or scroll) the deck was seen in.
+ *
+ * Sessions stay in the page until they're exported, or they can be
+ * sent to an endpoint when the viewer leaves:
+ *
+ *   Reveal.initialize({
+ *     plugins: [ RevealFusefy ],
+ *     fusefy: {
+ *       analytics: { endpoint: 'https://example.com/collect' }
+ *     }
+ *   });
+ *
+ *   Fusefy.analytics.download('csv');
+ *
+ * Options:
+ * - endpoint:   URL the session is posted to with navigator.sendBeacon
+ * - sendOnHide: Send whenever the page is hidden or closed (default true)
+ *
+ * Set `analytics: false` to turn recording off. Nothing is recorded in
+ * print view or in the speaker notes window.
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const DEFAULT_OPTIONS = {
+    endpoint: null,
+    sendOnHide: true
+  };
+
+  const CSV_COLUMNS = ['time', 't', 'type', 'indexh', 'indexv', 'indexf', 'indexp', 'slide', 'detail', 'duration'];
+
+  let deck = null;
+  let options = DEFAULT_OPTIONS;
+  let session = null;
+
+  // The position (slide + fragment) time is currently counted for
+  let position = null;
+  let positionStart = 0;
+
+  let view = null;
+
+  function now() {
+    return Date.now();
+  }
+
+  function createSessionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  function getView() {
+    return deck.isScrollView() ? 'scroll' : 'presenter';
+  }
+
+  /**
+   * Identifies a slide by its id, title or h.v position
+   */
+  function describeSlide(slide, state) {
+    if (slide) {
+      const title = slide.getAttribute('data-menu-title') || slide.getAttribute('data-title');
+      if (slide.id) return slide.id;
+      if (title) return title;
+    }
+    return `${state.indexh}.${state.indexv}`;
+  }
+
+  /**
+   * Returns the current deck position based on getState()
+   */
+  function getPosition() {
+    const state = deck.getState();
+    const slide = deck.getCurrentSlide();
+
+    return {
+      indexh: state.indexh,
+      indexv: state.indexv,
+      indexf: typeof state.indexf === 'number' ? state.indexf : -1,
+      indexp: state.indexp || 0,
+      slide: describeSlide(slide, state)
+    };
+  }
+
+  /**
+   * Adds an entry to the timeline, stamped with the current position
+   */
+  function record(type, detail) {
+    if (!session) return null;
+
+    const time = now();
+    const entry = Object.assign(
+      {
+        time: new Date(time).toISOString(),
+        t: time - session.start,
+        type
+      },
+      position || getPosition()
+    );
+
+    if (detail !== undefined) entry.detail = detail;
+
+    session.timeline.push(entry);
+    return entry;
+  }
+
+  /**
+   * Returns the summary entry of the slide at a position
+   */
+  function getSlideSummary(pos) {
+    const slides = session.summary.slides;
+
+    if (!slides[pos.slide]) {
+      const slide = deck.getSlide(pos.indexh, pos.indexv);
+      const fragments = slide ? slide.querySelectorAll('.fragment:not(.disabled)') : [];
+
+      slides[pos.slide] = {
+        indexh: pos.indexh,
+        indexv: pos.indexv,
+        visits: 0,
+        time: 0,
+        // Time per fragment index, -1 is the time before the first fragment
+        fragmentTime: {},
+        maxFragment: -1,
+        totalFragments: new Set([...fragments].map((fragment) => fragment.getAttribute('data-fragment-index'))).size
+      };
+    }
+
+    return slides[pos.slide];
+  }
+
+  /**
+   * Adds the time since the last position change to the totals of the
+   * previous position
+   */
+  function closePosition() {
+    if (!position || !positionStart) return;
+
+    const duration = now() - positionStart;
+    const slide = getSlideSummary(position);
+
+    slide.time += duration;
+    slide.fragmentTime[position.indexf] = (slide.fragmentTime[position.indexf] || 0) + duration;
+    slide.maxFragment = Math.max(slide.maxFragment, position.indexf);
+
+    positionStart = 0;
+  }
+
+  /**
+   * Starts counting time for the current position
+   */
+  function openPosition() {
+    position = getPosition();
+    positionStart = document.hidden ? 0 : now();
+  }
+
+  function onSlideChanged() {
+    closePosition();
+    openPosition();
+
+    getSlideSummary(position).visits++;
+
+    record('slide');
+  }
+
+  function onFragmentShown(event) {
+    closePosition();
+    openPosition();
+    record('fragmentshown', event.fragment && event.fragment.textContent.trim().slice(0, 80));
+  }
+
+  function onFragmentHidden() {
+    closePosition();
+    openPosition();
+    record('fragmenthidden');
+  }
+
+  function onSubPageChanged() {
+    closePosition();
+    openPosition();
+    record('subpage');
+  }
+
+  function onEmbedOpened(event) {
+    const detail = event.detail || {};
+    session.summary.embeds.push(detail.src);
+    record('embedopened', `${detail.provider}: ${detail.src}${detail.offline ? ' (offline)' : ''}`);
+  }
+
+  function onEmbedClosed(event) {
+    record('embedclosed', (event.detail || {}).src);
+  }
+
+  function onImageZoomed(event) {
+    session.summary.images.push(event.src);
+    record('imagezoomed', event.src);
+  }
+
+  /**
+   * Scroll view can be activated by resizing the window
+   */
+  function onResize() {
+    const current = getView();
+    if (current === view) return;
+
+    view = current;
+    if (session.summary.views.indexOf(view) === -1) session.summary.views.push(view);
+    record('view', view);
+  }
+
+  function onVisibilityChange() {
+    if (document.hidden) {
+      closePosition();
+      record('hidden');
+      if (options.sendOnHide) send();
+    } else {
+      record('visible');
+      positionStart = now();
+    }
+  }
+
+  function onPageHide() {
+    if (options.sendOnHide) send();
+  }
+
+  function start() {
+    view = getView();
+    session.summary.views.push(view);
+    record('start', view);
+
+    onSlideChanged();
+  }
+
+  /**
+   * Returns the session with the time spent on the current position
+   * included
+   */
+  function getSession() {
+    if (!session) return null;
+
+    closePosition();
+    if (position && !document.hidden) positionStart = now();
+
+    return Object.assign({}, session, { end: now(), duration: now() - session.start });
+  }
+
+  function toJSON() {
+    return JSON.stringify(getSession(), null, 2);
+  }
+
+  function escapeCSV(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Returns the timeline as CSV. Each row lists the time spent until
+   * the next entry.
+   */
+  function toCSV() {
+    const current = getSession();
+    if (!current) return '';
+
+    const rows = current.timeline.map((entry, index) => {
+      const next = current.timeline[index + 1];
+      const duration = (next ? next.t : current.duration) - entry.t;
+      return CSV_COLUMNS.map((column) => escapeCSV(column === 'duration' ? duration : entry[column])).join(',');
+    });
+
+    return [CSV_COLUMNS.join(',')].concat(rows).join('\n');
+  }
+
+  /**
+   * Downloads the session as a .json or .csv file
+   */
+  function download(format) {
+    const csv = format === 'csv';
+    const blob = new Blob([csv ? toCSV() : toJSON()], { type: csv ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `session-${session.id}.${csv ? 'csv' : 'json'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Sends the session to the configured endpoint. Returns true if the
+   * browser queued the request.
+   */
+  function send(endpoint) {
+    const url = endpoint || options.endpoint;
+    if (!url || !session || !navigator.sendBeacon) return false;
+
+    const blob = new Blob([JSON.stringify(getSession())], { type: 'application/json' });
+    return navigator.sendBeacon(url, blob);
+  }
+
+  /**
+   * Starts recording a session for a Reveal instance
+   */
+  function init(reveal, config) {
+    if (deck) destroy();
+    if (config === false) return;
+
+    if (reveal.isPrintView() || reveal.isSpeakerNotes()) return;
+
+    deck = reveal;
+    options = Object.assign({}, DEFAULT_OPTIONS, config);
+
+    session = {
+      id: createSessionId(),
+      start: now(),
+      url: window.location.href,
+      referrer: document.referrer,
+      userAgent: navigator.userAgent,
+      timeline: [],
+      summary: {
+        slides: {},
+        embeds: [],
+        images: [],
+        views: []
+      }
+    };
+
+    deck.on('slidechanged', onSlideChanged);
+    deck.on('fragmentshown', onFragmentShown);
+    deck.on('fragmenthidden', onFragmentHidden);
+    deck.on('subpagechanged', onSubPageChanged);
+    deck.on('embedopened', onEmbedOpened);
+    deck.on('embedclosed', onEmbedClosed);
+    deck.on('imagezoomed', onImageZoomed);
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('pagehide', onPageHide);
+    window.addEventListener('resize', onResize);
+
+    if (deck.isReady()) {
+      start();
+    } else {
+      deck.on('ready', start);
+    }
+  }
+
+  function destroy() {
+    if (!deck) return;
+
+    deck.off('slidechanged', onSlideChanged);
+    deck.off('fragmentshown', onFragmentShown);
+    deck.off('fragmenthidden', onFragmentHidden);
+    deck.off('subpagechanged', onSubPageChanged);
+    deck.off('embedopened', onEmbedOpened);
+    deck.off('embedclosed', onEmbedClosed);
+    deck.off('imagezoomed', onImageZoomed);
+    deck.off('ready', start);
+
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    window.removeEventListener('pagehide', onPageHide);
+    window.removeEventListener('resize', onResize);
+
+    deck = null;
+    session = null;
+    position = null;
+    positionStart = 0;
+  }
+
+  window.Fusefy.analytics = {
+    init,
+    destroy,
+    record,
+    getSession,
+    toJSON,
+    toCSV,
+    download,
+    send
+  };
+})();
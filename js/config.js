@@ -15,6 +15,23 @@ export default {
 	minScale: 0.2,
 	maxScale: 2.0,
 
+	// Responsive scaling policy, applied during each layout. Picks a rule
+	// from a table of viewport width breakpoints and merges the rule for
+	// the current view on top ("presenter", "scroll" or "print"). Rules
+	// may set `minScale`, `maxScale` and `fontScale` (a multiplier for the
+	// font size of slide content). Slides can override these with
+	// data-min-scale, data-max-scale and data-font-scale.
+	//
+	// scaling: {
+	//   breakpoints: [
+	//     { minWidth: 0, fontScale: 0.8 },
+	//     { minWidth: 1440, fontScale: 0.9 }
+	//   ],
+	//   scroll: { fontScale: 1 },
+	//   print: { fontScale: 0.9 }
+	// }
+	scaling: null,
+
 	// Display presentation control arrows.
 	// - true: Display controls on all screens
 	// - false: Hide controls on all screens
@@ -32,6 +49,10 @@ export default {
 	// or "visible"
 	controlsBackArrows: 'faded',
 
+	// Shows a button in the controls that returns to the previously
+	// visited slide, see the navigationHistory option
+	controlsReturnButton: false,
+
 	// Display a presentation progress bar
 	progress: true,
 
@@ -102,6 +123,17 @@ export default {
 	// Change the presentation direction to be RTL
 	rtl: false,
 
+	// The language of the built-in UI strings, such as the
+	// help overlay and control labels. Defaults to the lang
+	// attribute of the page. Right-to-left languages turn on
+	// the rtl option.
+	lang: null,
+
+	// Additional UI string translations, by language and
+	// English string:
+	// { de: { 'Next slide': 'Nächste Folie' } }
+	strings: {},
+
 	// Changes the behavior of our navigation directions.
 	//
 	// "default"
@@ -149,12 +181,26 @@ export default {
 	// Flags if it should be possible to pause the presentation (blackout)
 	pause: true,
 
+	// Keeps a history of visited slides and fragments, separate
+	// from the browser history, for Reveal.back() and
+	// Reveal.forward() or the [ and ] keys
+	navigationHistory: true,
+
 	// Flags if speaker notes should be visible to all viewers
 	showNotes: false,
 
 	// Flags if slides with data-visibility="hidden" should be kep visible
 	showHiddenSlides: false,
 
+	// Only present slides and fragments meant for this audience, as
+	// declared with data-audience="exec,technical". Elements without
+	// data-audience are shown to everyone. Can be set with ?audience=
+	// - null:   Show everything
+	// - "exec": Show content for this audience
+	// - "exec,technical" or [ "exec", "technical" ]: Show content for
+	//   any of these audiences
+	audience: null,
+
 	// Global override for autoplaying embedded media (video/audio/iframe)
 	// - null:   Media will only autoplay if data-autoplay is present
 	// - true:   All media will autoplay, regardless of individual setting
@@ -243,6 +289,14 @@ export default {
 	// Transition style for full page slide backgrounds
 	backgroundTransition: 'fade', // none/fade/slide/convex/concave/zoom
 
+	// Reduces motion by fading between slides, cross-fading
+	// auto-animated slides and keeping the parallax background
+	// in place. Can be toggled with the Q key or ?reducedMotion=
+	// - null:  Follow the prefers-reduced-motion media query
+	// - true:  Always reduce motion
+	// - false: Never reduce motion
+	reducedMotion: null,
+
 	// Parallax background image
 	parallaxBackgroundImage: '', // CSS syntax, e.g. "a.jpg"
 
@@ -0,0 +1,245 @@
+import { queryAll } from '../utils/util.js'
+import { HORIZONTAL_SLIDES_SELECTOR } from '../utils/constants.js'
+
+/**
+ * Filters the presentation by audience. Slides, fragments and
+ * any other elements can declare who they are meant for:
+ *
+ * <section data-audience="exec,technical">
+ *
+ * Elements that don't match the current audience are taken
+ * out of the DOM, so that slide numbers, progress, overview
+ * and print/PDF only account for what's actually presented.
+ * Filtered elements are put back in place when the audience
+ * changes.
+ */
+export default class Audience {
+
+	constructor( Reveal ) {
+
+		this.Reveal = Reveal;
+
+		// Elements that are filtered out, each with the id of the
+		// comment that marks its place in the DOM. The comments are
+		// looked up by their text since the scroll view recreates
+		// the slides from HTML.
+		this.detached = [];
+		this.markerId = 0;
+
+		this.initialized = false;
+
+	}
+
+	/**
+	 * Called when the reveal.js config is updated.
+	 */
+	configure( config, oldConfig ) {
+
+		const audience = this.parse( config.audience );
+
+		// The first configure() happens once reveal.js is ready
+		if( !this.initialized || audience.join() !== this.parse( oldConfig.audience ).join() ) {
+			this.filter( audience );
+		}
+
+		this.initialized = true;
+
+	}
+
+	/**
+	 * Turns the audience config value into a list of audience
+	 * names. "all" or an empty value means no filtering.
+	 *
+	 * @param {string|string[]} value
+	 * @return {string[]}
+	 */
+	parse( value ) {
+
+		if( !value || value === 'all' ) return [];
+
+		return ( Array.isArray( value ) ? value : String( value ).split( /[\s,]+/ ) )
+			.map( name => String( name ).trim().toLowerCase() )
+			.filter( name => name && name !== 'all' );
+
+	}
+
+	/**
+	 * Returns the audiences that the current filter shows, an
+	 * empty list means everything is shown.
+	 *
+	 * @return {string[]}
+	 */
+	get() {
+
+		return this.parse( this.Reveal.getConfig().audience );
+
+	}
+
+	/**
+	 * Returns all audiences that are declared in the deck,
+	 * including those of filtered elements, sorted by name.
+	 *
+	 * @return {string[]}
+	 */
+	getAudiences() {
+
+		const elements = queryAll( this.Reveal.getRevealElement(), '[data-audience]' )
+			.concat( this.detached.map( ({ element }) => element ) )
+			.reduce( ( all, element ) => all.concat( element, queryAll( element, '[data-audience]' ) ), [] );
+
+		const audiences = [];
+
+		elements.forEach( element => {
+			this.parse( element.getAttribute( 'data-audience' ) ).forEach( name => {
+				if( audiences.indexOf( name ) === -1 ) audiences.push( name );
+			} );
+		} );
+
+		return audiences.sort();
+
+	}
+
+	/**
+	 * Checks if an element is meant for the given audience.
+	 *
+	 * @param {HTMLElement} element
+	 * @param {string[]} audience
+	 * @return {boolean}
+	 */
+	matches( element, audience ) {
+
+		if( !audience.length || !element.hasAttribute( 'data-audience' ) ) return true;
+
+		return this.parse( element.getAttribute( 'data-audience' ) ).some( name => audience.indexOf( name ) !== -1 );
+
+	}
+
+	/**
+	 * Shows the content meant for the given audience and takes
+	 * everything else out of the DOM.
+	 *
+	 * @param {string[]} audience
+	 */
+	filter( audience ) {
+
+		const wasReady = this.initialized;
+
+		// The scroll view is rebuilt around the filtered slides
+		const scrollView = wasReady && this.Reveal.isScrollView();
+		if( scrollView ) this.Reveal.scroll.deactivate();
+
+		const currentSlide = this.Reveal.getCurrentSlide();
+		const indices = this.Reveal.getIndices();
+
+		// Every slide in its original order, used to find the slide
+		// to stay on when the current one is filtered out
+		this.restore();
+		const allSlides = this.Reveal.getSlides();
+
+		const stacks = queryAll( this.Reveal.getRevealElement(), HORIZONTAL_SLIDES_SELECTOR )
+			.filter( section => section.querySelector( 'section' ) );
+
+		queryAll( this.Reveal.getSlidesElement(), '[data-audience]' ).forEach( element => {
+			if( !this.matches( element, audience ) && element.isConnected ) {
+				this.detach( element );
+			}
+		} );
+
+		// Vertical stacks that no longer have any slides in them
+		stacks.forEach( stack => {
+			if( stack.isConnected && !stack.querySelector( 'section' ) ) {
+				this.detach( stack );
+			}
+		} );
+
+		if( wasReady ) {
+			this.Reveal.navigationStack.sync();
+		}
+
+		if( wasReady && currentSlide ) {
+			// Stay on the current slide if it's still there, otherwise
+			// go to the closest slide before it
+			const index = allSlides.indexOf( currentSlide );
+			const target = allSlides.slice( 0, index + 1 ).reverse().find( slide => slide.isConnected ) ||
+							allSlides.find( slide => slide.isConnected );
+
+			if( target ) {
+				const targetIndices = this.Reveal.getIndices( target );
+				// The current slide may be gone, so this can't be
+				// left to the navigation guards
+				this.Reveal.navigationGuards.pass( () => {
+					this.Reveal.slide( targetIndices.h, targetIndices.v, target === currentSlide ? indices.f : undefined );
+				} );
+			}
+
+			if( scrollView ) this.Reveal.scroll.activate();
+
+			this.Reveal.dispatchEvent({
+				type: 'audiencechanged',
+				data: { audience }
+			});
+		}
+
+	}
+
+	/**
+	 * Replaces an element with a placeholder comment.
+	 */
+	detach( element ) {
+
+		const marker = 'audience-' + ( ++this.markerId );
+		element.parentNode.replaceChild( document.createComment( marker ), element );
+		this.detached.push({ element, marker });
+
+	}
+
+	/**
+	 * Puts all filtered elements back in place, in reverse
+	 * order so that nested markers are restored correctly.
+	 */
+	restore() {
+
+		this.detached.reverse().forEach( ({ element, marker }) => {
+			const comment = this.findMarker( marker );
+			if( comment ) comment.parentNode.replaceChild( element, comment );
+		} );
+
+		this.detached = [];
+
+	}
+
+	findMarker( marker ) {
+
+		const walker = document.createTreeWalker( this.Reveal.getSlidesElement(), NodeFilter.SHOW_COMMENT );
+
+		while( walker.nextNode() ) {
+			if( walker.currentNode.nodeValue === marker ) return walker.currentNode;
+		}
+
+		return null;
+
+	}
+
+	/**
+	 * Switches to the next audience declared in the deck, after
+	 * the last one everything is shown again.
+	 */
+	toggle() {
+
+		const audiences = this.getAudiences();
+		const current = this.get();
+
+		const index = current.length === 1 ? audiences.indexOf( current[0] ) : -1;
+		const next = audiences[ index + 1 ] || null;
+
+		this.Reveal.configure({ audience: next });
+
+	}
+
+	destroy() {
+
+		this.restore();
+
+	}
+
+}
@@ -1,12 +1,42 @@
-import { queryAll, extend, createStyleSheet, matches, closest } from '../utils/util.js'
+import { queryAll, extend, createStyleSheet, matches, closest, createEasing } from '../utils/util.js'
+import { interpolatePath, interpolateNumbers } from '../utils/path.js'
 import { FRAGMENT_STYLE_REGEX } from '../utils/constants.js'
 
 // Counter used to generate unique IDs for auto-animated elements
 let autoAnimateCounter = 0;
 
+// Styles that we animate for elements inside of an SVG, in place
+// of moving and scaling them
+const SVG_STYLES = [
+	'opacity',
+	'fill',
+	'fill-opacity',
+	'stroke',
+	'stroke-opacity',
+	'stroke-width',
+	'stroke-dasharray',
+	'stroke-dashoffset',
+	'transform',
+	'cx',
+	'cy',
+	'r',
+	'rx',
+	'ry',
+	'x',
+	'y'
+];
+
 /**
  * Automatically animates matching elements across
  * slides with the [data-auto-animate] attribute.
+ *
+ * Fragments with a [data-auto-animate-state] put their
+ * slide into a named state while they're visible, which
+ * is animated the same way:
+ *
+ * <p class="fragment" data-auto-animate-state="open"></p>
+ *
+ * [data-auto-animate-state~="open"] [data-id="box"] { ... }
  */
 export default class AutoAnimate {
 
@@ -14,6 +44,10 @@ export default class AutoAnimate {
 
 		this.Reveal = Reveal;
 
+		// Attributes that aren't CSS properties, like path data,
+		// are animated by us rather than by CSS transitions
+		this.attributeAnimations = [];
+
 	}
 
 	/**
@@ -46,6 +80,13 @@ export default class AutoAnimate {
 
 			let animationOptions = this.getAutoAnimateOptions( toSlide );
 
+			// Cross-fade between the slides instead of moving their
+			// elements when motion is reduced
+			if( this.Reveal.isReducedMotion() ) {
+				this.crossFade( fromSlide, toSlide, animationOptions );
+				return;
+			}
+
 			// Set our starting state
 			fromSlide.dataset.autoAnimate = 'pending';
 			toSlide.dataset.autoAnimate = 'pending';
@@ -106,6 +147,8 @@ export default class AutoAnimate {
 					getComputedStyle( this.autoAnimateStyleSheet ).fontWeight;
 
 					toSlide.dataset.autoAnimate = 'running';
+
+					this.startAttributeAnimations();
 				}
 			} );
 
@@ -122,6 +165,136 @@ export default class AutoAnimate {
 
 	}
 
+	/**
+	 * Puts a slide into the state declared by its visible
+	 * [data-auto-animate-state] fragments. The slide lists
+	 * these states in its own data-auto-animate-state.
+	 *
+	 * @param {HTMLElement} slide
+	 * @param {boolean} animate Whether to animate matching
+	 * elements towards the new state
+	 * @param {string} direction 'forward' when fragments were
+	 * shown, 'backward' when they were hidden
+	 */
+	updateState( slide, animate, direction ) {
+
+		const stateFragments = queryAll( slide, '.fragment[data-auto-animate-state]' );
+		if( !stateFragments.length ) return;
+
+		const state = stateFragments
+			.filter( fragment => fragment.classList.contains( 'visible' ) )
+			.map( fragment => fragment.getAttribute( 'data-auto-animate-state' ).trim() )
+			.filter( name => name )
+			.join( ' ' );
+
+		const previousState = slide.getAttribute( 'data-auto-animate-state' );
+		if( state === previousState ) return;
+
+		const apply = () => slide.setAttribute( 'data-auto-animate-state', state );
+
+		// The first state is applied as is, as are states in the
+		// print and scroll view or when motion is reduced
+		if( animate && previousState !== null && this.Reveal.getConfig().autoAnimate && !this.Reveal.isReducedMotion()
+				&& !this.Reveal.isPrintView() && !this.Reveal.isScrollView() ) {
+			this.runState( slide, apply, direction );
+		}
+		else {
+			apply();
+		}
+
+	}
+
+	/**
+	 * Runs an auto-animation between two states of the same
+	 * slide. We measure a copy of the slide in its current
+	 * state and animate from there, like we would from the
+	 * previous slide.
+	 *
+	 * @param {HTMLElement} slide
+	 * @param {function} apply Puts the slide into its new state
+	 * @param {string} direction 'forward' or 'backward'
+	 */
+	runState( slide, apply, direction ) {
+
+		// Clean up after prior animations
+		this.reset();
+
+		const fromSlide = slide.cloneNode( true );
+		fromSlide.setAttribute( 'aria-hidden', 'true' );
+		slide.parentNode.insertBefore( fromSlide, slide.nextSibling );
+
+		apply();
+
+		this.autoAnimateStyleSheet = this.autoAnimateStyleSheet || createStyleSheet();
+
+		let animationOptions = this.getAutoAnimateOptions( slide );
+		animationOptions.slideDirection = direction;
+
+		// Only elements with a data-id are animated, everything
+		// else stays put as the fragments step along. The slide's
+		// data-auto-animate is left alone since it decides if we
+		// auto-animate to the neighbouring slides.
+		let css = this.getAutoAnimatableElements( fromSlide, slide )
+			.filter( elements => elements.to.hasAttribute( 'data-id' ) )
+			.map( elements => {
+				return this.autoAnimateElements( elements.from, elements.to, elements.options || {}, animationOptions, autoAnimateCounter++, '[data-auto-animate-step="running"]' );
+			} );
+
+		fromSlide.remove();
+
+		slide.dataset.autoAnimateStep = 'pending';
+
+		this.autoAnimateStyleSheet.innerHTML = css.join( '' );
+
+		// Start the animation next cycle
+		requestAnimationFrame( () => {
+			if( this.autoAnimateStyleSheet ) {
+				// This forces our newly injected styles to be applied in Firefox
+				getComputedStyle( this.autoAnimateStyleSheet ).fontWeight;
+
+				slide.dataset.autoAnimateStep = 'running';
+
+				this.startAttributeAnimations();
+			}
+		} );
+
+	}
+
+	/**
+	 * Fades the from-slide out and the to-slide in at the same
+	 * time. Used in place of an auto-animation when motion is
+	 * reduced.
+	 *
+	 * @param {HTMLElement} fromSlide
+	 * @param {HTMLElement} toSlide
+	 * @param {Object} animationOptions
+	 */
+	crossFade( fromSlide, toSlide, animationOptions ) {
+
+		const animation = `${animationOptions.duration}s ${animationOptions.easing} ${animationOptions.delay}s`;
+
+		// Animations, unlike transitions, aren't turned off by
+		// .disable-slide-transitions
+		this.autoAnimateStyleSheet.innerHTML =
+			`@keyframes reveal-auto-animate-fade-out { from { opacity: 1; } }` +
+			`@keyframes reveal-auto-animate-fade-in { from { opacity: 0; } }` +
+			`.reveal .slides section[data-auto-animate="pending"] { animation: reveal-auto-animate-fade-out ${animation} backwards; }` +
+			`.reveal .slides section[data-auto-animate="running"] { animation: reveal-auto-animate-fade-in ${animation} backwards; }`;
+
+		fromSlide.dataset.autoAnimate = 'pending';
+		toSlide.dataset.autoAnimate = 'running';
+
+		this.Reveal.dispatchEvent({
+			type: 'autoanimate',
+			data: {
+				fromSlide,
+				toSlide,
+				sheet: this.autoAnimateStyleSheet
+			}
+		});
+
+	}
+
 	/**
 	 * Rolls back all changes that we've made to the DOM so
 	 * that as part of animating.
@@ -133,11 +306,24 @@ export default class AutoAnimate {
 			element.dataset.autoAnimate = '';
 		} );
 
+		// Reset slides animated between fragment states
+		queryAll( this.Reveal.getRevealElement(), '[data-auto-animate-step]' ).forEach( element => {
+			element.removeAttribute( 'data-auto-animate-step' );
+		} );
+
 		// Reset elements
 		queryAll( this.Reveal.getRevealElement(), '[data-auto-animate-target]' ).forEach( element => {
 			delete element.dataset.autoAnimateTarget;
 		} );
 
+		// Stop animating attributes and put their final values
+		// in place
+		cancelAnimationFrame( this.attributeAnimationFrame );
+		this.attributeAnimations.forEach( ({ element, name, value }) => {
+			element.setAttribute( name, value );
+		} );
+		this.attributeAnimations = [];
+
 		// Remove the animation sheet
 		if( this.autoAnimateStyleSheet && this.autoAnimateStyleSheet.parentNode ) {
 			this.autoAnimateStyleSheet.parentNode.removeChild( this.autoAnimateStyleSheet );
@@ -157,8 +343,10 @@ export default class AutoAnimate {
 	 * @param {Object} animationOptions Options set at the slide level
 	 * @param {String} id Unique ID that we can use to identify this
 	 * auto-animate element in the DOM
+	 * @param {String} [runningSelector] Matches the slide while
+	 * the animation is running
 	 */
-	autoAnimateElements( from, to, elementOptions, animationOptions, id ) {
+	autoAnimateElements( from, to, elementOptions, animationOptions, id, runningSelector = '[data-auto-animate="running"]' ) {
 
 		// 'from' elements are given a data-auto-animate-target with no value,
 		// 'to' elements are are given a data-auto-animate-target with an ID
@@ -175,6 +363,10 @@ export default class AutoAnimate {
 		if( typeof elementOptions.duration !== 'undefined' ) options.duration = elementOptions.duration;
 		if( typeof elementOptions.easing !== 'undefined' ) options.easing = elementOptions.easing;
 
+		if( elementOptions.attributes ) {
+			this.autoAnimateAttributes( from, to, elementOptions.attributes, options );
+		}
+
 		let fromProps = this.getAutoAnimatableProperties( 'from', from, elementOptions ),
 			toProps = this.getAutoAnimatableProperties( 'to', to, elementOptions );
 
@@ -274,7 +466,7 @@ export default class AutoAnimate {
 			} ).join( '' );
 
 			css = 	'[data-auto-animate-target="'+ id +'"] {'+ fromCSS +'}' +
-					'[data-auto-animate="running"] [data-auto-animate-target="'+ id +'"] {'+ toCSS +'}';
+					runningSelector + ' [data-auto-animate-target="'+ id +'"] {'+ toCSS +'}';
 
 		}
 
@@ -282,6 +474,84 @@ export default class AutoAnimate {
 
 	}
 
+	/**
+	 * Prepares animations for attributes which can't be
+	 * transitioned with CSS, such as the "d" of a path or the
+	 * "viewBox" of an SVG. The `to` element starts out with the
+	 * attribute values of the `from` element.
+	 *
+	 * @param {HTMLElement} from
+	 * @param {HTMLElement} to
+	 * @param {String[]} attributes Names of the attributes
+	 * @param {Object} options Duration, delay and easing
+	 */
+	autoAnimateAttributes( from, to, attributes, options ) {
+
+		attributes.forEach( name => {
+
+			const fromValue = from.getAttribute( name );
+			const toValue = to.getAttribute( name );
+
+			if( fromValue === null || toValue === null || fromValue === toValue ) return;
+
+			// Paths are normalized to the same number of points, other
+			// attributes are treated as lists of numbers
+			const interpolate = name === 'd' ? interpolatePath( fromValue, toValue ) : interpolateNumbers( fromValue, toValue );
+
+			if( interpolate ) {
+				to.setAttribute( name, interpolate( 0 ) );
+
+				this.attributeAnimations.push({
+					element: to,
+					name,
+					value: toValue,
+					interpolate,
+					duration: options.duration * 1000,
+					delay: options.delay * 1000,
+					easing: createEasing( options.easing )
+				});
+			}
+
+		} );
+
+	}
+
+	/**
+	 * Animates all attributes prepared by autoAnimateAttributes()
+	 * towards their final values.
+	 */
+	startAttributeAnimations() {
+
+		if( !this.attributeAnimations.length ) return;
+
+		const startTime = Date.now();
+
+		const step = () => {
+
+			const elapsed = Date.now() - startTime;
+
+			let running = false;
+
+			this.attributeAnimations.forEach( animation => {
+				const progress = animation.duration > 0 ? Math.min( Math.max( ( elapsed - animation.delay ) / animation.duration, 0 ), 1 ) : 1;
+
+				if( progress < 1 ) {
+					running = true;
+					animation.element.setAttribute( animation.name, animation.interpolate( animation.easing( progress ) ) );
+				}
+				else {
+					animation.element.setAttribute( animation.name, animation.value );
+				}
+			} );
+
+			this.attributeAnimationFrame = running ? requestAnimationFrame( step ) : null;
+
+		};
+
+		step();
+
+	}
+
 	/**
 	 * Returns the auto-animate options for the given element.
 	 *
@@ -469,9 +739,18 @@ export default class AutoAnimate {
 		} );
 
 		pairs.forEach( pair => {
+			// SVGs morph their viewBox along with the usual animation
+			if( pair.from.nodeName === 'svg' ) {
+				pair.options = { attributes: [ 'viewBox' ] };
+			}
+			// Shapes inside of an SVG can't be moved and scaled like
+			// HTML elements, so we animate their geometry and paint
+			else if( pair.from instanceof SVGElement ) {
+				pair.options = { translate: false, scale: false, styles: SVG_STYLES, attributes: [ 'd', 'points' ] };
+			}
 			// Disable scale transformations on text nodes, we transition
 			// each individual text property instead
-			if( matches( pair.from, textNodes ) ) {
+			else if( matches( pair.from, textNodes ) ) {
 				pair.options = { scale: false };
 			}
 			// Animate individual lines of code
@@ -411,7 +411,8 @@ export default class Backgrounds {
 
 		let indices = this.Reveal.getIndices();
 
-		if( this.Reveal.getConfig().parallaxBackgroundImage ) {
+		// The background stays in place when motion is reduced
+		if( this.Reveal.getConfig().parallaxBackgroundImage && !this.Reveal.isReducedMotion() ) {
 
 			let horizontalSlides = this.Reveal.getHorizontalSlides(),
 				verticalSlides = this.Reveal.getVerticalSlides();
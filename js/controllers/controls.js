@@ -12,6 +12,7 @@ import { isAndroid } from '../utils/device.js'
  * - .navigate-left
  * - .navigate-next
  * - .navigate-prev
+ * - .navigate-return
  * - .enter-fullscreen
  */
 export default class Controls {
@@ -26,22 +27,23 @@ export default class Controls {
 		this.onNavigateDownClicked = this.onNavigateDownClicked.bind( this );
 		this.onNavigatePrevClicked = this.onNavigatePrevClicked.bind( this );
 		this.onNavigateNextClicked = this.onNavigateNextClicked.bind( this );
+		this.onNavigateReturnClicked = this.onNavigateReturnClicked.bind( this );
 		this.onEnterFullscreen = this.onEnterFullscreen.bind( this );
 
 	}
 
 	render() {
 
-		const rtl = this.Reveal.getConfig().rtl;
 		const revealElement = this.Reveal.getRevealElement();
 
 		this.element = document.createElement( 'aside' );
 		this.element.className = 'controls';
 		this.element.innerHTML =
-			`<button class="navigate-left" aria-label="${ rtl ? 'next slide' : 'previous slide' }"><div class="controls-arrow"></div></button>
-			<button class="navigate-right" aria-label="${ rtl ? 'previous slide' : 'next slide' }"><div class="controls-arrow"></div></button>
-			<button class="navigate-up" aria-label="above slide"><div class="controls-arrow"></div></button>
-			<button class="navigate-down" aria-label="below slide"><div class="controls-arrow"></div></button>`;
+			`<button class="navigate-left"><div class="controls-arrow"></div></button>
+			<button class="navigate-right"><div class="controls-arrow"></div></button>
+			<button class="navigate-up"><div class="controls-arrow"></div></button>
+			<button class="navigate-down"><div class="controls-arrow"></div></button>
+			<button class="navigate-return"><div class="controls-return">&#8630;</div></button>`;
 
 		this.Reveal.getRevealElement().appendChild( this.element );
 
@@ -52,6 +54,7 @@ export default class Controls {
 		this.controlsDown = queryAll( revealElement, '.navigate-down' );
 		this.controlsPrev = queryAll( revealElement, '.navigate-prev' );
 		this.controlsNext = queryAll( revealElement, '.navigate-next' );
+		this.controlsReturn = queryAll( revealElement, '.navigate-return' );
 		this.controlsFullscreen = queryAll( revealElement, '.enter-fullscreen' );
 
 		// The left, right and down arrows in the standard reveal.js controls
@@ -74,6 +77,18 @@ export default class Controls {
 		this.element.setAttribute( 'data-controls-layout', config.controlsLayout );
 		this.element.setAttribute( 'data-controls-back-arrows', config.controlsBackArrows );
 
+		// Labels depend on the language and direction
+		const t = text => this.Reveal.t( text );
+		this.controlsLeftArrow.setAttribute( 'aria-label', t( config.rtl ? 'next slide' : 'previous slide' ) );
+		this.controlsRightArrow.setAttribute( 'aria-label', t( config.rtl ? 'previous slide' : 'next slide' ) );
+		this.element.querySelector( '.navigate-up' ).setAttribute( 'aria-label', t( 'above slide' ) );
+		this.controlsDownArrow.setAttribute( 'aria-label', t( 'below slide' ) );
+		this.element.querySelector( '.navigate-return' ).setAttribute( 'aria-label', t( 'Go back' ) );
+
+		// Only the button in our controls depends on this option,
+		// custom .navigate-return elements are always available
+		this.element.querySelector( '.navigate-return' ).hidden = !( config.controlsReturnButton && config.navigationHistory );
+
 	}
 
 	bind() {
@@ -95,6 +110,7 @@ export default class Controls {
 			this.controlsDown.forEach( el => el.addEventListener( eventName, this.onNavigateDownClicked, false ) );
 			this.controlsPrev.forEach( el => el.addEventListener( eventName, this.onNavigatePrevClicked, false ) );
 			this.controlsNext.forEach( el => el.addEventListener( eventName, this.onNavigateNextClicked, false ) );
+			this.controlsReturn.forEach( el => el.addEventListener( eventName, this.onNavigateReturnClicked, false ) );
 			this.controlsFullscreen.forEach( el => el.addEventListener( eventName, this.onEnterFullscreen, false ) );
 		} );
 
@@ -109,6 +125,7 @@ export default class Controls {
 			this.controlsDown.forEach( el => el.removeEventListener( eventName, this.onNavigateDownClicked, false ) );
 			this.controlsPrev.forEach( el => el.removeEventListener( eventName, this.onNavigatePrevClicked, false ) );
 			this.controlsNext.forEach( el => el.removeEventListener( eventName, this.onNavigateNextClicked, false ) );
+			this.controlsReturn.forEach( el => el.removeEventListener( eventName, this.onNavigateReturnClicked, false ) );
 			this.controlsFullscreen.forEach( el => el.removeEventListener( eventName, this.onEnterFullscreen, false ) );
 		} );
 
@@ -122,7 +139,7 @@ export default class Controls {
 		let routes = this.Reveal.availableRoutes();
 
 		// Remove the 'enabled' class from all directions
-		[...this.controlsLeft, ...this.controlsRight, ...this.controlsUp, ...this.controlsDown, ...this.controlsPrev, ...this.controlsNext].forEach( node => {
+		[...this.controlsLeft, ...this.controlsRight, ...this.controlsUp, ...this.controlsDown, ...this.controlsPrev, ...this.controlsNext, ...this.controlsReturn].forEach( node => {
 			node.classList.remove( 'enabled', 'fragmented' );
 
 			// Set 'disabled' attribute on all directions
@@ -139,11 +156,21 @@ export default class Controls {
 		if( routes.left || routes.up ) this.controlsPrev.forEach( el => { el.classList.add( 'enabled' ); el.removeAttribute( 'disabled' ); } );
 		if( routes.right || routes.down ) this.controlsNext.forEach( el => { el.classList.add( 'enabled' ); el.removeAttribute( 'disabled' ); } );
 
+		// Return to the previously visited slide
+		if( this.Reveal.navigationStack.canGoBack() ) this.controlsReturn.forEach( el => { el.classList.add( 'enabled' ); el.removeAttribute( 'disabled' ); } );
+
 		// Highlight fragment directions
 		let currentSlide = this.Reveal.getCurrentSlide();
 		if( currentSlide ) {
 
-			let fragmentsRoutes = this.Reveal.fragments.availableRoutes();
+			let fragmentsRoutes = this.Reveal.fragments.availableRoutes(),
+				subPageRoutes = this.Reveal.subpages.availableRoutes();
+
+			// Sub-pages are decorated the same way as fragments
+			fragmentsRoutes = {
+				prev: fragmentsRoutes.prev || subPageRoutes.prev,
+				next: fragmentsRoutes.next || subPageRoutes.next
+			};
 
 			// Always apply fragment decorator to prev/next buttons
 			if( fragmentsRoutes.prev ) this.controlsPrev.forEach( el => { el.classList.add( 'fragmented', 'enabled' ); el.removeAttribute( 'disabled' ); } );
@@ -275,6 +302,15 @@ export default class Controls {
 
 	}
 
+	onNavigateReturnClicked( event ) {
+
+		event.preventDefault();
+		this.Reveal.onUserInput();
+
+		this.Reveal.back();
+
+	}
+
 	onEnterFullscreen( event ) {
 
 		const config = this.Reveal.getConfig();
@@ -171,10 +171,13 @@ export default class Fragments {
 	 * @param {number} [index] The index of the current fragment
 	 * @param {array} [fragments] Array containing all fragments
 	 * in the current slide
+	 * @param {HTMLElement} [slide]
+	 * @param {boolean} [animate=false] Animates changes to the
+	 * slide's data-auto-animate-state
 	 *
 	 * @return {{shown: array, hidden: array}}
 	 */
-	update( index, fragments, slide = this.Reveal.getCurrentSlide() ) {
+	update( index, fragments, slide = this.Reveal.getCurrentSlide(), animate = false ) {
 
 		let changedFragments = {
 			shown: [],
@@ -253,6 +256,8 @@ export default class Fragments {
 				index = Math.max( Math.min( index, maxIndex ), -1 );
 				slide.setAttribute( 'data-fragment', index );
 
+				this.Reveal.autoAnimate.updateState( slide, animate, changedFragments.hidden.length ? 'backward' : 'forward' );
+
 			}
 
 		}
@@ -302,11 +307,13 @@ export default class Fragments {
 	 * should be shown, -1 means all are invisible
 	 * @param {number} offset Integer offset to apply to the
 	 * fragment index
+	 * @param {boolean} [animate=true] Animates changes to the
+	 * slide's data-auto-animate-state
 	 *
 	 * @return {boolean} true if a change was made in any
 	 * fragments visibility as part of this call
 	 */
-	goto( index, offset = 0 ) {
+	goto( index, offset = 0, animate = true ) {
 
 		let currentSlide = this.Reveal.getCurrentSlide();
 		if( currentSlide && this.Reveal.getConfig().fragments ) {
@@ -329,8 +336,20 @@ export default class Fragments {
 				// Apply the offset if there is one
 				index += offset;
 
-				let changedFragments = this.update( index, fragments );
+				// Give navigation guards a say in steps to fragments
+				// that exist. A step that was cancelled, held or
+				// redirected still counts as handled.
+				let lastIndex = parseInt( fragments[ fragments.length - 1 ].getAttribute( 'data-fragment-index' ) || 0, 10 );
+				if( index >= -1 && index <= lastIndex ) {
+					let { h, v } = this.Reveal.getIndices();
+					if( !this.Reveal.navigationGuards.allow( { h, v, f: index }, () => this.goto( index, 0, animate ) ) ) {
+						return true;
+					}
+				}
+
+				let changedFragments = this.update( index, fragments, currentSlide, animate );
 
+				this.Reveal.navigationStack.update();
 				this.Reveal.controls.update();
 				this.Reveal.progress.update();
 
@@ -27,7 +27,6 @@ export default class JumpToSlide {
     this.jumpInput = document.createElement( 'input' );
     this.jumpInput.type = 'text';
     this.jumpInput.className = 'jump-to-slide-input';
-    this.jumpInput.placeholder = 'Jump to slide';
 		this.jumpInput.addEventListener( 'input', this.onInput );
 		this.jumpInput.addEventListener( 'keydown', this.onKeyDown );
 		this.jumpInput.addEventListener( 'blur', this.onBlur );
@@ -39,6 +38,7 @@ export default class JumpToSlide {
 	show() {
 
 		this.indicesOnShow = this.Reveal.getIndices();
+		this.jumpInput.placeholder = this.Reveal.t( 'Jump to slide' );
 
 		this.Reveal.getRevealElement().appendChild( this.element );
 		this.jumpInput.focus();
@@ -43,6 +43,8 @@ export default class Keyboard {
 		this.shortcuts['B  ,  .']                       = 'Pause';
 		this.shortcuts['F']                             = 'Fullscreen';
 		this.shortcuts['G']                             = 'Jump to slide';
+		this.shortcuts['U']                             = 'Switch audience';
+		this.shortcuts['Q']                             = 'Reduce motion';
 		this.shortcuts['ESC, O']                        = 'Slide overview';
 
 	}
@@ -367,6 +369,14 @@ export default class Keyboard {
 					this.Reveal.toggleJumpToSlide();
 				}
 			}
+			// U
+			else if( keyCode === 85 ) {
+				this.Reveal.toggleAudience();
+			}
+			// Q
+			else if( keyCode === 81 ) {
+				this.Reveal.toggleReducedMotion();
+			}
 			// C
 			else if( keyCode === 67 && this.Reveal.isOverlayOpen() ) {
 				this.Reveal.closeOverlay();
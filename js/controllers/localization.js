@@ -0,0 +1,119 @@
+import STRINGS from '../utils/strings.js'
+
+// Languages that are written right to left
+const RTL_LANGUAGES = /^(ar|arc|ckb|dv|fa|he|ps|sd|ug|ur|yi)(-|$)/i;
+
+/**
+ * Translates the built-in UI strings, such as the help
+ * overlay and control labels, to the presentation language:
+ *
+ * Reveal.initialize({ lang: 'de' }) or ?lang=de
+ *
+ * Strings are looked up by their English text, first in
+ * the `strings` config option and then in the built-in
+ * translations. Switching to a right-to-left language
+ * turns on the `rtl` option.
+ */
+export default class Localization {
+
+	constructor( Reveal ) {
+
+		this.Reveal = Reveal;
+
+		// The language that was last applied
+		this.language = null;
+
+	}
+
+	/**
+	 * Called when the reveal.js config is updated.
+	 */
+	configure( config, oldConfig, options ) {
+
+		const language = this.getLanguage();
+		if( language === this.language ) return;
+
+		const previousLanguage = this.language;
+		this.language = language;
+
+		// The direction follows the language, unless rtl is
+		// configured along with it
+		if( !options || !( 'rtl' in options ) ) {
+			if( this.isRTL( language ) ) {
+				config.rtl = true;
+			}
+			else if( previousLanguage && this.isRTL( previousLanguage ) ) {
+				config.rtl = false;
+			}
+		}
+
+		// Lets screen readers announce the slide content, see
+		// announceStatus(), in the right language
+		this.Reveal.getRevealElement().setAttribute( 'lang', language );
+
+		if( previousLanguage !== null ) {
+			this.Reveal.dispatchEvent({
+				type: 'languagechanged',
+				data: { language, previousLanguage }
+			});
+		}
+
+	}
+
+	/**
+	 * Returns the presentation language, from the `lang`
+	 * config option or the page.
+	 *
+	 * @return {string}
+	 */
+	getLanguage() {
+
+		return String( this.Reveal.getConfig().lang || document.documentElement.lang || 'en' ).trim();
+
+	}
+
+	/**
+	 * Checks if a language is written right to left.
+	 *
+	 * @param {string} [language] Defaults to the presentation
+	 * language
+	 * @return {boolean}
+	 */
+	isRTL( language = this.getLanguage() ) {
+
+		return RTL_LANGUAGES.test( language );
+
+	}
+
+	/**
+	 * Translates a string to the presentation language. A
+	 * regional language such as "de-AT" falls back to "de",
+	 * strings without a translation are returned as they are.
+	 *
+	 * Placeholders like {count} are replaced with the values
+	 * of the same name.
+	 *
+	 * @param {string} text The English string
+	 * @param {object} [values]
+	 * @return {string}
+	 */
+	t( text, values ) {
+
+		const language = this.getLanguage();
+		const baseLanguage = language.split( '-' )[0];
+		const strings = this.Reveal.getConfig().strings || {};
+
+		const table = [ strings[language], strings[baseLanguage], STRINGS[language], STRINGS[baseLanguage] ]
+			.find( candidate => candidate && typeof candidate[text] === 'string' );
+
+		const translation = table ? table[text] : text;
+
+		if( !values ) return translation;
+
+		return translation.replace( /\{(\w+)\}/g, ( match, name ) => {
+			return values[name] !== undefined ? values[name] : match;
+		} );
+
+	}
+
+}
@@ -44,6 +44,14 @@ export default class Location {
 
 		// Attempt to parse the hash as either an index or name
 		let name = hash.replace( /^#\/?/, '' );
+
+		// Sub-pages are appended at the end of all links (#/2/p1)
+		let p;
+		if( /\/p\d+$/.test( name ) ) {
+			p = parseInt( name.split( '/p' ).pop(), 10 );
+			name = name.replace( /\/p\d+$/, '' );
+		}
+
 		let bits = name.split( '/' );
 
 		// If the first bit is not fully numeric and there is a name we
@@ -69,7 +77,7 @@ export default class Location {
 			catch ( error ) { }
 
 			if( slide ) {
-				return { ...this.Reveal.getIndices( slide ), f };
+				return this.withSubPage( { ...this.Reveal.getIndices( slide ), f }, p );
 			}
 		}
 		else {
@@ -88,7 +96,7 @@ export default class Location {
 				}
 			}
 
-			return { h, v, f };
+			return this.withSubPage( { h, v, f }, p );
 		}
 
 		// The hash couldn't be parsed or no matching named link was found
@@ -96,6 +104,19 @@ export default class Location {
 
 	}
 
+	/**
+	 * Adds the sub-page index to a set of indices if there is one.
+	 */
+	withSubPage( indices, p ) {
+
+		if( typeof p === 'number' && !isNaN( p ) ) {
+			indices.p = p;
+		}
+
+		return indices;
+
+	}
+
 	/**
 	 * Reads the current URL (hash) and navigates accordingly.
 	 */
@@ -107,7 +128,17 @@ export default class Location {
 		if( newIndices ) {
 			if( ( newIndices.h !== currentIndices.h || newIndices.v !== currentIndices.v || newIndices.f !== undefined ) ) {
 					this.Reveal.slide( newIndices.h, newIndices.v, newIndices.f );
+
+				// If a navigation guard cancelled or held the slide
+				// change, restore the hash of where we are
+				const indices = this.Reveal.getIndices();
+				if( indices.h !== newIndices.h || indices.v !== ( newIndices.v || 0 ) ) {
+					this.writeURL();
+					return;
+				}
 			}
+
+			this.Reveal.subpages.goto( newIndices.p || 0 );
 		}
 		// If no new indices are available, we're trying to navigate to
 		// a slide hash that does not exist
@@ -212,6 +243,9 @@ export default class Location {
 			index.f = undefined;
 		}
 
+		// Only the current slide links to the sub-page it's showing
+		let p = s && s === this.Reveal.getCurrentSlide() ? this.Reveal.subpages.getIndex( s ) : 0;
+
 		// If the current slide has an ID, use that as a named link,
 		// but we don't support named links with a fragment index
 		if( typeof id === 'string' && id.length ) {
@@ -224,11 +258,15 @@ export default class Location {
 		// Otherwise use the /h/v index
 		else {
 			let hashIndexBase = this.Reveal.getConfig().hashOneBasedIndex ? 1 : 0;
-			if( index.h > 0 || index.v > 0 || index.f >= 0 ) url += index.h + hashIndexBase;
+			if( index.h > 0 || index.v > 0 || index.f >= 0 || p > 0 ) url += index.h + hashIndexBase;
 			if( index.v > 0 || index.f >= 0 ) url += '/' + (index.v + hashIndexBase );
 			if( index.f >= 0 ) url += '/' + index.f;
 		}
 
+		// Sub-pages past the first are appended at the end, like:
+		// #/named-link/p1 or #/2/p1
+		if( p > 0 ) url += '/p' + p;
+
 		return url;
 
 	}
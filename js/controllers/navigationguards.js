@@ -0,0 +1,166 @@
+/**
+ * Runs navigation guards; functions that are consulted before
+ * a slide change or fragment step is committed.
+ *
+ * Reveal.beforeNavigate( ( from, to ) => { ... } )
+ *
+ * Both arguments are { h, v, f } indices. `to.f` is undefined
+ * when the target slide's fragments are left as they are. A
+ * guard can return:
+ * - false:      Cancel the navigation
+ * - { h, v, f }: Navigate to these indices instead, the guards
+ *               aren't consulted again for the redirect. An
+ *               optional `p` shows that sub-page of the slide.
+ * - A promise:  Hold the navigation until the promise resolves
+ *               with one of these values, a rejection cancels
+ * - Anything else lets the navigation go ahead
+ */
+export default class NavigationGuards {
+
+	constructor( Reveal ) {
+
+		this.Reveal = Reveal;
+
+		this.guards = [];
+
+		// Incremented for every guarded navigation so that held
+		// navigations can tell when they have been superseded
+		this.navigationId = 0;
+
+		// Set while committing a navigation that was already allowed
+		this.passing = false;
+
+	}
+
+	/**
+	 * Adds a guard.
+	 *
+	 * @param {function} guard
+	 * @return {function} Removes the guard again
+	 */
+	add( guard ) {
+
+		if( typeof guard === 'function' ) {
+			this.guards.push( guard );
+		}
+
+		return () => this.remove( guard );
+
+	}
+
+	remove( guard ) {
+
+		this.guards = this.guards.filter( g => g !== guard );
+
+	}
+
+	/**
+	 * Checks if the presentation can navigate from the current
+	 * position to the given one right away.
+	 *
+	 * @param {{h: number, v: number, f: number}} to
+	 * @param {function} navigate Commits the navigation, called
+	 * if a guard held it and it was allowed later on
+	 *
+	 * @return {boolean}
+	 */
+	allow( to, navigate ) {
+
+		if( this.passing || !this.guards.length || !this.Reveal.isReady() ) return true;
+
+		const from = this.Reveal.getIndices();
+
+		// Staying where we are isn't a navigation
+		if( this.isSamePosition( from, to ) ) return true;
+
+		return this.run( from, to, navigate, 0, ++this.navigationId );
+
+	}
+
+	/**
+	 * Consults the guards from the given index onwards.
+	 *
+	 * @return {boolean} true if the navigation can go ahead
+	 */
+	run( from, to, navigate, start, navigationId ) {
+
+		// Copy the list in case guards are removed while running
+		const guards = this.guards.slice( start );
+
+		for( let i = 0; i < guards.length; i++ ) {
+			const result = guards[i]( { ...from }, { ...to } );
+
+			if( result && typeof result.then === 'function' ) {
+				result.then( value => {
+					// Abort if another navigation has happened since
+					if( navigationId !== this.navigationId || !this.isSamePosition( this.Reveal.getIndices(), from ) ) return;
+
+					if( this.resolve( value ) && this.run( from, to, navigate, start + i + 1, navigationId ) ) {
+						this.pass( navigate );
+					}
+				}, () => {} );
+
+				return false;
+			}
+
+			if( !this.resolve( result ) ) return false;
+		}
+
+		return true;
+
+	}
+
+	/**
+	 * Acts on the result of a single guard.
+	 *
+	 * @return {boolean} true if the next guard should run
+	 */
+	resolve( result ) {
+
+		if( result === false ) return false;
+
+		// Redirect, without consulting the guards again so that a
+		// guard can't keep redirecting to a position it guards
+		if( result && typeof result === 'object' ) {
+			this.pass( () => {
+				this.Reveal.slide( result.h, result.v, result.f );
+				if( typeof result.p === 'number' ) this.Reveal.navigateSubPage( result.p );
+			} );
+			return false;
+		}
+
+		return true;
+
+	}
+
+	/**
+	 * Runs the given function without consulting the guards.
+	 */
+	pass( callback ) {
+
+		const passing = this.passing;
+
+		this.passing = true;
+
+		try {
+			callback();
+		}
+		finally {
+			this.passing = passing;
+		}
+
+	}
+
+	isSamePosition( a, b ) {
+
+		return a.h === b.h && a.v === b.v && ( b.f === undefined || a.f === b.f );
+
+	}
+
+	destroy() {
+
+		this.guards = [];
+
+	}
+
+}
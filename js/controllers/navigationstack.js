@@ -0,0 +1,263 @@
+// The most positions that we keep track of
+const MAX_ENTRIES = 100;
+
+// [ and ]
+const BACK_KEY_CODE = 219;
+const FORWARD_KEY_CODE = 221;
+
+/**
+ * Keeps a history of the positions, slides and fragment
+ * indices, that the presentation has visited so that we
+ * can find our way back after jumping around a deck:
+ *
+ * Reveal.back() and Reveal.forward()
+ *
+ * This is separate from the browser history that the
+ * `history` option writes to, which also records every
+ * step through fragments when `fragmentInURL` is on.
+ */
+export default class NavigationStack {
+
+	constructor( Reveal ) {
+
+		this.Reveal = Reveal;
+
+		// Visited positions as { slide, h, v, f }, oldest first
+		this.entries = [];
+
+		// The position we're currently at
+		this.index = -1;
+
+		// The entry that back() or forward() is navigating to
+		this.pendingIndex = null;
+
+		// Key code -> callback of the key bindings that we added
+		this.keyBindings = {};
+
+	}
+
+	/**
+	 * Called when the reveal.js config is updated.
+	 */
+	configure( config, oldConfig ) {
+
+		if( config.navigationHistory ) {
+			this.addKeyBinding( { keyCode: BACK_KEY_CODE, key: '[', description: 'Go back' }, () => this.back() );
+			this.addKeyBinding( { keyCode: FORWARD_KEY_CODE, key: ']', description: 'Go forward' }, () => this.forward() );
+		}
+		else if( oldConfig.navigationHistory ) {
+			this.removeKeyBindings();
+			this.clear();
+		}
+
+	}
+
+	/**
+	 * Binds a key unless it's already bound, by us or by
+	 * someone else.
+	 */
+	addKeyBinding( binding, callback ) {
+
+		if( this.Reveal.keyboard.getBindings()[ binding.keyCode ] ) return;
+
+		this.Reveal.keyboard.addKeyBinding( binding, callback );
+		this.keyBindings[ binding.keyCode ] = callback;
+
+	}
+
+	/**
+	 * Removes the key bindings that we added, if they are
+	 * still ours.
+	 */
+	removeKeyBindings() {
+
+		const bindings = this.Reveal.keyboard.getBindings();
+
+		Object.keys( this.keyBindings ).forEach( keyCode => {
+			if( bindings[ keyCode ] && bindings[ keyCode ].callback === this.keyBindings[ keyCode ] ) {
+				this.Reveal.keyboard.removeKeyBinding( keyCode );
+			}
+		} );
+
+		this.keyBindings = {};
+
+	}
+
+	/**
+	 * Records the current position. Moving within a slide,
+	 * between its fragments, updates the current entry rather
+	 * than adding a new one.
+	 */
+	update() {
+
+		if( !this.Reveal.getConfig().navigationHistory ) return;
+
+		const { h, v, f } = this.Reveal.getIndices();
+		const slide = this.Reveal.getCurrentSlide();
+		const current = this.entries[ this.index ];
+
+		// Arriving at the entry that we're moving through the
+		// history to
+		const pendingIndex = this.pendingIndex;
+		const pending = this.entries[ pendingIndex ];
+		this.pendingIndex = null;
+
+		if( pending && pending.h === h && pending.v === v ) {
+			pending.f = f;
+			this.index = pendingIndex;
+			this.dispatchChange();
+			return;
+		}
+
+		if( current && current.h === h && current.v === v ) {
+			current.f = f;
+			return;
+		}
+
+		// Going somewhere new drops the positions we went back from
+		this.entries = this.entries.slice( 0, this.index + 1 );
+		this.entries.push( { slide, h, v, f } );
+
+		if( this.entries.length > MAX_ENTRIES ) {
+			this.entries.shift();
+		}
+
+		this.index = this.entries.length - 1;
+
+		this.dispatchChange();
+
+	}
+
+	/**
+	 * Updates the indices of the visited positions after slides
+	 * were taken out of or put back into the DOM, for example by
+	 * an audience filter. Positions on slides that are gone are
+	 * dropped.
+	 */
+	sync() {
+
+		const entries = [];
+		let index = -1;
+
+		this.entries.forEach( ( entry, i ) => {
+			const previous = entries[ entries.length - 1 ];
+
+			// Dropping positions can leave a slide twice in a row
+			if( entry.slide.isConnected && !( previous && previous.slide === entry.slide ) ) {
+				const { h, v } = this.Reveal.getIndices( entry.slide );
+				entries.push( { ...entry, h, v } );
+			}
+
+			if( i <= this.index ) index = entries.length - 1;
+		} );
+
+		this.entries = entries;
+		this.index = index;
+		this.pendingIndex = null;
+
+		this.dispatchChange();
+
+	}
+
+	/**
+	 * Moves through the history by the given number of steps.
+	 *
+	 * @param {number} offset Negative to go back
+	 * @return {boolean} true if we moved
+	 */
+	go( offset ) {
+
+		const index = this.index + offset;
+		const entry = this.entries[ index ];
+
+		if( !entry ) return false;
+
+		// The slide change moves to this entry once it happens,
+		// which is later on if a navigation guard holds it. If
+		// it's redirected, the redirect is added as a new entry.
+		this.pendingIndex = index;
+		this.Reveal.slide( entry.h, entry.v, entry.f );
+
+		return this.index === index;
+
+	}
+
+	/**
+	 * Returns to the previously visited position.
+	 *
+	 * @return {boolean}
+	 */
+	back() {
+
+		return this.go( -1 );
+
+	}
+
+	/**
+	 * Returns to the position we last went back from.
+	 *
+	 * @return {boolean}
+	 */
+	forward() {
+
+		return this.go( 1 );
+
+	}
+
+	canGoBack() {
+
+		return this.index > 0;
+
+	}
+
+	canGoForward() {
+
+		return this.index < this.entries.length - 1;
+
+	}
+
+	/**
+	 * Returns a copy of the visited positions, oldest first.
+	 *
+	 * @return {{h: number, v: number, f: number}[]}
+	 */
+	getEntries() {
+
+		return this.entries.map( ( { h, v, f } ) => ( { h, v, f } ) );
+
+	}
+
+	/**
+	 * Forgets all visited positions except the current one.
+	 */
+	clear() {
+
+		this.entries = this.entries.slice( this.index, this.index + 1 );
+		this.index = this.entries.length - 1;
+		this.pendingIndex = null;
+
+		this.dispatchChange();
+
+	}
+
+	dispatchChange() {
+
+		this.Reveal.dispatchEvent({
+			type: 'historychanged',
+			data: {
+				index: this.index,
+				length: this.entries.length,
+				canGoBack: this.canGoBack(),
+				canGoForward: this.canGoForward()
+			}
+		});
+
+	}
+
+	destroy() {
+
+		this.removeKeyBindings();
+
+	}
+
+}
@@ -241,20 +241,23 @@ export default class Overlay {
 
 			this.createOverlay( 'r-overlay-help' );
 
-			let html = '<p class="title">Keyboard Shortcuts</p>';
+			// Descriptions are translated, see Reveal.t()
+			const t = text => this.Reveal.t( text );
+
+			let html = `<p class="title">${t( 'Keyboard Shortcuts' )}</p>`;
 
 			let shortcuts = this.Reveal.keyboard.getShortcuts(),
 				bindings = this.Reveal.keyboard.getBindings();
 
-			html += '<table><th>KEY</th><th>ACTION</th>';
+			html += `<table><th>${t( 'KEY' )}</th><th>${t( 'ACTION' )}</th>`;
 			for( let key in shortcuts ) {
-				html += `<tr><td>${key}</td><td>${shortcuts[ key ]}</td></tr>`;
+				html += `<tr><td>${key}</td><td>${t( shortcuts[ key ] )}</td></tr>`;
 			}
 
 			// Add custom key bindings that have associated descriptions
 			for( let binding in bindings ) {
 				if( bindings[binding].key && bindings[binding].description ) {
-					html += `<tr><td>${bindings[binding].key}</td><td>${bindings[binding].description}</td></tr>`;
+					html += `<tr><td>${bindings[binding].key}</td><td>${t( bindings[binding].description )}</td></tr>`;
 				}
 			}
 
@@ -19,6 +19,10 @@ export default class PrintView {
 	async activate() {
 
 		const config = this.Reveal.getConfig();
+
+		// Every sub-page is printed as a page of its own
+		this.separateSubPages();
+
 		const slides = queryAll( this.Reveal.getRevealElement(), SLIDES_SELECTOR )
 
 		// Compute slide numbers now, before we start duplicating slides
@@ -55,6 +59,10 @@ export default class PrintView {
 			}
 		}
 
+		// Apply the print rules of the scaling policy before measuring
+		// slide contents
+		this.Reveal.scaling.update( window.innerWidth );
+
 		// Make sure stretch elements fit on slide
 		await new Promise( requestAnimationFrame );
 		this.Reveal.layoutSlideContents( slideWidth, slideHeight );
@@ -227,6 +235,49 @@ export default class PrintView {
 
 	}
 
+	/**
+	 * Replaces each slide that has sub-pages with one copy of the
+	 * slide per sub-page. Each copy only contains its own sub-page.
+	 */
+	separateSubPages() {
+
+		queryAll( this.Reveal.getRevealElement(), SLIDES_SELECTOR ).forEach( slide => {
+
+			const subpages = this.Reveal.subpages.getSubPages( slide );
+			if( subpages.length < 2 ) return;
+
+			// Create all copies before the original slide's sub-pages
+			// are removed
+			const copies = subpages.map( ( subpage, i ) => {
+				if( i === 0 ) return slide;
+
+				const copy = slide.cloneNode( true );
+
+				// Avoid duplicate IDs, the original slide keeps its ID
+				copy.removeAttribute( 'id' );
+
+				if( slide.slideBackgroundElement ) {
+					copy.slideBackgroundElement = slide.slideBackgroundElement.cloneNode( true );
+				}
+
+				return copy;
+			} );
+
+			copies.forEach( ( copy, i ) => {
+				this.Reveal.subpages.getSubPages( copy ).forEach( ( subpage, j ) => {
+					if( j !== i ) subpage.remove();
+				} );
+
+				// The one remaining sub-page is shown
+				this.Reveal.subpages.show( copy, 0 );
+
+				if( i > 0 ) copies[ i - 1 ].after( copy );
+			} );
+
+		} );
+
+	}
+
 	/**
 	 * Checks if the print mode is/should be activated.
 	 */
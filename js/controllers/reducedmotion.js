@@ -0,0 +1,126 @@
+/**
+ * Reduces the motion of the presentation for viewers who
+ * prefer it, as set in their operating system, or when
+ * turned on with the `reducedMotion` config option:
+ *
+ * Reveal.initialize({ reducedMotion: true })
+ *
+ * Slide and background transitions become fades, see the
+ * .reduced-motion styles, auto-animated slides cross-fade
+ * and the parallax background stays in place.
+ */
+export default class ReducedMotion {
+
+	constructor( Reveal ) {
+
+		this.Reveal = Reveal;
+
+		// Whether motion was reduced the last time we checked,
+		// null until the first configure()
+		this.active = null;
+
+		this.mediaQuery = window.matchMedia ? window.matchMedia( '(prefers-reduced-motion: reduce)' ) : null;
+
+		this.onMediaChange = this.onMediaChange.bind( this );
+
+	}
+
+	/**
+	 * Called when the reveal.js config is updated.
+	 */
+	configure( config, oldConfig ) {
+
+		this.update();
+
+	}
+
+	/**
+	 * Starts listening for changes to the system setting.
+	 */
+	bind() {
+
+		if( this.mediaQuery && this.mediaQuery.addEventListener ) {
+			this.mediaQuery.addEventListener( 'change', this.onMediaChange );
+		}
+
+	}
+
+	/**
+	 * Stops listening for changes to the system setting.
+	 */
+	unbind() {
+
+		if( this.mediaQuery && this.mediaQuery.removeEventListener ) {
+			this.mediaQuery.removeEventListener( 'change', this.onMediaChange );
+		}
+
+	}
+
+	/**
+	 * Checks if motion is currently reduced.
+	 *
+	 * @return {boolean}
+	 */
+	isActive() {
+
+		const value = this.Reveal.getConfig().reducedMotion;
+
+		if( typeof value === 'boolean' ) return value;
+
+		return !!( this.mediaQuery && this.mediaQuery.matches );
+
+	}
+
+	/**
+	 * Turns reduced motion on or off. This overrides the system
+	 * setting until the page is reloaded.
+	 *
+	 * @param {boolean} [override] Flag which sets the desired
+	 * state, otherwise the current state is flipped
+	 */
+	toggle( override ) {
+
+		this.Reveal.configure({
+			reducedMotion: typeof override === 'boolean' ? override : !this.isActive()
+		});
+
+	}
+
+	/**
+	 * Applies the current state to the DOM and lets the world
+	 * know when it has changed.
+	 */
+	update() {
+
+		const active = this.isActive();
+
+		// The print view lays out every slide and background at
+		// once, which our styles would get in the way of
+		this.Reveal.getRevealElement().classList.toggle( 'reduced-motion', active && !this.Reveal.isPrintView() );
+
+		if( this.active !== null && active !== this.active ) {
+			this.Reveal.dispatchEvent({
+				type: 'reducedmotionchanged',
+				data: { reducedMotion: active }
+			});
+		}
+
+		this.active = active;
+
+	}
+
+	onMediaChange() {
+
+		this.update();
+
+	}
+
+	destroy() {
+
+		this.unbind();
+
+		this.Reveal.getRevealElement().classList.remove( 'reduced-motion' );
+
+	}
+
+}
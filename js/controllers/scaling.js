@@ -0,0 +1,172 @@
+import { SLIDES_SELECTOR } from '../utils/constants.js'
+import { queryAll } from '../utils/util.js'
+
+/**
+ * Applies the configured responsive scaling policy (see the
+ * `scaling` config option) as part of the layout pass.
+ *
+ * A policy picks a rule for the current view and viewport
+ * width. Rules can adjust the min/max bounds of the deck scale
+ * and the font scale of slide content. Individual slides can
+ * override the rule using data attributes:
+ *
+ * <section data-font-scale="0.8" data-min-scale="0.5" data-max-scale="1">
+ */
+export default class Scaling {
+
+	constructor( Reveal ) {
+
+		this.Reveal = Reveal;
+
+		// Flags if the policy has set font scales on the slides
+		this.applied = false;
+
+	}
+
+	/**
+	 * Returns true if a scaling policy has been configured.
+	 */
+	isActive() {
+
+		return !!this.Reveal.getConfig().scaling;
+
+	}
+
+	/**
+	 * Returns the view that scaling rules are picked for;
+	 * "print", "scroll" or "presenter" for the regular
+	 * slide view.
+	 */
+	getView() {
+
+		if( this.Reveal.isPrintView() ) return 'print';
+		if( this.Reveal.isScrollView() ) return 'scroll';
+		return 'presenter';
+
+	}
+
+	/**
+	 * Resolves the rule that applies at the given viewport width.
+	 *
+	 * Breakpoints are matched against the viewport width, the
+	 * breakpoint with the largest `minWidth` that still fits
+	 * wins. The rule for the current view is then merged on top.
+	 * Breakpoints are ignored when printing since the print
+	 * window size has nothing to do with the presentation
+	 * screen.
+	 *
+	 * @param {number} viewportWidth
+	 * @return {{fontScale?: number, minScale?: number, maxScale?: number}}
+	 */
+	getRule( viewportWidth ) {
+
+		const policy = this.Reveal.getConfig().scaling;
+		if( !policy ) return {};
+
+		const view = this.getView();
+		let rule = {};
+
+		if( view !== 'print' && Array.isArray( policy.breakpoints ) ) {
+			const breakpoint = policy.breakpoints
+				.filter( bp => ( bp.minWidth || 0 ) <= viewportWidth )
+				.sort( ( a, b ) => ( b.minWidth || 0 ) - ( a.minWidth || 0 ) )[0];
+
+			if( breakpoint ) rule = { ...breakpoint };
+		}
+
+		if( policy[ view ] ) {
+			rule = { ...rule, ...policy[ view ] };
+		}
+
+		delete rule.minWidth;
+
+		return rule;
+
+	}
+
+	/**
+	 * Applies the policy for the given viewport width and
+	 * returns the scale bounds that the layout should respect.
+	 *
+	 * @param {number} viewportWidth
+	 * @return {{minScale: number, maxScale: number}}
+	 */
+	update( viewportWidth ) {
+
+		const config = this.Reveal.getConfig();
+
+		const bounds = {
+			minScale: config.minScale,
+			maxScale: config.maxScale
+		};
+
+		if( !this.isActive() ) {
+			// Undo font scaling of a policy that has since been removed
+			if( this.applied ) {
+				this.applyFontScale( {}, true );
+				this.applied = false;
+			}
+
+			return bounds;
+		}
+
+		const rule = this.getRule( viewportWidth );
+
+		this.applyFontScale( rule );
+		this.applied = true;
+
+		// Scale bounds can be overridden by the current slide
+		const currentSlide = this.Reveal.getCurrentSlide();
+
+		[ 'minScale', 'maxScale' ].forEach( key => {
+			const attribute = key === 'minScale' ? 'data-min-scale' : 'data-max-scale';
+			const override = currentSlide ? parseFloat( currentSlide.getAttribute( attribute ) ) : NaN;
+
+			if( !isNaN( override ) ) {
+				bounds[ key ] = override;
+			}
+			else if( typeof rule[ key ] === 'number' ) {
+				bounds[ key ] = rule[ key ];
+			}
+		} );
+
+		return bounds;
+
+	}
+
+	/**
+	 * Sets the font scale of the given rule, or the slide's own
+	 * data-font-scale, on every slide. The scale is applied by
+	 * the .font-scaled class in CSS so that font sizes which
+	 * are set on a slide's style attribute are left alone.
+	 *
+	 * @param {object} rule
+	 * @param {boolean} [reset=false] Ignore slide overrides and
+	 * remove all font scaling
+	 */
+	applyFontScale( rule, reset = false ) {
+
+		const fontScale = typeof rule.fontScale === 'number' ? rule.fontScale : null;
+
+		queryAll( this.Reveal.getRevealElement(), SLIDES_SELECTOR ).forEach( slide => {
+
+			// Stacks are skipped, their children are scaled individually
+			if( slide.classList.contains( 'stack' ) ) return;
+
+			const override = reset ? NaN : parseFloat( slide.getAttribute( 'data-font-scale' ) );
+			const value = isNaN( override ) ? fontScale : override;
+
+			if( value === null ) {
+				slide.classList.remove( 'font-scaled' );
+				slide.style.removeProperty( '--slide-font-scale' );
+			}
+			else {
+				slide.classList.add( 'font-scaled' );
+				slide.style.setProperty( '--slide-font-scale', value );
+			}
+
+		} );
+
+	}
+
+}
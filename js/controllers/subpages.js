@@ -0,0 +1,298 @@
+import { queryAll } from '../utils/util.js'
+
+/**
+ * Handles sub-pages; alternate pages of content that are shown
+ * one at a time inside of a single slide.
+ *
+ * <section>
+ *   <div class="subpage">Page 1 <button data-subpage-next>Next</button></div>
+ *   <div class="subpage">Page 2 <button data-subpage-prev>Back</button></div>
+ * </section>
+ *
+ * Sub-pages are stepped through like fragments when navigating,
+ * are written to the URL hash as a trailing /p<index> and are
+ * part of the presentation state.
+ */
+export default class SubPages {
+
+	constructor( Reveal ) {
+
+		this.Reveal = Reveal;
+
+		this.onClick = this.onClick.bind( this );
+
+	}
+
+	bind() {
+
+		this.Reveal.getRevealElement().addEventListener( 'click', this.onClick, false );
+
+	}
+
+	unbind() {
+
+		this.Reveal.getRevealElement().removeEventListener( 'click', this.onClick, false );
+
+	}
+
+	/**
+	 * Returns the sub-pages that belong to the given slide,
+	 * sub-pages of nested slides are excluded.
+	 *
+	 * @param {HTMLElement} [slide=currentSlide]
+	 * @return {HTMLElement[]}
+	 */
+	getSubPages( slide = this.Reveal.getCurrentSlide() ) {
+
+		if( !slide ) return [];
+
+		return queryAll( slide, '.subpage' ).filter( subpage => subpage.closest( 'section' ) === slide );
+
+	}
+
+	/**
+	 * Returns the index of the sub-page that is showing on the
+	 * given slide, 0 for slides without sub-pages.
+	 *
+	 * @param {HTMLElement} [slide=currentSlide]
+	 * @return {number}
+	 */
+	getIndex( slide = this.Reveal.getCurrentSlide() ) {
+
+		return Math.max( this.getSubPages( slide ).findIndex( subpage => subpage.classList.contains( 'present' ) ), 0 );
+
+	}
+
+	/**
+	 * Shows the sub-page at the given index on the current slide.
+	 *
+	 * @param {number} index
+	 * @return {boolean} true if the sub-page changed
+	 */
+	goto( index ) {
+
+		const currentSlide = this.Reveal.getCurrentSlide();
+		const subpages = this.getSubPages( currentSlide );
+
+		if( !subpages.length || typeof index !== 'number' || isNaN( index ) ) return false;
+
+		index = Math.max( Math.min( index, subpages.length - 1 ), 0 );
+
+		const previousIndex = this.getIndex( currentSlide );
+		if( index === previousIndex && subpages[ index ].classList.contains( 'present' ) ) return false;
+
+		this.show( currentSlide, index );
+
+		this.Reveal.dispatchEvent({
+			type: 'subpagechanged',
+			data: {
+				subpage: subpages[ index ],
+				previousSubPage: subpages[ previousIndex ],
+				indexp: index
+			}
+		});
+
+		this.Reveal.controls.update();
+		this.Reveal.progress.update();
+		this.Reveal.location.writeURL();
+
+		return true;
+
+	}
+
+	/**
+	 * Shows the next sub-page of the current slide.
+	 *
+	 * @return {boolean} true if there was a next sub-page
+	 */
+	next() {
+
+		const subpages = this.getSubPages();
+		const index = this.getIndex();
+
+		return index < subpages.length - 1 ? this.goto( index + 1 ) : false;
+
+	}
+
+	/**
+	 * Shows the previous sub-page of the current slide.
+	 *
+	 * @return {boolean} true if there was a previous sub-page
+	 */
+	prev() {
+
+		const index = this.getIndex();
+
+		return index > 0 ? this.goto( index - 1 ) : false;
+
+	}
+
+	/**
+	 * Steps forward through the fragments and sub-pages of the
+	 * current slide. Fragments on the showing sub-page are
+	 * revealed before moving on to the next sub-page.
+	 *
+	 * @return {boolean} true if a fragment or sub-page was shown
+	 */
+	nextStep() {
+
+		const fragments = this.Reveal.fragments;
+		const subpages = this.getSubPages();
+
+		if( subpages.length ) {
+			const index = this.getIndex();
+			const nextFragment = this.getFragments().filter( fragment => !fragment.classList.contains( 'visible' ) )[0];
+
+			// Fragments on later sub-pages wait for their page
+			if( ( !nextFragment || this.getSubPageIndexOf( nextFragment, subpages ) > index ) && this.next() ) {
+				return true;
+			}
+		}
+
+		return fragments.next();
+
+	}
+
+	/**
+	 * The reverse of #nextStep().
+	 *
+	 * @return {boolean} true if a fragment was hidden or a
+	 * sub-page was shown
+	 */
+	prevStep() {
+
+		const fragments = this.Reveal.fragments;
+		const subpages = this.getSubPages();
+
+		if( subpages.length ) {
+			const index = this.getIndex();
+			const lastFragment = this.getFragments().filter( fragment => fragment.classList.contains( 'visible' ) ).pop();
+
+			// Fragments on earlier sub-pages are hidden once we are
+			// back on their page
+			if( ( !lastFragment || this.getSubPageIndexOf( lastFragment, subpages ) < index ) && this.prev() ) {
+				return true;
+			}
+		}
+
+		return fragments.prev();
+
+	}
+
+	/**
+	 * Determine what available sub-page routes there are for
+	 * the current slide.
+	 *
+	 * @return {{prev: boolean, next: boolean}}
+	 */
+	availableRoutes() {
+
+		const subpages = this.getSubPages();
+		const index = this.getIndex();
+
+		return {
+			prev: subpages.length > 0 && index > 0,
+			next: subpages.length > 0 && index < subpages.length - 1
+		};
+
+	}
+
+	/**
+	 * Puts the sub-pages of every slide in the state that matches
+	 * its position; past slides show their last sub-page, future
+	 * slides their first and the current slide keeps its page.
+	 */
+	update() {
+
+		const currentSlide = this.Reveal.getCurrentSlide();
+
+		const slides = new Set( queryAll( this.Reveal.getSlidesElement(), '.subpage' ).map( subpage => subpage.closest( 'section' ) ) );
+
+		slides.forEach( slide => {
+			if( !slide ) return;
+
+			if( slide === currentSlide ) {
+				this.show( slide, this.getIndex( slide ) );
+			}
+			else if( slide.classList.contains( 'past' ) ) {
+				this.show( slide, this.getSubPages( slide ).length - 1 );
+			}
+			else {
+				this.show( slide, 0 );
+			}
+		} );
+
+	}
+
+	/**
+	 * Applies the classes for showing the sub-page at the given
+	 * index on a slide.
+	 *
+	 * @param {HTMLElement} slide
+	 * @param {number} index
+	 */
+	show( slide, index ) {
+
+		this.getSubPages( slide ).forEach( ( subpage, i ) => {
+			subpage.classList.toggle( 'past', i < index );
+			subpage.classList.toggle( 'present', i === index );
+			subpage.classList.toggle( 'future', i > index );
+
+			if( i === index ) {
+				subpage.removeAttribute( 'aria-hidden' );
+			}
+			else {
+				subpage.setAttribute( 'aria-hidden', 'true' );
+			}
+		} );
+
+	}
+
+	/**
+	 * Returns the sorted fragments of the current slide.
+	 *
+	 * @return {HTMLElement[]}
+	 */
+	getFragments() {
+
+		const currentSlide = this.Reveal.getCurrentSlide();
+
+		if( !currentSlide || !this.Reveal.getConfig().fragments ) return [];
+
+		return this.Reveal.fragments.sort( currentSlide.querySelectorAll( '.fragment:not(.disabled)' ) );
+
+	}
+
+	/**
+	 * Returns the index of the sub-page that contains the given
+	 * element, -1 if it's outside of all sub-pages.
+	 */
+	getSubPageIndexOf( element, subpages ) {
+
+		return subpages.findIndex( subpage => subpage.contains( element ) );
+
+	}
+
+	/**
+	 * Handles clicks on sub-page navigation buttons.
+	 *
+	 * @param {object} event
+	 */
+	onClick( event ) {
+
+		const button = event.target.closest && event.target.closest( '[data-subpage-next], [data-subpage-prev]' );
+
+		if( button && this.Reveal.getCurrentSlide() === button.closest( 'section' ) ) {
+			event.preventDefault();
+
+			if( button.hasAttribute( 'data-subpage-next' ) ) {
+				this.next();
+			}
+			else {
+				this.prev();
+			}
+		}
+
+	}
+
+}
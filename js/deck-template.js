@@ -0,0 +1,307 @@
+/**
+ * Templates for slide partials
+ * Resolves placeholders in partials (HTML or markdown) against a client
+ * profile, so that one deck source can be personalized per prospect.
+ * Used by the slide loader in the browser and by the gulp tasks in Node.
+ *
+ *   {{ client.name }}              HTML-escaped value
+ *   {{{ client.tagline }}}         Raw value
+ *   {{ json client.kpis }}         Value passed through a helper
+ *   {{#if client.contact}}...{{else}}...{{/if}}
+ *   {{#unless client.logo}}...{{/unless}}
+ *   {{#each client.kpis}}{{ label }}{{#unless @last}}, {{/unless}}{{/each}}
+ *   {{! comments are removed }}
+ *
+ * Inside {{#each}}, names are looked up on the current item first and
+ * then on the enclosing data. `this`, `@index`, `@key`, `@first` and
+ * `@last` refer to the current item. Empty lists are falsy.
+ *
+ * Missing values render as an empty string. Pass `{ strict: true }` to
+ * throw instead, or `{ missing: fn }` to be told about them. Pass
+ * `{ escape: false }` for text that isn't HTML.
+ *
+ * Also resolves the per-language files of a deck: partial variants
+ * such as slide3.de.html and string tables such as locales/de.json.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Fusefy = root.Fusefy || {};
+    root.Fusefy.template = factory();
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const TAG_REGEX = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+
+  const BLOCKS = ['if', 'unless', 'each'];
+
+  const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+  };
+
+  /**
+   * Helpers that can be used as {{ name value }}. Add to this object to
+   * register more.
+   */
+  const helpers = {
+    json: (value) => JSON.stringify(value === undefined ? null : value),
+    upper: (value) => String(value).toUpperCase(),
+    lower: (value) => String(value).toLowerCase()
+  };
+
+  // Compiled templates by source, partials are rendered once per load
+  const cache = new Map();
+
+  function escapeHTML(value) {
+    return String(value).replace(/[&<>"'`]/g, (char) => ESCAPES[char]);
+  }
+
+  function getLine(source, offset) {
+    return source.slice(0, offset).split('\n').length;
+  }
+
+  /**
+   * Parses a template into a tree of text, value and block nodes
+   */
+  function parse(source) {
+    const rootNode = { children: [] };
+    const stack = [rootNode];
+    let lastIndex = 0;
+    let match;
+
+    TAG_REGEX.lastIndex = 0;
+
+    while ((match = TAG_REGEX.exec(source))) {
+      const current = stack[stack.length - 1];
+      const line = getLine(source, match.index);
+
+      if (match.index > lastIndex) {
+        current.children.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_REGEX.lastIndex;
+
+      if (match[1] !== undefined) {
+        current.children.push({ type: 'value', expression: match[1], raw: true, line });
+        continue;
+      }
+
+      const tag = match[2];
+
+      if (tag[0] === '!') continue;
+
+      if (tag[0] === '#') {
+        const [name, ...rest] = tag.slice(1).trim().split(/\s+/);
+        if (BLOCKS.indexOf(name) === -1) {
+          throw new Error(`Unknown block {{#${name}}} on line ${line}`);
+        }
+        if (!rest.length) {
+          throw new Error(`{{#${name}}} without a value on line ${line}`);
+        }
+
+        const block = { type: name, expression: rest.join(' '), children: [], inverse: null, line };
+        current.children.push(block);
+        stack.push(block);
+      } else if (tag[0] === '/') {
+        const name = tag.slice(1).trim();
+        if (current === rootNode || current.type !== name) {
+          throw new Error(`Unexpected {{/${name}}} on line ${line}`);
+        }
+        if (current.consequent) {
+          current.inverse = current.children;
+          current.children = current.consequent;
+          delete current.consequent;
+        }
+        stack.pop();
+      } else if (tag === 'else') {
+        if (current === rootNode || current.consequent) {
+          throw new Error(`Unexpected {{else}} on line ${line}`);
+        }
+        // Everything up to {{/...}} is collected for the inverse branch
+        current.consequent = current.children;
+        current.children = [];
+      } else {
+        current.children.push({ type: 'value', expression: tag, raw: false, line });
+      }
+    }
+
+    if (stack.length > 1) {
+      const open = stack[stack.length - 1];
+      throw new Error(`Unclosed {{#${open.type}}} from line ${open.line}`);
+    }
+
+    if (lastIndex < source.length) {
+      rootNode.children.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return rootNode;
+  }
+
+  /**
+   * Looks up a dotted path in the scope chain, innermost scope first
+   */
+  function lookup(scopes, path) {
+    const scope = scopes[scopes.length - 1];
+
+    if (path === 'this' || path === '.') return scope.data;
+    if (path[0] === '@') return scope.vars[path.slice(1)];
+
+    let parts = path.split('.');
+    let value;
+
+    if (parts[0] === 'this') {
+      value = scope.data;
+      parts = parts.slice(1);
+    } else {
+      const owner = scopes
+        .slice()
+        .reverse()
+        .find((s) => s.data !== null && typeof s.data === 'object' && parts[0] in s.data);
+      if (!owner) return undefined;
+      value = owner.data;
+    }
+
+    for (const part of parts) {
+      if (value === null || value === undefined) return undefined;
+      value = value[part];
+    }
+
+    return value;
+  }
+
+  function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  /**
+   * Evaluates "path" or "helper path"
+   */
+  function evaluate(expression, scopes, node, options) {
+    const [first, ...args] = expression.split(/\s+/);
+    const helper = args.length ? helpers[first] : null;
+
+    if (args.length && !helper) {
+      throw new Error(`Unknown helper "${first}" on line ${node.line}`);
+    }
+
+    const path = helper ? args[0] : first;
+    const value = lookup(scopes, path);
+
+    if (value === undefined) {
+      if (options.strict) throw new Error(`Missing value "${path}" on line ${node.line}`);
+      if (options.missing) options.missing(path, node.line);
+    }
+
+    return helper ? helper(value) : value;
+  }
+
+  function renderNodes(nodes, scopes, options) {
+    return nodes.map((node) => renderNode(node, scopes, options)).join('');
+  }
+
+  function renderNode(node, scopes, options) {
+    if (node.type === 'text') return node.value;
+
+    const value = evaluate(node.expression, scopes, node, options);
+
+    if (node.type === 'value') {
+      if (value === undefined || value === null) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return node.raw || options.escape === false ? text : escapeHTML(text);
+    }
+
+    const inverse = node.inverse || [];
+
+    if (node.type === 'if') {
+      return renderNodes(isTruthy(value) ? node.children : inverse, scopes, options);
+    }
+
+    if (node.type === 'unless') {
+      return renderNodes(isTruthy(value) ? inverse : node.children, scopes, options);
+    }
+
+    // each, over arrays or the values of an object
+    if (!isTruthy(value) || typeof value !== 'object') {
+      return renderNodes(inverse, scopes, options);
+    }
+
+    const keys = Array.isArray(value) ? value.map((item, index) => index) : Object.keys(value);
+
+    return keys
+      .map((key, index) => {
+        const vars = { index, key, first: index === 0, last: index === keys.length - 1 };
+        return renderNodes(node.children, scopes.concat({ data: value[key], vars }), options);
+      })
+      .join('');
+  }
+
+  /**
+   * Compiles a template into a function that renders it with data
+   */
+  function compile(source) {
+    if (!cache.has(source)) {
+      const tree = parse(source);
+      cache.set(source, (data, options = {}) => renderNodes(tree.children, [{ data, vars: {} }], options));
+    }
+    return cache.get(source);
+  }
+
+  /**
+   * Renders a template with data. Templates without any {{ are returned
+   * as they are.
+   */
+  function render(source, data, options = {}) {
+    if (source.indexOf('{{') === -1) return source;
+    return compile(source)(data, options);
+  }
+
+  /**
+   * Returns the path of a client profile. Plain names refer to
+   * clients/<name>.json, anything else is used as given.
+   */
+  function resolveProfilePath(client) {
+    return /^[\w-]+$/.test(client) ? `clients/${client}.json` : client;
+  }
+
+  /**
+   * Returns the languages to look for translations in, most specific
+   * first: "de-AT" -> ["de-AT", "de"]
+   */
+  function getLanguageChain(lang) {
+    if (!lang) return [];
+    const base = lang.split('-')[0];
+    return base === lang ? [lang] : [lang, base];
+  }
+
+  /**
+   * Returns the path of a partial's variant for a language:
+   * slide3.html -> slide3.de.html
+   */
+  function localizePath(src, lang) {
+    return src.replace(/(\.[^./?#]+)?([?#].*)?$/, (match, extension = '', rest = '') => `.${lang}${extension}${rest}`);
+  }
+
+  /**
+   * Returns the path of a string table, "{lang}" in the manifest's
+   * "strings" pattern is replaced with the language
+   */
+  function resolveStringsPath(pattern, lang) {
+    return pattern.replace(/\{lang\}/g, lang);
+  }
+
+  return {
+    render,
+    compile,
+    helpers,
+    escapeHTML,
+    resolveProfilePath,
+    getLanguageChain,
+    localizePath,
+    resolveStringsPath
+  };
+});
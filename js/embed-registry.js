@@ -0,0 +1,501 @@
+/**
+ * Embed provider registry for interactive product demos
+ * Any card with a data-embed-provider opens its demo in a full screen
+ * overlay. Demos are preloaded in the background, starting with the
+ * current slide and whatever the presenter hovers, and fall back to a
+ * recorded video or poster when the provider can't be reached.
+ *
+ * Markup:
+ *
+ *   <div class="agent-card"
+ *        data-embed-provider="storylane"
+ *        data-embed-src="https://app.storylane.io/demo/d9xx3md7cyhg?embed=inline"
+ *        data-embed-title="PO Agent"
+ *        data-embed-fallback-video="media/po-agent.mp4"
+ *        data-embed-fallback-poster="images/po-agent.png">
+ *
+ * Built-in providers:
+ * - storylane: Storylane demo (remote)
+ * - iframe:    Any page, remote unless it's on the deck's own origin
+ * - html:      Local HTML bundle, e.g. demos/po-agent/index.html
+ * - video:     Local video file
+ *
+ * Cards with the legacy data-storylane-url attribute use the storylane
+ * provider. Additional providers can be added with registerProvider().
+ *
+ * Events (bubble from the card, so Reveal.on() can listen for them):
+ * - embedopened   { provider, src, offline }
+ * - embedclosed   { provider, src }
+ * - embedfallback { provider, src, fallback }
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const CARD_SELECTOR = '[data-embed-provider], [data-storylane-url]';
+
+  const DEFAULT_OPTIONS = {
+    // How many slides ahead of the current one demos are preloaded
+    preloadDistance: 1,
+
+    // Delay between background preloads, so that they don't compete
+    // with the slide that is being presented
+    preloadInterval: 1500,
+
+    // Time after which a provider is considered unreachable
+    probeTimeout: 4000
+  };
+
+  const providers = {};
+
+  // Reachability results per origin, cleared when the network changes
+  const probes = {};
+
+  // Stage elements per card, each holds one preloaded demo
+  const stages = new Map();
+
+  let deck = null;
+  let options = DEFAULT_OPTIONS;
+  let layer = null;
+  let activeCard = null;
+  let removeGuard = null;
+  let queue = [];
+  let queueTimeout = null;
+
+  /**
+   * Translates a UI string to the deck's language, see Reveal.t()
+   */
+  function t(text, values) {
+    return deck ? deck.t(text, values) : text;
+  }
+
+  function createFrame(src, title) {
+    const frame = document.createElement('iframe');
+    frame.src = src;
+    frame.title = title || t('Product demo');
+    frame.setAttribute('allow', 'fullscreen; clipboard-write');
+    frame.setAttribute('allowfullscreen', '');
+    return frame;
+  }
+
+  function createVideo(src, autoplay) {
+    const video = document.createElement('video');
+    video.src = src;
+    video.controls = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.dataset.autoplay = autoplay ? 'true' : '';
+    return video;
+  }
+
+  /**
+   * Registers a provider. Providers create the element that displays an
+   * embed and tell the registry if it has to be reached over the network.
+   *
+   * {
+   *   remote: boolean | (src) => boolean,
+   *   create: (src, card) => HTMLElement,
+   *   script: optional URL of a script the provider needs, loaded on first use
+   * }
+   */
+  function registerProvider(name, provider) {
+    providers[name] = provider;
+  }
+
+  function getProvider(name) {
+    return providers[name] || null;
+  }
+
+  registerProvider('storylane', {
+    remote: true,
+    script: 'https://js.storylane.io/js/v2/storylane.js',
+    create: (src, card) => createFrame(src, card.dataset.embedTitle)
+  });
+
+  registerProvider('iframe', {
+    remote: (src) => new URL(src, window.location.href).origin !== window.location.origin,
+    create: (src, card) => createFrame(src, card.dataset.embedTitle)
+  });
+
+  registerProvider('html', {
+    remote: false,
+    create: (src, card) => createFrame(src, card.dataset.embedTitle)
+  });
+
+  registerProvider('video', {
+    remote: false,
+    create: (src) => createVideo(src, true)
+  });
+
+  /**
+   * Returns { name, provider, src } for a card
+   */
+  function getEmbed(card) {
+    const name = card.dataset.embedProvider || (card.dataset.storylaneUrl ? 'storylane' : null);
+    const src = card.dataset.embedSrc || card.dataset.storylaneUrl;
+    return { name, provider: getProvider(name), src };
+  }
+
+  function isRemote(embed) {
+    const remote = embed.provider.remote;
+    return typeof remote === 'function' ? remote(embed.src) : remote === true;
+  }
+
+  /**
+   * Resolves true when the origin of the given URL answers within the
+   * probe timeout. Opaque (no-cors) responses count as reachable.
+   */
+  function probe(url) {
+    if (navigator.onLine === false) return Promise.resolve(false);
+
+    const origin = new URL(url, window.location.href).origin;
+    if (!probes[origin]) {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), options.probeTimeout);
+
+      probes[origin] = fetch(origin + '/', {
+        mode: 'no-cors',
+        cache: 'no-store',
+        signal: controller.signal
+      })
+        .then(() => true)
+        .catch(() => {
+          // Try again next time rather than remembering the failure
+          delete probes[origin];
+          return false;
+        })
+        .finally(() => clearTimeout(timeout));
+    }
+
+    return probes[origin];
+  }
+
+  function loadScript(url) {
+    if (document.querySelector(`script[src="${url}"]`)) return;
+
+    const script = document.createElement('script');
+    script.src = url;
+    script.async = true;
+    document.head.appendChild(script);
+  }
+
+  /**
+   * Creates the element shown when a demo can't be reached
+   */
+  function createFallback(card, embed) {
+    const video = card.dataset.embedFallbackVideo;
+    const poster = card.dataset.embedFallbackPoster;
+
+    if (video) {
+      const element = createVideo(video, true);
+      if (poster) element.poster = poster;
+      return element;
+    }
+
+    const element = document.createElement('div');
+    element.className = 'embed-fallback';
+
+    if (poster) {
+      const image = document.createElement('img');
+      image.src = poster;
+      image.alt = card.dataset.embedTitle || '';
+      element.appendChild(image);
+    }
+
+    const message = document.createElement('p');
+    message.textContent = t('This demo is unavailable offline ({src})', { src: embed.src });
+    element.appendChild(message);
+
+    return element;
+  }
+
+  function getLayer() {
+    if (!layer) {
+      layer = document.createElement('div');
+      layer.className = 'embed-layer';
+      layer.setAttribute('role', 'dialog');
+      layer.setAttribute('aria-modal', 'true');
+      layer.innerHTML = '<button class="embed-close">×</button>';
+      document.body.appendChild(layer);
+    }
+    layer.querySelector('.embed-close').setAttribute('aria-label', t('Close demo'));
+    return layer;
+  }
+
+  /**
+   * Preloads a card's demo into a hidden stage. Resolves with the stage
+   * once it knows whether the live demo or the fallback is used.
+   */
+  function preload(card) {
+    if (stages.has(card)) return stages.get(card).ready;
+
+    const embed = getEmbed(card);
+    if (!embed.provider || !embed.src) {
+      console.warn('Unknown embed provider or missing source', card);
+      return Promise.resolve(null);
+    }
+
+    const stage = document.createElement('div');
+    stage.className = 'embed-stage';
+    getLayer().appendChild(stage);
+
+    const entry = { stage, offline: false, ready: null };
+    stages.set(card, entry);
+
+    const reachable = isRemote(embed) ? probe(embed.src) : Promise.resolve(true);
+
+    entry.ready = reachable.then((online) => {
+      if (online) {
+        if (embed.provider.script) loadScript(embed.provider.script);
+        stage.appendChild(embed.provider.create(embed.src, card));
+      } else {
+        entry.offline = true;
+        stage.appendChild(createFallback(card, embed));
+        card.dataset.embedOffline = 'true';
+        dispatch(card, 'embedfallback', {
+          fallback: card.dataset.embedFallbackVideo ? 'video' : card.dataset.embedFallbackPoster ? 'poster' : 'none'
+        });
+      }
+      return entry;
+    });
+
+    return entry.ready;
+  }
+
+  function dispatch(card, type, data) {
+    const embed = getEmbed(card);
+    card.dispatchEvent(
+      new CustomEvent(type, {
+        bubbles: true,
+        detail: Object.assign({ provider: embed.name, src: embed.src }, data)
+      })
+    );
+  }
+
+  /**
+   * Opens a card's demo, preloading it first if needed
+   */
+  async function open(card) {
+    if (activeCard) close();
+
+    const entry = await preload(card);
+    if (!entry) return;
+
+    activeCard = card;
+    getLayer().classList.add('active');
+    entry.stage.classList.add('active');
+
+    const media = entry.stage.querySelector('video[data-autoplay="true"]');
+    if (media) media.play().catch(() => {});
+
+    dispatch(card, 'embedopened', { offline: entry.offline });
+  }
+
+  /**
+   * Closes the open demo. The stage is kept so reopening is instant.
+   */
+  function close() {
+    if (!activeCard) return;
+
+    const card = activeCard;
+    const entry = stages.get(card);
+    activeCard = null;
+
+    if (entry) {
+      entry.stage.classList.remove('active');
+      entry.stage.querySelectorAll('video').forEach((video) => video.pause());
+    }
+    getLayer().classList.remove('active');
+
+    // A fallback that was showing when the network came back is probed
+    // again the next time the card opens
+    if (entry && entry.offline && navigator.onLine) {
+      entry.stage.remove();
+      stages.delete(card);
+      delete card.dataset.embedOffline;
+    }
+
+    dispatch(card, 'embedclosed', {});
+    card.focus();
+  }
+
+  /**
+   * Preloads queued cards one at a time
+   */
+  function processQueue() {
+    queueTimeout = null;
+
+    const card = queue.shift();
+    if (!card) return;
+
+    preload(card).finally(() => {
+      if (queue.length) {
+        queueTimeout = setTimeout(processQueue, options.preloadInterval);
+      }
+    });
+  }
+
+  /**
+   * Rebuilds the preload queue around the current slide: its own demos
+   * first, then those of the following slides
+   */
+  function schedulePreloads() {
+    if (!deck) return;
+
+    const slides = deck.getSlides();
+    const current = slides.indexOf(deck.getCurrentSlide());
+
+    queue = slides
+      .slice(Math.max(current, 0), current + options.preloadDistance + 1)
+      .flatMap((slide) => [...slide.querySelectorAll(CARD_SELECTOR)])
+      .filter((card) => !stages.has(card));
+
+    if (queue.length && !queueTimeout) {
+      queueTimeout = setTimeout(processQueue, options.preloadInterval);
+    }
+  }
+
+  function prepareCards() {
+    document.querySelectorAll(CARD_SELECTOR).forEach((card) => {
+      card.classList.add('clickable');
+      if (!card.hasAttribute('tabindex')) card.setAttribute('tabindex', '0');
+      if (!card.hasAttribute('role')) card.setAttribute('role', 'button');
+    });
+  }
+
+  function onMouseOver(event) {
+    const card = event.target.closest && event.target.closest(CARD_SELECTOR);
+    if (card && !stages.has(card)) {
+      // Hovered demos skip the queue
+      queue = queue.filter((queued) => queued !== card);
+      preload(card);
+    }
+  }
+
+  function onClick(event) {
+    if (event.target.closest('.embed-close')) {
+      close();
+      return;
+    }
+
+    const card = event.target.closest(CARD_SELECTOR);
+    if (card) {
+      event.preventDefault();
+      event.stopPropagation();
+      open(card);
+    }
+  }
+
+  /**
+   * Holds the deck while a demo is open, so that auto-sliding, remotes
+   * and clicks on the controls don't navigate behind it
+   */
+  function guardOpenDemo() {
+    return !activeCard;
+  }
+
+  function onKeyDown(event) {
+    if (activeCard) {
+      // Keep the deck from navigating behind the open demo
+      event.stopImmediatePropagation();
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        close();
+      }
+      return;
+    }
+
+    if (event.key === 'Enter' || event.key === ' ') {
+      const card = document.activeElement;
+      if (card && card.matches && card.matches(CARD_SELECTOR)) {
+        event.preventDefault();
+        open(card);
+      }
+    }
+  }
+
+  function onSlideChanged() {
+    prepareCards();
+    schedulePreloads();
+  }
+
+  function onNetworkChange(event) {
+    Object.keys(probes).forEach((origin) => delete probes[origin]);
+
+    // Demos that fell back while offline get another chance at the live
+    // demo, the open one is kept until it's closed
+    if (event.type === 'online') {
+      stages.forEach((entry, card) => {
+        if (!entry.offline || card === activeCard) return;
+
+        entry.stage.remove();
+        stages.delete(card);
+        delete card.dataset.embedOffline;
+      });
+
+      schedulePreloads();
+    }
+  }
+
+  /**
+   * Starts handling embed cards for the given Reveal instance
+   */
+  function init(reveal, config) {
+    deck = reveal;
+    options = Object.assign({}, DEFAULT_OPTIONS, config);
+
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKeyDown, true);
+    document.addEventListener('mouseover', onMouseOver);
+    window.addEventListener('online', onNetworkChange);
+    window.addEventListener('offline', onNetworkChange);
+
+    deck.on('slidechanged', onSlideChanged);
+    removeGuard = deck.beforeNavigate(guardOpenDemo);
+
+    if (deck.isReady()) {
+      onSlideChanged();
+    } else {
+      deck.on('ready', onSlideChanged);
+    }
+  }
+
+  function destroy() {
+    close();
+
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKeyDown, true);
+    document.removeEventListener('mouseover', onMouseOver);
+    window.removeEventListener('online', onNetworkChange);
+    window.removeEventListener('offline', onNetworkChange);
+
+    if (deck) {
+      deck.off('slidechanged', onSlideChanged);
+      deck.off('ready', onSlideChanged);
+      removeGuard();
+      removeGuard = null;
+      deck = null;
+    }
+
+    clearTimeout(queueTimeout);
+    queueTimeout = null;
+    queue = [];
+
+    stages.clear();
+    if (layer) {
+      layer.remove();
+      layer = null;
+    }
+  }
+
+  window.Fusefy.embeds = {
+    registerProvider,
+    getProvider,
+    preload,
+    open,
+    close,
+    probe,
+    init,
+    destroy
+  };
+})();
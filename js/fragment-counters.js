@@ -0,0 +1,207 @@
+/**
+ * Declarative counters, progress rings and bars tied to fragments
+ *
+ *   <span data-count-to="92" data-count-suffix="%"></span>
+ *   <circle r="40" data-ring-percent="75"></circle>
+ *   <div class="bar" data-bar-value="60"></div>
+ *
+ * Options:
+ * - data-count-from:     Start value of a counter (default 0)
+ * - data-count-decimals: Number of decimals shown (default 0)
+ * - data-count-prefix / data-count-suffix: Text around the number
+ * - data-bar-max:        Value that fills a bar (default 100)
+ * - data-animate-duration: Duration in ms (default 1200)
+ *
+ * Elements inside a fragment animate forward when the fragment is shown
+ * and reverse when it is hidden, other elements animate when their
+ * slide becomes current. In print and scroll view, and when motion is
+ * reduced (see the reducedMotion option), elements jump straight to
+ * their final state.
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const SELECTOR = '[data-count-to], [data-ring-percent], [data-bar-value]';
+
+  const DEFAULT_DURATION = 1200;
+
+  let deck = null;
+
+  function prefersReducedMotion() {
+    return !!deck && deck.isReducedMotion();
+  }
+
+  /**
+   * True when everything should be shown in its final state
+   */
+  function isStaticView() {
+    return !!deck && (deck.isPrintView() || deck.isScrollView());
+  }
+
+  function easeOutCubic(t) {
+    return 1 - Math.pow(1 - t, 3);
+  }
+
+  /**
+   * Renders an element at progress t (0 = initial, 1 = final state)
+   */
+  function render(el, t) {
+    el._counterProgress = t;
+    const eased = easeOutCubic(t);
+
+    if (el.hasAttribute('data-count-to')) {
+      const from = parseFloat(el.dataset.countFrom || '0');
+      const to = parseFloat(el.dataset.countTo);
+      const decimals = parseInt(el.dataset.countDecimals || '0', 10);
+      const value = from + (to - from) * eased;
+      el.textContent = `${el.dataset.countPrefix || ''}${value.toFixed(decimals)}${el.dataset.countSuffix || ''}`;
+    }
+
+    if (el.hasAttribute('data-ring-percent')) {
+      const circumference = 2 * Math.PI * parseFloat(el.getAttribute('r') || '0');
+      const percent = parseFloat(el.dataset.ringPercent);
+      el.style.strokeDasharray = `${circumference}`;
+      el.style.strokeDashoffset = `${circumference - (circumference * percent * eased) / 100}`;
+    }
+
+    if (el.hasAttribute('data-bar-value')) {
+      const max = parseFloat(el.dataset.barMax || '100');
+      const value = parseFloat(el.dataset.barValue);
+      el.style.width = `${Math.min(100, (value / max) * 100 * eased)}%`;
+    }
+  }
+
+  /**
+   * Animates an element from its current progress to the target
+   */
+  function animate(el, target) {
+    cancelAnimationFrame(el._counterFrame);
+
+    const start = typeof el._counterProgress === 'number' ? el._counterProgress : 0;
+
+    if (start === target) return;
+
+    if (isStaticView() || prefersReducedMotion()) {
+      render(el, target);
+      return;
+    }
+
+    // Reversing a half finished animation takes proportionally less time
+    const duration = parseFloat(el.dataset.animateDuration || DEFAULT_DURATION) * Math.abs(target - start);
+    const startTime = performance.now();
+
+    const step = (now) => {
+      const elapsed = Math.min(1, (now - startTime) / duration);
+      render(el, start + (target - start) * elapsed);
+      if (elapsed < 1) {
+        el._counterFrame = requestAnimationFrame(step);
+      }
+    };
+
+    el._counterFrame = requestAnimationFrame(step);
+  }
+
+  /**
+   * Jumps an element to a state without animating
+   */
+  function jump(el, target) {
+    cancelAnimationFrame(el._counterFrame);
+    render(el, target);
+  }
+
+  function getElementsIn(container) {
+    const elements = [...container.querySelectorAll(SELECTOR)];
+    if (container.matches && container.matches(SELECTOR)) elements.unshift(container);
+    return elements;
+  }
+
+  /**
+   * An element is shown when every fragment around it is visible
+   */
+  function isShown(el) {
+    const fragment = el.closest('.fragment');
+    return !fragment || (fragment.classList.contains('visible') && isShown(fragment.parentElement));
+  }
+
+  /**
+   * Elements animate with the closest fragment they are in
+   */
+  function getElementsForFragments(fragments) {
+    return fragments.flatMap((fragment) =>
+      getElementsIn(fragment).filter((el) => el.closest('.fragment') === fragment)
+    );
+  }
+
+  function onFragmentShown(event) {
+    getElementsForFragments(event.fragments || [event.fragment]).forEach((el) => animate(el, 1));
+  }
+
+  function onFragmentHidden(event) {
+    // Scroll view steps through fragments as it scrolls, but elements
+    // stay in their final state there
+    const target = isStaticView() ? 1 : 0;
+    getElementsForFragments(event.fragments || [event.fragment]).forEach((el) => animate(el, target));
+  }
+
+  /**
+   * Puts every element in the state that matches the deck. Elements on
+   * the current slide animate in, others jump.
+   */
+  function sync() {
+    if (!deck) return;
+
+    const currentSlide = deck.getCurrentSlide();
+
+    getElementsIn(deck.getSlidesElement()).forEach((el) => {
+      if (isStaticView()) {
+        jump(el, 1);
+      } else if (!isShown(el)) {
+        jump(el, 0);
+      } else if (currentSlide && currentSlide.contains(el) && !el.closest('.fragment')) {
+        jump(el, 0);
+        animate(el, 1);
+      } else {
+        jump(el, 1);
+      }
+    });
+  }
+
+  /**
+   * Starts handling animated elements for a Reveal instance
+   */
+  function init(reveal) {
+    if (deck) destroy();
+    deck = reveal;
+
+    deck.on('fragmentshown', onFragmentShown);
+    deck.on('fragmenthidden', onFragmentHidden);
+    deck.on('slidechanged', sync);
+
+    // Print view lays slides out after ready
+    deck.on('pdf-ready', sync);
+
+    if (deck.isReady()) {
+      sync();
+    } else {
+      deck.on('ready', sync);
+    }
+  }
+
+  function destroy() {
+    if (!deck) return;
+
+    deck.off('fragmentshown', onFragmentShown);
+    deck.off('fragmenthidden', onFragmentHidden);
+    deck.off('slidechanged', sync);
+    deck.off('pdf-ready', sync);
+    deck.off('ready', sync);
+    deck = null;
+  }
+
+  window.Fusefy.fragmentCounters = {
+    init,
+    destroy,
+    sync
+  };
+})();
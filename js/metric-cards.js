@@ -0,0 +1,324 @@
+/**
+ * Data-driven before/after metric comparison cards
+ * Renders any number of metrics from an inline JSON block or from data
+ * attributes and animates them when the card's fragment is shown.
+ *
+ * Inline JSON:
+ *
+ *   <div class="card fragment metric-comparison">
+ *     <script type="application/json" class="metric-data">
+ *       {
+ *         "metrics": [
+ *           { "label": "Handling time", "before": 6, "after": 2, "unit": "min", "lowerIsBetter": true }
+ *         ]
+ *       }
+ *     </script>
+ *   </div>
+ *
+ * Data attributes:
+ *
+ *   <div class="card fragment metric-comparison">
+ *     <div data-metric data-label="Orders / min" data-before="10" data-after="50" data-max="66"></div>
+ *   </div>
+ *
+ * Metric options:
+ * - label, before, after (required)
+ * - unit:          Appended to both values
+ * - max:           Value that fills a progress bar (default 100 for "%"
+ *                  units, otherwise the larger of before/after)
+ * - lowerIsBetter: Treat a decrease as an improvement
+ * - colors:        { better, worse, same } classes for the "after" value,
+ *                  can also be given for the whole card
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const CARD_SELECTOR = '.metric-comparison';
+
+  const DEFAULT_COLORS = {
+    better: 'green',
+    worse: 'red',
+    same: ''
+  };
+
+  let deck = null;
+
+  /**
+   * Returns a copy of an object without its undefined values, so that
+   * they don't overwrite defaults in Object.assign()
+   */
+  function withoutUndefined(object) {
+    const result = {};
+    Object.keys(object || {}).forEach((key) => {
+      if (object[key] !== undefined) result[key] = object[key];
+    });
+    return result;
+  }
+
+  /**
+   * Reads the card level options and metric list for a card
+   */
+  function readCardData(card) {
+    if (card._metricData) return card._metricData;
+
+    let data = { metrics: [] };
+
+    const json = card.querySelector('script.metric-data');
+    if (json) {
+      try {
+        data = JSON.parse(json.textContent);
+      } catch (err) {
+        console.error('Invalid metric data in', card, err);
+      }
+
+      if (!data || typeof data !== 'object') data = {};
+
+      data.metrics = (Array.isArray(data.metrics) ? data.metrics : []).map((metric) =>
+        Object.assign({}, metric, {
+          before: parseFloat(metric && metric.before),
+          after: parseFloat(metric && metric.after)
+        })
+      );
+    } else {
+      card.querySelectorAll('[data-metric]').forEach((el) => {
+        const metric = {
+          label: el.dataset.label,
+          before: parseFloat(el.dataset.before),
+          after: parseFloat(el.dataset.after),
+          unit: el.dataset.unit || '',
+          lowerIsBetter: el.dataset.direction === 'lower' || el.hasAttribute('data-lower-is-better')
+        };
+        if (el.dataset.max) metric.max = parseFloat(el.dataset.max);
+        if (el.dataset.colorBetter || el.dataset.colorWorse) {
+          metric.colors = withoutUndefined({ better: el.dataset.colorBetter, worse: el.dataset.colorWorse });
+        }
+        el.remove();
+
+        data.metrics.push(metric);
+      });
+    }
+
+    data.metrics = data.metrics.filter((metric) => {
+      if (!isNaN(metric.before) && !isNaN(metric.after)) return true;
+
+      console.warn('Invalid metric values in', card, metric);
+      return false;
+    });
+
+    data.colors = Object.assign({}, DEFAULT_COLORS, data.colors, {
+      better: card.dataset.colorBetter || (data.colors && data.colors.better) || DEFAULT_COLORS.better,
+      worse: card.dataset.colorWorse || (data.colors && data.colors.worse) || DEFAULT_COLORS.worse
+    });
+
+    card._metricData = data;
+    return data;
+  }
+
+  /**
+   * Returns the value that represents a full progress bar
+   */
+  function getMax(metric) {
+    if (typeof metric.max === 'number') return metric.max;
+    if (metric.unit === '%') return 100;
+    return Math.max(metric.before, metric.after) || 1;
+  }
+
+  /**
+   * Returns the color class for the "after" value of a metric
+   */
+  function getColorClass(metric, colors) {
+    const rules = Object.assign({}, colors, withoutUndefined(metric.colors));
+    if (metric.after === metric.before) return rules.same || '';
+
+    const increased = metric.after > metric.before;
+    const improved = metric.lowerIsBetter ? !increased : increased;
+    return (improved ? rules.better : rules.worse) || '';
+  }
+
+  function formatValue(value, unit) {
+    const span = document.createElement('span');
+    span.textContent = value;
+    if (unit) {
+      const unitEl = document.createElement('span');
+      unitEl.className = 'metric-unit';
+      unitEl.textContent = unit;
+      span.appendChild(unitEl);
+    }
+    return span.innerHTML;
+  }
+
+  function createProgressRow(label, modifier) {
+    const row = document.createElement('div');
+    row.className = 'progress-row';
+    row.innerHTML = `
+      <span class="progress-label"></span>
+      <div class="progress-bar-bg"><div class="progress-bar-fg ${modifier}"></div></div>
+    `;
+    row.querySelector('.progress-label').textContent = label;
+    return row;
+  }
+
+  /**
+   * Builds the (empty) markup for all metrics of a card
+   */
+  function build(card) {
+    if (card.dataset.metricsBuilt) return;
+
+    const data = readCardData(card);
+
+    let container = card.querySelector('.metrics-container');
+    if (!container) {
+      container = document.createElement('div');
+      container.className = 'metrics-container';
+      card.appendChild(container);
+    }
+    container.innerHTML = '';
+
+    data.metrics.forEach((metric) => {
+      const item = document.createElement('div');
+      item.className = 'metric-item';
+      item.innerHTML = `
+        <div class="metric-header">
+          <span class="metric-label"></span>
+          <span class="metric-value-container"></span>
+        </div>
+        <div class="progress-bars-wrapper"></div>
+      `;
+      item.querySelector('.metric-label').textContent = metric.label;
+
+      const bars = item.querySelector('.progress-bars-wrapper');
+      bars.appendChild(createProgressRow(data.beforeLabel || 'Before', 'before'));
+      bars.appendChild(createProgressRow(data.afterLabel || 'After', 'after'));
+
+      container.appendChild(item);
+    });
+
+    card.dataset.metricsBuilt = 'true';
+  }
+
+  /**
+   * Fills in values and bar widths, bars animate via CSS transitions
+   */
+  function render(card) {
+    build(card);
+
+    const data = readCardData(card);
+    const items = card.querySelectorAll('.metric-item');
+
+    data.metrics.forEach((metric, index) => {
+      const item = items[index];
+      if (!item) return;
+
+      const max = getMax(metric);
+      const unit = metric.unit || '';
+      const colorClass = getColorClass(metric, data.colors);
+
+      item.querySelector('.metric-value-container').innerHTML = `
+        <span class="metric-before">${formatValue(metric.before, unit)}</span>
+        <span class="metric-separator">→</span>
+        <span class="metric-after ${colorClass}">${formatValue(metric.after, unit)}</span>
+      `;
+
+      const toPercent = (value) => `${Math.max(0, Math.min(100, (value / max) * 100))}%`;
+      item.querySelector('.progress-bar-fg.before').style.width = toPercent(metric.before);
+      item.querySelector('.progress-bar-fg.after').style.width = toPercent(metric.after);
+    });
+
+    card.classList.add('metrics-visible');
+  }
+
+  /**
+   * Clears values and collapses the bars
+   */
+  function reset(card) {
+    build(card);
+
+    card.querySelectorAll('.metric-value-container').forEach((el) => {
+      el.innerHTML = '';
+    });
+    card.querySelectorAll('.progress-bar-fg').forEach((bar) => {
+      bar.style.width = '0%';
+    });
+
+    card.classList.remove('metrics-visible');
+  }
+
+  /**
+   * A card is shown when it isn't part of a fragment or when its
+   * fragment is visible
+   */
+  function isCardVisible(card) {
+    const fragment = card.closest('.fragment');
+    return !fragment || fragment.classList.contains('visible');
+  }
+
+  /**
+   * Brings every card in line with its fragment state, used when the
+   * deck is ready and after slide changes (fragments of slides we
+   * navigate past are toggled without fragment events)
+   */
+  function sync() {
+    const printing = deck && deck.isPrintView && deck.isPrintView();
+
+    document.querySelectorAll(CARD_SELECTOR).forEach((card) => {
+      if (printing || isCardVisible(card)) {
+        render(card);
+      } else {
+        reset(card);
+      }
+    });
+  }
+
+  function getCardsIn(fragments) {
+    const cards = new Set();
+    fragments.forEach((fragment) => {
+      if (fragment.matches(CARD_SELECTOR)) cards.add(fragment);
+      fragment.querySelectorAll(CARD_SELECTOR).forEach((card) => cards.add(card));
+    });
+    return [...cards];
+  }
+
+  function onFragmentShown(event) {
+    getCardsIn(event.fragments || [event.fragment]).forEach(render);
+  }
+
+  function onFragmentHidden(event) {
+    getCardsIn(event.fragments || [event.fragment]).forEach(reset);
+  }
+
+  /**
+   * Starts managing metric cards for the given Reveal instance
+   */
+  function init(reveal) {
+    deck = reveal;
+
+    deck.on('fragmentshown', onFragmentShown);
+    deck.on('fragmenthidden', onFragmentHidden);
+    deck.on('slidechanged', sync);
+
+    if (deck.isReady()) {
+      sync();
+    } else {
+      deck.on('ready', sync);
+    }
+  }
+
+  function destroy() {
+    if (!deck) return;
+
+    deck.off('fragmentshown', onFragmentShown);
+    deck.off('fragmenthidden', onFragmentHidden);
+    deck.off('slidechanged', sync);
+    deck.off('ready', sync);
+    deck = null;
+  }
+
+  window.Fusefy.metricCards = {
+    init,
+    destroy,
+    render,
+    reset,
+    sync
+  };
+})();
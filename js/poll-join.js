@@ -0,0 +1,244 @@
+/**
+ * Audience page for live polls (join.html)
+ * Joins the room of a deck through the relay with the code from the QR
+ * code on a poll (see js/polls.js):
+ *
+ *   join.html?room=ABC123&relay=ws://host:8001
+ *
+ * Shows the poll on the presenter's current slide. Choices can be
+ * changed until the poll is locked, questions can be asked and upvoted
+ * in Q&A polls.
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const MAX_RECONNECT_DELAY = 10000;
+
+  const VOTER_KEY = 'fusefy-voter';
+
+  let options = null;
+  let socket = null;
+  let poll = null;
+  let error = null;
+  let reconnectDelay = 1000;
+  let reconnectTimeout = null;
+
+  // Poll id -> option index or list of upvoted question ids
+  const choices = {};
+
+  let elements = {};
+
+  function getOptions() {
+    const params = new URLSearchParams(window.location.search);
+
+    return {
+      room: params.get('room'),
+      relay: params.get('relay')
+    };
+  }
+
+  /**
+   * Returns an id for this device, so that votes can be changed
+   * instead of counted again after a reload
+   */
+  function getVoterId() {
+    let id = null;
+
+    try {
+      id = window.localStorage.getItem(VOTER_KEY);
+      if (!id) {
+        id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        window.localStorage.setItem(VOTER_KEY, id);
+      }
+    } catch (err) {
+      id = null;
+    }
+
+    return id;
+  }
+
+  function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  function scheduleReconnect() {
+    reconnectTimeout = setTimeout(connect, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  }
+
+  function connect() {
+    clearTimeout(reconnectTimeout);
+
+    const current = new WebSocket(options.relay);
+    socket = current;
+
+    socket.addEventListener('open', () => {
+      reconnectDelay = 1000;
+      send({ type: 'join', role: 'audience', room: options.room, voter: getVoterId() });
+    });
+
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        return;
+      }
+      onMessage(message);
+    });
+
+    socket.addEventListener('close', () => {
+      if (socket !== current) return;
+      socket = null;
+
+      scheduleReconnect();
+      render();
+    });
+  }
+
+  function onMessage(message) {
+    if (message.type === 'poll') {
+      error = null;
+      poll = message.poll;
+    } else if (message.type === 'error') {
+      error = message.message;
+
+      // The deck isn't connected (yet), try again
+      if (message.message === 'Unknown room' && socket) socket.close();
+    }
+
+    render();
+  }
+
+  function vote(option) {
+    if (!poll || poll.locked) return;
+
+    if (poll.type === 'questions') {
+      const upvoted = choices[poll.id] || (choices[poll.id] = []);
+      const index = upvoted.indexOf(option);
+      if (index === -1) upvoted.push(option);
+      else upvoted.splice(index, 1);
+    } else {
+      choices[poll.id] = option;
+    }
+
+    send({ type: 'vote', poll: poll.id, option });
+    render();
+  }
+
+  function ask(event) {
+    event.preventDefault();
+
+    const text = elements.questionInput.value.trim();
+    if (!poll || poll.locked || !text) return;
+
+    send({ type: 'question', poll: poll.id, text });
+    elements.questionInput.value = '';
+  }
+
+  function renderChoices() {
+    const choice = choices[poll.id];
+    const total = poll.results ? poll.results.reduce((sum, votes) => sum + votes, 0) : 0;
+
+    elements.options.innerHTML = '';
+
+    poll.options.forEach((label, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'join-option';
+      button.disabled = poll.locked;
+      button.classList.toggle('is-chosen', choice === index);
+      button.textContent = label;
+
+      if (poll.results) {
+        const percent = total ? Math.round((poll.results[index] / total) * 100) : 0;
+        const result = document.createElement('span');
+        result.className = 'join-result';
+        result.textContent = `${percent}%`;
+        button.appendChild(result);
+        button.style.setProperty('--result', `${percent}%`);
+      }
+
+      button.addEventListener('click', () => vote(index));
+      elements.options.appendChild(button);
+    });
+  }
+
+  function renderQuestions() {
+    const upvoted = choices[poll.id] || [];
+
+    elements.options.innerHTML = '';
+
+    (poll.questions || []).forEach((question) => {
+      const item = document.createElement('div');
+      item.className = 'join-question';
+
+      const text = document.createElement('span');
+      text.textContent = question.text;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'join-upvote';
+      button.disabled = poll.locked;
+      button.classList.toggle('is-chosen', upvoted.indexOf(question.id) !== -1);
+      button.textContent = `▲ ${question.votes}`;
+      button.addEventListener('click', () => vote(question.id));
+
+      item.append(text, button);
+      elements.options.appendChild(item);
+    });
+  }
+
+  function render() {
+    const connected = !!(socket && socket.readyState === WebSocket.OPEN);
+
+    let state;
+    if (error) state = error === 'Unknown room' ? 'Waiting for the presenter…' : error;
+    else if (!connected) state = 'Connecting…';
+    else if (!poll) state = 'Waiting for the next poll…';
+    else if (poll.locked) state = 'Voting is closed';
+    else state = poll.type === 'questions' ? 'Ask a question or upvote one' : 'Tap to vote, you can change your vote';
+
+    elements.state.textContent = state;
+    elements.question.textContent = poll ? poll.question : '';
+    elements.ask.hidden = !poll || poll.type !== 'questions' || poll.locked;
+
+    if (!poll) {
+      elements.options.innerHTML = '';
+      return;
+    }
+
+    if (poll.type === 'questions') renderQuestions();
+    else renderChoices();
+  }
+
+  /**
+   * Binds the join page to its elements and joins the deck's room
+   */
+  function init() {
+    options = getOptions();
+
+    document.querySelectorAll('[data-join]').forEach((element) => {
+      elements[element.getAttribute('data-join')] = element;
+    });
+
+    elements.ask.addEventListener('submit', ask);
+
+    if (!options.room || !options.relay) {
+      error = 'Scan the QR code on the poll to join';
+      render();
+      return;
+    }
+
+    render();
+    connect();
+  }
+
+  window.Fusefy.pollJoin = {
+    init,
+    vote
+  };
+})();
@@ -0,0 +1,694 @@
+/**
+ * Live audience polls and Q&A
+ * Drop a poll into a slide, the audience joins with the QR code on it
+ * (join.html) and votes or asks questions through the WebSocket relay
+ * started by `gulp serve`. Results are shown live as progress bars.
+ *
+ * Inline JSON:
+ *
+ *   <div class="poll" data-poll="channels">
+ *     <script type="application/json" class="poll-data">
+ *       { "question": "Where do most orders come from?", "options": ["App", "Web", "Phone"] }
+ *     </script>
+ *   </div>
+ *
+ * Data attributes, polls without options collect questions (Q&A) that
+ * the audience can upvote:
+ *
+ *   <div class="poll" data-poll="qa" data-question="Questions?"></div>
+ *   <div class="poll" data-poll="pilot" data-question="Start a pilot?">
+ *     <span data-option>Yes</span><span data-option>Not yet</span>
+ *   </div>
+ *
+ * Presenter steps are fragments on the same slide (or pointing to a
+ * poll with data-poll-target), they are undone when stepping back:
+ *
+ *   <span class="fragment" data-poll-action="lock"></span>    Stop voting
+ *   <span class="fragment" data-poll-action="reveal"></span>  Show results
+ *   <span class="fragment" data-poll-action="reset"></span>   Clear results
+ *
+ * Results of polls with a reveal step stay hidden until it's shown,
+ * all others are live. Results are kept in localStorage so that they
+ * survive reloads, and can be exported with the button on the poll or
+ * Fusefy.polls.download("csv" | "json").
+ *
+ * Options (fusefy.polls in the Reveal config), pass false to disable:
+ * - url:  URL of the relay (?sync-url=), defaults to the port after
+ *         the one the deck is served from
+ * - key:  Presenter key, if the relay was started with --sync-key
+ *         (?sync-key=)
+ * - page: URL of the join page, relative to the deck
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const POLL_SELECTOR = '.poll';
+  const ACTION_SELECTOR = '[data-poll-action]';
+
+  const DEFAULT_OPTIONS = {
+    url: null,
+    key: null,
+    page: 'join.html'
+  };
+
+  // Votes arrive in bursts, the audience and storage are updated at
+  // most this often
+  const UPDATE_DELAY = 250;
+
+  const MAX_QUESTIONS = 200;
+
+  let deck = null;
+  let options = DEFAULT_OPTIONS;
+
+  // Poll id -> { id, type, question, options, votes, questions, locked, revealed }
+  const polls = new Map();
+
+  // Reset steps -> results from before the reset, to undo it
+  const snapshots = new Map();
+
+  let activeId = null;
+  let questionCount = 0;
+
+  // Relay client, see js/relay-client.js
+  let client = null;
+  let audience = 0;
+
+  /**
+   * Translates a UI string to the deck's language, see Reveal.t()
+   */
+  function t(text, values) {
+    return deck ? deck.t(text, values) : text;
+  }
+  let updateTimeout = null;
+
+  function getStorageKey() {
+    return `fusefy-polls:${window.location.pathname}`;
+  }
+
+  function loadResults() {
+    try {
+      return JSON.parse(window.localStorage.getItem(getStorageKey())) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  function saveResults() {
+    const results = {};
+    polls.forEach((poll) => {
+      results[poll.id] = { votes: poll.votes, questions: poll.questions };
+    });
+
+    try {
+      window.localStorage.setItem(getStorageKey(), JSON.stringify(results));
+    } catch (err) {
+      console.warn('Polls: Could not save results', err);
+    }
+  }
+
+  /**
+   * Reads the question and options of a poll element
+   */
+  function readPollData(element, index) {
+    let data = {};
+
+    const json = element.querySelector('script.poll-data');
+    if (json) {
+      try {
+        data = JSON.parse(json.textContent);
+      } catch (err) {
+        console.error('Invalid poll data in', element, err);
+      }
+      json.remove();
+    } else {
+      data.question = element.dataset.question || '';
+      data.options = [...element.querySelectorAll('[data-option]')].map((option) => {
+        option.remove();
+        return option.textContent.trim();
+      });
+    }
+
+    const options = Array.isArray(data.options) ? data.options.map(String) : [];
+
+    return {
+      id: element.dataset.poll || `poll-${index + 1}`,
+      type: data.type || element.dataset.pollType || (options.length ? 'choice' : 'questions'),
+      question: data.question || '',
+      options,
+      votes: {},
+      questions: [],
+      locked: false,
+      revealed: true
+    };
+  }
+
+  function createProgressRow() {
+    const row = document.createElement('div');
+    row.className = 'progress-row';
+    row.innerHTML = `
+      <span class="progress-label"></span>
+      <div class="progress-bar-bg"><div class="progress-bar-fg after"></div></div>
+      <span class="poll-value"></span>
+    `;
+    return row;
+  }
+
+  /**
+   * Builds the markup of a poll element and registers the poll
+   */
+  function build(element, index, stored) {
+    // Built before, when the plugin is initialized again
+    if (element._poll) {
+      polls.set(element._poll.id, element._poll);
+      return;
+    }
+
+    const poll = readPollData(element, index);
+    element.dataset.poll = poll.id;
+
+    if (stored[poll.id]) {
+      poll.votes = stored[poll.id].votes || {};
+      poll.questions = stored[poll.id].questions || [];
+    }
+
+    polls.set(poll.id, poll);
+    element._poll = poll;
+
+    element.classList.add(`poll-${poll.type}`);
+    element.insertAdjacentHTML(
+      'beforeend',
+      `
+      <div class="poll-header">
+        <h3 class="poll-question"></h3>
+        <span class="poll-count"></span>
+      </div>
+      <div class="poll-content">
+        <div class="progress-bars-wrapper poll-results"></div>
+        <div class="poll-join"></div>
+      </div>
+      <button type="button" class="poll-export"></button>
+    `
+    );
+    element.querySelector('.poll-question').textContent = poll.question;
+
+    const exportButton = element.querySelector('.poll-export');
+    exportButton.textContent = t('Export');
+    exportButton.title = t('Export the results of all polls');
+  }
+
+  function getPollElements(id) {
+    return [...document.querySelectorAll(`${POLL_SELECTOR}[data-poll="${CSS.escape(id)}"]`)];
+  }
+
+  /**
+   * Returns the results of a poll as [{ label, votes }], questions are
+   * sorted by votes
+   */
+  function getResults(poll) {
+    if (poll.type === 'questions') {
+      return poll.questions
+        .map((question) => ({ id: question.id, label: question.text, votes: question.votes.length }))
+        .sort((a, b) => b.votes - a.votes);
+    }
+
+    const counts = poll.options.map(() => 0);
+    Object.keys(poll.votes).forEach((voter) => {
+      if (counts[poll.votes[voter]] !== undefined) counts[poll.votes[voter]]++;
+    });
+
+    return poll.options.map((label, index) => ({ label, votes: counts[index] }));
+  }
+
+  function getResponseCount(poll) {
+    return poll.type === 'questions' ? poll.questions.length : Object.keys(poll.votes).length;
+  }
+
+  function getRoom() {
+    return client ? client.getRoom() : null;
+  }
+
+  function getJoinLink() {
+    const url = new URL(options.page, window.location.href);
+    url.searchParams.set('room', getRoom());
+    url.searchParams.set('relay', options.url);
+    return url.href;
+  }
+
+  function renderJoin(element) {
+    const join = element.querySelector('.poll-join');
+    join.innerHTML = '';
+
+    if (!client || !client.isConnected()) {
+      const error = client && client.getError();
+      join.textContent = error ? t('Voting unavailable: {error}', { error }) : t('Connecting to the relay…');
+      return;
+    }
+
+    const link = getJoinLink();
+
+    if (typeof window.qrcode === 'function') {
+      const code = window.qrcode(0, 'M');
+      code.addData(link);
+      code.make();
+
+      const image = document.createElement('div');
+      image.className = 'poll-join-code';
+      image.innerHTML = code.createSvgTag({ cellSize: 4, margin: 4, scalable: true });
+      join.appendChild(image);
+    }
+
+    const anchor = document.createElement('a');
+    anchor.href = link;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener';
+    anchor.textContent = getRoom();
+
+    const text = document.createElement('p');
+    text.append(`${t('Join with code')} `, anchor);
+    join.appendChild(text);
+  }
+
+  /**
+   * Updates the results of a poll, bars animate via CSS transitions
+   */
+  function render(id) {
+    const poll = polls.get(id);
+    if (!poll) return;
+
+    const results = getResults(poll);
+    const total = results.reduce((sum, result) => sum + result.votes, 0);
+    const max = poll.type === 'questions' ? Math.max(1, ...results.map((result) => result.votes)) : Math.max(1, total);
+    const responses = getResponseCount(poll);
+
+    getPollElements(id).forEach((element) => {
+      element.classList.toggle('is-locked', poll.locked);
+      element.classList.toggle('is-revealed', poll.revealed);
+
+      const label = poll.type === 'questions' ? '{count} question' : '{count} vote';
+      const count = t(responses === 1 ? label : `${label}s`, { count: responses });
+      element.querySelector('.poll-count').textContent = poll.locked ? `${count} · ${t('closed')}` : count;
+
+      const container = element.querySelector('.poll-results');
+      const rows = container.querySelectorAll('.progress-row');
+
+      // Questions come and go, choices keep their rows so that the
+      // bars can animate
+      if (rows.length !== results.length) {
+        container.innerHTML = '';
+        results.forEach(() => container.appendChild(createProgressRow()));
+      }
+
+      container.querySelectorAll('.progress-row').forEach((row, index) => {
+        const result = results[index];
+        const percent = Math.round((result.votes / max) * 100);
+
+        row.querySelector('.progress-label').textContent = result.label;
+        row.querySelector('.progress-bar-fg').style.width = poll.revealed ? `${percent}%` : '0%';
+        row.querySelector('.poll-value').textContent = !poll.revealed
+          ? ''
+          : poll.type === 'questions'
+            ? `▲ ${result.votes}`
+            : `${result.votes} · ${total ? Math.round((result.votes / total) * 100) : 0}%`;
+      });
+
+      renderJoin(element);
+    });
+  }
+
+  function renderAll() {
+    polls.forEach((poll) => render(poll.id));
+  }
+
+  /**
+   * What the audience gets to see of the active poll
+   */
+  function getPublicPoll() {
+    const poll = polls.get(activeId);
+    if (!poll) return null;
+
+    return {
+      id: poll.id,
+      type: poll.type,
+      question: poll.question,
+      options: poll.options,
+      locked: poll.locked,
+      questions:
+        poll.type === 'questions'
+          ? getResults(poll).map((result) => ({ id: result.id, text: result.label, votes: result.votes }))
+          : undefined,
+      results: poll.revealed && poll.type === 'choice' ? getResults(poll).map((result) => result.votes) : null
+    };
+  }
+
+  function send(message) {
+    if (client) client.send(message);
+  }
+
+  /**
+   * Sends the active poll to the audience and saves the results, at
+   * most every UPDATE_DELAY ms
+   */
+  function scheduleUpdate() {
+    if (updateTimeout) return;
+
+    updateTimeout = setTimeout(() => {
+      updateTimeout = null;
+      send({ type: 'poll', poll: getPublicPoll() });
+      saveResults();
+    }, UPDATE_DELAY);
+  }
+
+  function connect() {
+    client = window.Fusefy.relay.connect({
+      url: options.url,
+      role: 'presenter',
+      key: options.key,
+      onMessage,
+      onChange: renderAll
+    });
+  }
+
+  function onMessage(message) {
+    if (message.type === 'joined') {
+      send({ type: 'poll', poll: getPublicPoll() });
+      renderAll();
+    } else if (message.type === 'viewers') {
+      audience = message.audience || 0;
+    } else if (message.type === 'vote') {
+      onVote(message);
+    } else if (message.type === 'question') {
+      onQuestion(message);
+    } else if (message.type === 'error') {
+      console.warn(`Polls: ${message.message}`);
+      renderAll();
+    }
+  }
+
+  /**
+   * Votes for an option, or upvotes a question. Every voter has one
+   * vote per poll and can change it until the poll is locked.
+   */
+  function onVote({ poll: id, option, voter }) {
+    const poll = polls.get(id);
+    if (!poll || poll.locked || !voter) return;
+
+    if (poll.type === 'questions') {
+      const question = poll.questions.find((q) => q.id === option);
+      if (!question) return;
+
+      const index = question.votes.indexOf(voter);
+      if (index === -1) question.votes.push(voter);
+      else question.votes.splice(index, 1);
+    } else {
+      if (!Number.isInteger(option) || option < 0 || option >= poll.options.length) return;
+      poll.votes[voter] = option;
+    }
+
+    render(id);
+    scheduleUpdate();
+  }
+
+  function onQuestion({ poll: id, text, voter }) {
+    const poll = polls.get(id);
+    if (!poll || poll.type !== 'questions' || poll.locked || !text) return;
+    if (poll.questions.length >= MAX_QUESTIONS) return;
+
+    poll.questions.push({ id: `q${Date.now().toString(36)}${++questionCount}`, text, voter, votes: [] });
+
+    render(id);
+    scheduleUpdate();
+  }
+
+  /**
+   * Returns the poll that a presenter step applies to
+   */
+  function getTargetPoll(step) {
+    if (step.dataset.pollTarget) return polls.get(step.dataset.pollTarget);
+
+    const slide = step.closest('section');
+    const element = step.closest(POLL_SELECTOR) || (slide && slide.querySelector(POLL_SELECTOR));
+    return element ? polls.get(element.dataset.poll) : null;
+  }
+
+  /**
+   * Locks and reveals polls according to the lock and reveal steps of
+   * a slide that are shown
+   */
+  function applySteps(slide) {
+    if (!slide) return;
+
+    const states = new Map();
+
+    slide.querySelectorAll(ACTION_SELECTOR).forEach((step) => {
+      const action = step.dataset.pollAction;
+      const poll = getTargetPoll(step);
+      if (!poll || (action !== 'lock' && action !== 'reveal')) return;
+
+      const state = states.get(poll) || {};
+      const shown = step.classList.contains('visible');
+      state[action] = state[action] || shown;
+      states.set(poll, state);
+    });
+
+    states.forEach((state, poll) => {
+      if (state.lock !== undefined) poll.locked = state.lock;
+      if (state.reveal !== undefined) poll.revealed = state.reveal;
+      render(poll.id);
+    });
+
+    if (states.size) scheduleUpdate();
+  }
+
+  function getSteps(fragments, action) {
+    const steps = [];
+    fragments.forEach((fragment) => {
+      if (fragment.matches(`[data-poll-action="${action}"]`)) steps.push(fragment);
+      fragment.querySelectorAll(`[data-poll-action="${action}"]`).forEach((step) => steps.push(step));
+    });
+    return steps;
+  }
+
+  function onFragmentShown(event) {
+    getSteps(event.fragments || [event.fragment], 'reset').forEach((step) => {
+      const poll = getTargetPoll(step);
+      if (!poll) return;
+
+      snapshots.set(step, { votes: poll.votes, questions: poll.questions });
+      reset(poll.id);
+    });
+
+    applySteps(deck.getCurrentSlide());
+  }
+
+  function onFragmentHidden(event) {
+    getSteps(event.fragments || [event.fragment], 'reset').forEach((step) => {
+      const poll = getTargetPoll(step);
+      const snapshot = snapshots.get(step);
+      if (!poll || !snapshot) return;
+
+      poll.votes = snapshot.votes;
+      poll.questions = snapshot.questions;
+      snapshots.delete(step);
+
+      render(poll.id);
+      scheduleUpdate();
+    });
+
+    applySteps(deck.getCurrentSlide());
+  }
+
+  /**
+   * Makes the poll on the current slide the one the audience votes on,
+   * the relay is only connected once a slide with a poll is shown
+   */
+  function onSlideChanged() {
+    const slide = deck.getCurrentSlide();
+    const element = slide && slide.querySelector(POLL_SELECTOR);
+
+    applySteps(slide);
+
+    activeId = element ? element.dataset.poll : null;
+
+    if (activeId && !client) connect();
+    else send({ type: 'poll', poll: getPublicPoll() });
+  }
+
+  function onExportClick(event) {
+    if (event.target.closest('.poll-export')) download('csv');
+  }
+
+  /**
+   * Sets up all polls in the deck
+   */
+  function setup() {
+    const stored = loadResults();
+
+    document.querySelectorAll(POLL_SELECTOR).forEach((element, index) => {
+      build(element, index, stored);
+    });
+
+    // Polls with a reveal step hide their results until it's shown
+    document.querySelectorAll(ACTION_SELECTOR).forEach((step) => {
+      const poll = getTargetPoll(step);
+      if (poll && step.dataset.pollAction === 'reveal') poll.revealed = false;
+    });
+
+    // Print and PDF exports show the results
+    if (deck.isPrintView()) {
+      polls.forEach((poll) => {
+        poll.revealed = true;
+      });
+    }
+
+    renderAll();
+
+    if (!deck.isPrintView()) onSlideChanged();
+  }
+
+  /**
+   * Clears the votes and questions of a poll
+   */
+  function reset(id) {
+    const poll = polls.get(id);
+    if (!poll) return;
+
+    poll.votes = {};
+    poll.questions = [];
+
+    render(id);
+    scheduleUpdate();
+  }
+
+  function lock(id, value = true) {
+    const poll = polls.get(id);
+    if (!poll) return;
+
+    poll.locked = value;
+    render(id);
+    scheduleUpdate();
+  }
+
+  function reveal(id, value = true) {
+    const poll = polls.get(id);
+    if (!poll) return;
+
+    poll.revealed = value;
+    render(id);
+    scheduleUpdate();
+  }
+
+  /**
+   * Returns the results of all polls
+   */
+  function exportResults() {
+    return [...polls.values()].map((poll) => {
+      const results = getResults(poll);
+      const total = results.reduce((sum, result) => sum + result.votes, 0);
+
+      return {
+        id: poll.id,
+        type: poll.type,
+        question: poll.question,
+        responses: getResponseCount(poll),
+        results: results.map((result) => ({
+          label: result.label,
+          votes: result.votes,
+          percent: poll.type === 'choice' && total ? Math.round((result.votes / total) * 100) : null
+        }))
+      };
+    });
+  }
+
+  function toCSV(results) {
+    const quote = (value) => `"${String(value === null ? '' : value).replace(/"/g, '""')}"`;
+    const lines = [['poll', 'type', 'question', 'answer', 'votes', 'percent'].join(',')];
+
+    results.forEach((poll) => {
+      poll.results.forEach((result) => {
+        lines.push(
+          [poll.id, poll.type, poll.question, result.label, result.votes, result.percent].map(quote).join(',')
+        );
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Downloads the results of all polls as "csv" or "json"
+   */
+  function download(format = 'json') {
+    const results = exportResults();
+    const csv = format === 'csv';
+
+    const blob = new Blob([csv ? toCSV(results) : JSON.stringify(results, null, 2)], {
+      type: csv ? 'text/csv' : 'application/json'
+    });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `poll-results.${csv ? 'csv' : 'json'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  /**
+   * Starts managing polls for the given Reveal instance
+   */
+  function init(reveal, config) {
+    if (deck) destroy();
+    if (config === false) return;
+
+    if (reveal.isSpeakerNotes()) return;
+
+    deck = reveal;
+    options = window.Fusefy.relay.getOptions(DEFAULT_OPTIONS, config);
+
+    deck.on('fragmentshown', onFragmentShown);
+    deck.on('fragmenthidden', onFragmentHidden);
+    deck.on('slidechanged', onSlideChanged);
+    document.addEventListener('click', onExportClick);
+
+    if (deck.isReady()) {
+      setup();
+    } else {
+      deck.on('ready', setup);
+    }
+  }
+
+  function destroy() {
+    if (!deck) return;
+
+    deck.off('fragmentshown', onFragmentShown);
+    deck.off('fragmenthidden', onFragmentHidden);
+    deck.off('slidechanged', onSlideChanged);
+    deck.off('ready', setup);
+    document.removeEventListener('click', onExportClick);
+    deck = null;
+
+    clearTimeout(updateTimeout);
+    updateTimeout = null;
+    if (client) client.close();
+    client = null;
+
+    polls.clear();
+    snapshots.clear();
+    activeId = null;
+  }
+
+  window.Fusefy.polls = {
+    init,
+    destroy,
+    lock,
+    reveal,
+    reset,
+    exportResults,
+    download,
+    getRoom,
+    getAudienceCount: () => audience
+  };
+})();
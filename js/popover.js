@@ -0,0 +1,469 @@
+/**
+ * Popover engine shared by info boxes, explanation popups and tooltips
+ *
+ * Popovers are positioned next to their trigger with flip/shift
+ * collision handling. Measurements happen in screen pixels and are then
+ * converted into the (scaled) coordinate space the popover is laid out
+ * in, so popovers inside .reveal .slides stay on screen whatever scale
+ * Reveal applies.
+ *
+ * Supported pairs:
+ * - .funnel-level-N           → #info-box-(N-1)
+ * - .future-card-title        → .explanation-popup in the same .future-card
+ * - [data-popover="id"]       → #id
+ * - element with a .tooltip child, or [data-tooltip="text"]
+ *
+ * Triggers open on hover, keyboard focus and click/tap (click pins the
+ * popover until clicking elsewhere). Placement defaults per type and can
+ * be set with data-placement="top|right|bottom|left" on the trigger or
+ * popover. All popovers close when the slide changes or on Escape.
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  // Space between trigger and popover, in screen pixels
+  const OFFSET = 10;
+
+  // Minimum distance kept to the edges of the slide area
+  const PADDING = 8;
+
+  // Delay before closing on mouse out, lets the pointer reach the popover
+  const HIDE_DELAY = 200;
+
+  const OPPOSITE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+  /**
+   * Popover types. match() returns the trigger for an event target (or
+   * null), find() returns the popover for a trigger.
+   */
+  const types = [
+    {
+      name: 'info-box',
+      placement: 'right',
+      openClass: 'hover-visible',
+      match: (target) => target.closest('.funnel-level'),
+      find: (trigger) => {
+        const levelClass = Array.from(trigger.classList).find((cls) => /^funnel-level-\d+$/.test(cls));
+        if (!levelClass) return null;
+        return document.getElementById(`info-box-${parseInt(levelClass.split('-').pop()) - 1}`);
+      }
+    },
+    {
+      name: 'explanation',
+      placement: 'bottom',
+      openClass: 'active',
+      match: (target) => target.closest('.future-card-title'),
+      find: (trigger) => {
+        const card = trigger.closest('.future-card');
+        return card ? card.querySelector('.explanation-popup') : null;
+      }
+    },
+    {
+      name: 'popover',
+      placement: 'bottom',
+      match: (target) => target.closest('[data-popover]'),
+      find: (trigger) => document.getElementById(trigger.dataset.popover)
+    },
+    {
+      name: 'tooltip',
+      placement: 'top',
+      match: (target) => {
+        for (let el = target; el && el !== document.body; el = el.parentElement) {
+          if (el.hasAttribute('data-tooltip') || el.querySelector(':scope > .tooltip')) return el;
+        }
+        return null;
+      },
+      find: (trigger) => {
+        let tooltip = trigger.querySelector(':scope > .tooltip');
+        if (!tooltip && trigger.dataset.tooltip) {
+          tooltip = document.createElement('div');
+          tooltip.className = 'tooltip';
+          tooltip.textContent = trigger.dataset.tooltip;
+          trigger.appendChild(tooltip);
+        }
+        return tooltip;
+      }
+    }
+  ];
+
+  const TRIGGER_SELECTOR = '.funnel-level, .future-card-title, [data-popover], [data-tooltip]';
+
+  let deck = null;
+
+  // Open popovers mapped to { trigger, type, pinned, hideTimeout }
+  const open = new Map();
+
+  // Pointer type of the last pointerdown, taps shouldn't count as hovers
+  let lastPointerType = 'mouse';
+
+  /**
+   * Returns { trigger, popover, type } for an event target, if any
+   */
+  function resolve(target) {
+    if (!target || !target.closest) return null;
+
+    for (const type of types) {
+      const trigger = type.match(target);
+      const popover = trigger && type.find(trigger);
+      if (popover) return { trigger, popover, type };
+    }
+    return null;
+  }
+
+  function getPopoverFor(target) {
+    if (!target || !target.closest) return null;
+    for (const popover of open.keys()) {
+      if (popover.contains(target)) return popover;
+    }
+    return null;
+  }
+
+  /**
+   * The area popovers have to stay within, in screen pixels
+   */
+  function getBoundary() {
+    let rect = { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight };
+
+    const slides = deck && deck.getSlidesElement ? deck.getSlidesElement() : document.querySelector('.reveal .slides');
+    if (slides) {
+      const slidesRect = slides.getBoundingClientRect();
+      if (slidesRect.width && slidesRect.height) {
+        rect = {
+          left: Math.max(rect.left, slidesRect.left),
+          top: Math.max(rect.top, slidesRect.top),
+          right: Math.min(rect.right, slidesRect.right),
+          bottom: Math.min(rect.bottom, slidesRect.bottom)
+        };
+      }
+    }
+
+    return {
+      left: rect.left + PADDING,
+      top: rect.top + PADDING,
+      right: rect.right - PADDING,
+      bottom: rect.bottom - PADDING
+    };
+  }
+
+  /**
+   * Screen position of a popover of the given size at a placement
+   */
+  function place(placement, anchor, width, height) {
+    switch (placement) {
+      case 'top':
+        return { x: anchor.left + anchor.width / 2 - width / 2, y: anchor.top - OFFSET - height };
+      case 'bottom':
+        return { x: anchor.left + anchor.width / 2 - width / 2, y: anchor.bottom + OFFSET };
+      case 'left':
+        return { x: anchor.left - OFFSET - width, y: anchor.top + anchor.height / 2 - height / 2 };
+      default:
+        return { x: anchor.right + OFFSET, y: anchor.top + anchor.height / 2 - height / 2 };
+    }
+  }
+
+  /**
+   * Space available on the given side of the anchor
+   */
+  function spaceOn(placement, anchor, boundary) {
+    switch (placement) {
+      case 'top': return anchor.top - boundary.top;
+      case 'bottom': return boundary.bottom - anchor.bottom;
+      case 'left': return anchor.left - boundary.left;
+      default: return boundary.right - anchor.right;
+    }
+  }
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  /**
+   * Positions a popover next to its trigger
+   */
+  function position(popover, trigger, type) {
+    const preferred = trigger.dataset.placement || popover.dataset.placement || type.placement;
+
+    // Lay the popover out at the top left of its container to measure it
+    popover.style.position = 'absolute';
+    popover.style.left = '0px';
+    popover.style.top = '0px';
+    popover.style.right = 'auto';
+    popover.style.bottom = 'auto';
+
+    const anchor = trigger.getBoundingClientRect();
+    const size = popover.getBoundingClientRect();
+    const boundary = getBoundary();
+    const needed = (placement) => (placement === 'top' || placement === 'bottom' ? size.height : size.width) + OFFSET;
+
+    // Flip to the opposite side if the preferred one doesn't fit and the
+    // opposite side has more room
+    let placement = preferred;
+    if (spaceOn(placement, anchor, boundary) < needed(placement)) {
+      const opposite = OPPOSITE[placement];
+      if (spaceOn(opposite, anchor, boundary) > spaceOn(placement, anchor, boundary)) {
+        placement = opposite;
+      }
+    }
+
+    // Shift along the cross axis to stay inside the boundary
+    let { x, y } = place(placement, anchor, size.width, size.height);
+    x = clamp(x, boundary.left, Math.max(boundary.left, boundary.right - size.width));
+    y = clamp(y, boundary.top, Math.max(boundary.top, boundary.bottom - size.height));
+
+    // Convert from screen pixels into the popover's own coordinate space.
+    // The ratio between on-screen and layout size of the containing block
+    // covers both Reveal's transform and zoom based scaling.
+    const parent = popover.offsetParent || document.body;
+    const parentRect = parent.getBoundingClientRect();
+    const scale = parent.offsetWidth ? parentRect.width / parent.offsetWidth : 1;
+
+    popover.style.left = `${(x - parentRect.left) / scale - parent.clientLeft + parent.scrollLeft}px`;
+    popover.style.top = `${(y - parentRect.top) / scale - parent.clientTop + parent.scrollTop}px`;
+    popover.dataset.popoverPlacement = placement;
+
+    // Point the arrow at the center of the trigger
+    let arrow = popover.querySelector(':scope > .popover-arrow');
+    if (!arrow) {
+      arrow = document.createElement('span');
+      arrow.className = 'popover-arrow';
+      arrow.setAttribute('aria-hidden', 'true');
+      popover.appendChild(arrow);
+    }
+
+    if (placement === 'top' || placement === 'bottom') {
+      const center = clamp(anchor.left + anchor.width / 2 - x, OFFSET, size.width - OFFSET);
+      arrow.style.left = `${center / scale}px`;
+      arrow.style.top = '';
+    } else {
+      const center = clamp(anchor.top + anchor.height / 2 - y, OFFSET, size.height - OFFSET);
+      arrow.style.top = `${center / scale}px`;
+      arrow.style.left = '';
+    }
+  }
+
+  /**
+   * Opens the popover for a trigger
+   */
+  function show(trigger, options = {}) {
+    const resolved = resolve(trigger);
+    if (!resolved) return;
+
+    const { popover, type } = resolved;
+    const state = open.get(popover);
+
+    if (state) {
+      clearTimeout(state.hideTimeout);
+      state.pinned = state.pinned || options.pinned === true;
+      return;
+    }
+
+    // Only one popover at a time, pinned ones included
+    hideAll();
+
+    popover.classList.add('popover-open');
+    if (type.openClass) popover.classList.add(type.openClass);
+    popover.style.display = 'block';
+    trigger.setAttribute('aria-expanded', 'true');
+
+    if (!popover.id) popover.id = `popover-${Math.random().toString(36).slice(2, 9)}`;
+    trigger.setAttribute('aria-describedby', popover.id);
+
+    open.set(popover, { trigger, type, pinned: options.pinned === true, hideTimeout: null });
+    position(popover, trigger, type);
+  }
+
+  /**
+   * Closes a popover
+   */
+  function hide(popover) {
+    const state = open.get(popover);
+    if (!state) return;
+
+    clearTimeout(state.hideTimeout);
+    open.delete(popover);
+
+    popover.classList.remove('popover-open');
+    if (state.type.openClass) popover.classList.remove(state.type.openClass);
+    popover.style.display = '';
+    state.trigger.setAttribute('aria-expanded', 'false');
+  }
+
+  function hideAll() {
+    [...open.keys()].forEach(hide);
+  }
+
+  function hideLater(popover) {
+    const state = open.get(popover);
+    if (!state || state.pinned) return;
+
+    clearTimeout(state.hideTimeout);
+    state.hideTimeout = setTimeout(() => hide(popover), HIDE_DELAY);
+  }
+
+  function onPointerDown(event) {
+    lastPointerType = event.pointerType || 'mouse';
+  }
+
+  function onMouseOver(event) {
+    if (lastPointerType === 'touch') return;
+
+    // Moving onto an open popover keeps it open
+    const popover = getPopoverFor(event.target);
+    if (popover) {
+      clearTimeout(open.get(popover).hideTimeout);
+      return;
+    }
+
+    const resolved = resolve(event.target);
+    if (resolved) show(resolved.trigger);
+  }
+
+  function onMouseOut(event) {
+    const to = event.relatedTarget;
+
+    open.forEach((state, popover) => {
+      const from = event.target;
+      const leaving = state.trigger.contains(from) || popover.contains(from);
+      const staying = to && (state.trigger.contains(to) || popover.contains(to));
+      if (leaving && !staying) hideLater(popover);
+    });
+  }
+
+  function onClick(event) {
+    if (event.target.closest && event.target.closest('.info-box-close, [data-popover-close]')) {
+      const popover = getPopoverFor(event.target);
+      if (popover) {
+        event.preventDefault();
+        event.stopPropagation();
+        hide(popover);
+      }
+      return;
+    }
+
+    if (getPopoverFor(event.target)) return;
+
+    const resolved = resolve(event.target);
+    if (resolved) {
+      const state = open.get(resolved.popover);
+      event.preventDefault();
+      event.stopPropagation();
+
+      // Clicks pin a popover, clicking a pinned popover's trigger (or
+      // tapping a touch-opened one) closes it
+      if (state && state.pinned) {
+        hide(resolved.popover);
+      } else {
+        show(resolved.trigger, { pinned: true });
+      }
+      return;
+    }
+
+    hideAll();
+  }
+
+  function onFocusIn(event) {
+    const resolved = resolve(event.target);
+    if (resolved && resolved.trigger === event.target) show(resolved.trigger);
+  }
+
+  function onFocusOut(event) {
+    const resolved = resolve(event.target);
+    if (resolved && open.has(resolved.popover) && !open.get(resolved.popover).pinned) {
+      hide(resolved.popover);
+    }
+  }
+
+  function onKeyDown(event) {
+    if (event.key === 'Escape' && open.size) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      hideAll();
+    }
+  }
+
+  function onLayout() {
+    open.forEach((state, popover) => position(popover, state.trigger, state.type));
+  }
+
+  /**
+   * Makes triggers reachable with the keyboard
+   */
+  function prepareTriggers() {
+    document.querySelectorAll(TRIGGER_SELECTOR).forEach((trigger) => {
+      if (!trigger.hasAttribute('tabindex') && trigger.tabIndex < 0) {
+        trigger.setAttribute('tabindex', '0');
+      }
+      trigger.setAttribute('aria-expanded', 'false');
+    });
+    document.querySelectorAll('.tooltip').forEach((tooltip) => {
+      tooltip.setAttribute('role', 'tooltip');
+      const trigger = tooltip.parentElement;
+      if (trigger && !trigger.hasAttribute('tabindex') && trigger.tabIndex < 0) {
+        trigger.setAttribute('tabindex', '0');
+      }
+    });
+  }
+
+  function onSlideChanged() {
+    hideAll();
+    prepareTriggers();
+  }
+
+  /**
+   * Starts handling popovers for a Reveal instance
+   */
+  function bind(reveal) {
+    if (deck) unbind();
+    deck = reveal;
+
+    document.addEventListener('pointerdown', onPointerDown, true);
+    document.addEventListener('mouseover', onMouseOver);
+    document.addEventListener('mouseout', onMouseOut);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('focusin', onFocusIn);
+    document.addEventListener('focusout', onFocusOut);
+    document.addEventListener('keydown', onKeyDown, true);
+
+    deck.on('slidechanged', onSlideChanged);
+    deck.on('overviewshown', hideAll);
+    deck.on('resize', onLayout);
+
+    if (deck.isReady()) {
+      prepareTriggers();
+    } else {
+      deck.on('ready', prepareTriggers);
+    }
+  }
+
+  /**
+   * Closes all popovers and removes every listener added by bind()
+   */
+  function unbind() {
+    hideAll();
+
+    document.removeEventListener('pointerdown', onPointerDown, true);
+    document.removeEventListener('mouseover', onMouseOver);
+    document.removeEventListener('mouseout', onMouseOut);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('focusin', onFocusIn);
+    document.removeEventListener('focusout', onFocusOut);
+    document.removeEventListener('keydown', onKeyDown, true);
+
+    if (deck) {
+      deck.off('slidechanged', onSlideChanged);
+      deck.off('overviewshown', hideAll);
+      deck.off('resize', onLayout);
+      deck.off('ready', prepareTriggers);
+      deck = null;
+    }
+  }
+
+  window.Fusefy.popover = {
+    bind,
+    unbind,
+    show,
+    hide,
+    hideAll
+  };
+})();
@@ -0,0 +1,481 @@
+/**
+ * Rehearsal mode with a per-slide pacing report
+ * Press R to start a rehearsal run and R again to stop it. Every run
+ * records the time spent per slide and fragment and is kept in
+ * localStorage, so the report averages over all runs of the deck.
+ *
+ * The report compares the average with each slide's target time
+ * (data-timing, falling back to the defaultTiming config) and suggests
+ * a data-timing for every slide. The suggestions can be downloaded as
+ * an updated deck manifest.
+ *
+ * Options (fusefy.rehearsal in the Reveal config):
+ * - maxRuns:   Number of runs that are kept (default 10)
+ * - roundTo:   Suggested timings are rounded to this many seconds (default 5)
+ * - tolerance: Share of the target a slide may be over or under before
+ *              it's flagged (default 0.15)
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const KEY_CODE_R = 82;
+
+  const STORAGE_PREFIX = 'fusefy-rehearsal:';
+
+  const DEFAULT_OPTIONS = {
+    maxRuns: 10,
+    roundTo: 5,
+    tolerance: 0.15
+  };
+
+  let deck = null;
+  let options = DEFAULT_OPTIONS;
+
+  // The run being recorded, null when not rehearsing
+  let run = null;
+  let position = null;
+  let positionStart = 0;
+
+  let indicator = null;
+  let indicatorInterval = null;
+  let report = null;
+
+  /**
+   * Translates a UI string to the deck's language, see Reveal.t()
+   */
+  function t(text, values) {
+    return deck ? deck.t(text, values) : text;
+  }
+
+  function getStorageKey() {
+    const manifest = Fusefy.slideLoader && Fusefy.slideLoader.getManifest();
+    return STORAGE_PREFIX + (manifest ? manifest.url : window.location.pathname);
+  }
+
+  function getRuns() {
+    try {
+      return JSON.parse(localStorage.getItem(getStorageKey())) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function saveRuns(runs) {
+    try {
+      localStorage.setItem(getStorageKey(), JSON.stringify(runs.slice(-options.maxRuns)));
+    } catch (error) {
+      console.warn('Rehearsal runs could not be saved:', error);
+    }
+  }
+
+  function clearRuns() {
+    localStorage.removeItem(getStorageKey());
+  }
+
+  /**
+   * Slides are identified by the partial they were loaded from, so that
+   * runs still match after slides are reordered in the manifest
+   */
+  function getSlideKey(slide) {
+    const filename = slide.dataset.filename;
+    if (!filename) {
+      const indices = deck.getIndices(slide);
+      return slide.id || `${indices.h}.${indices.v}`;
+    }
+
+    const siblings = [...deck.getSlidesElement().querySelectorAll(`section[data-filename="${CSS.escape(filename)}"]`)];
+    const index = siblings.indexOf(slide);
+    return index > 0 ? `${filename}#${index}` : filename;
+  }
+
+  function formatTime(seconds) {
+    const sign = seconds < 0 ? '-' : '';
+    const abs = Math.round(Math.abs(seconds));
+    return `${sign}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Returns the target time of a slide in seconds, or null
+   */
+  function getTargetTiming(slide) {
+    const timing = parseInt(slide.getAttribute('data-timing'), 10);
+    if (!isNaN(timing)) return timing;
+
+    const defaultTiming = deck.getConfig().defaultTiming;
+    return typeof defaultTiming === 'number' ? defaultTiming : null;
+  }
+
+  function getPosition() {
+    const slide = deck.getCurrentSlide();
+    const indices = deck.getIndices();
+
+    return {
+      key: getSlideKey(slide),
+      fragment: typeof indices.f === 'number' ? indices.f : -1
+    };
+  }
+
+  /**
+   * Adds the time since the last change to the current position
+   */
+  function closePosition() {
+    if (!run || !position || !positionStart) return;
+
+    const seconds = (Date.now() - positionStart) / 1000;
+    const slide = run.slides[position.key] || (run.slides[position.key] = { time: 0, fragments: {} });
+
+    slide.time += seconds;
+    slide.fragments[position.fragment] = (slide.fragments[position.fragment] || 0) + seconds;
+    run.total += seconds;
+
+    positionStart = 0;
+  }
+
+  function openPosition() {
+    position = getPosition();
+    positionStart = deck.isPaused() ? 0 : Date.now();
+  }
+
+  function onPositionChanged() {
+    closePosition();
+    openPosition();
+  }
+
+  function onPaused() {
+    closePosition();
+  }
+
+  function onResumed() {
+    positionStart = Date.now();
+  }
+
+  function updateIndicator() {
+    if (!indicator || !run) return;
+
+    const running = positionStart ? (Date.now() - positionStart) / 1000 : 0;
+    indicator.textContent = t('Rehearsing {time}', { time: formatTime(run.total + running) });
+  }
+
+  function bindRun() {
+    deck.on('slidechanged', onPositionChanged);
+    deck.on('fragmentshown', onPositionChanged);
+    deck.on('fragmenthidden', onPositionChanged);
+    deck.on('paused', onPaused);
+    deck.on('resumed', onResumed);
+
+    indicator = document.createElement('div');
+    indicator.className = 'rehearsal-indicator';
+    document.body.appendChild(indicator);
+    updateIndicator();
+    indicatorInterval = setInterval(updateIndicator, 1000);
+  }
+
+  function unbindRun() {
+    deck.off('slidechanged', onPositionChanged);
+    deck.off('fragmentshown', onPositionChanged);
+    deck.off('fragmenthidden', onPositionChanged);
+    deck.off('paused', onPaused);
+    deck.off('resumed', onResumed);
+
+    clearInterval(indicatorInterval);
+    if (indicator) indicator.remove();
+    indicator = null;
+  }
+
+  function start() {
+    if (run || !deck) return;
+
+    hideReport();
+
+    run = {
+      date: new Date().toISOString(),
+      total: 0,
+      slides: {}
+    };
+
+    openPosition();
+    bindRun();
+  }
+
+  /**
+   * Ends the current run, stores it and shows the report
+   */
+  function stop() {
+    if (!run) return;
+
+    closePosition();
+    unbindRun();
+
+    const runs = getRuns();
+    runs.push(run);
+    saveRuns(runs);
+
+    run = null;
+    position = null;
+
+    showReport();
+  }
+
+  function toggle() {
+    if (run) {
+      stop();
+    } else {
+      start();
+    }
+  }
+
+  function isRehearsing() {
+    return !!run;
+  }
+
+  function roundTiming(seconds) {
+    return Math.max(options.roundTo, Math.round(seconds / options.roundTo) * options.roundTo);
+  }
+
+  /**
+   * Averages all runs per slide, in deck order:
+   *
+   *   [{ key, slide, title, target, average, difference, suggested, status, fragments }]
+   */
+  function getReport() {
+    const runs = getRuns();
+
+    return [...deck.getSlidesElement().querySelectorAll('section')]
+      .filter((slide) => !slide.classList.contains('stack'))
+      .map((slide) => {
+        const key = getSlideKey(slide);
+        const visits = runs.map((r) => r.slides[key]).filter(Boolean);
+        if (!visits.length) return null;
+
+        // Runs that skipped the slide are left out of its average
+        const average = visits.reduce((sum, visit) => sum + visit.time, 0) / visits.length;
+        const target = getTargetTiming(slide);
+
+        // Average time per fragment step, -1 is before the first fragment
+        const fragments = {};
+        visits.forEach((visit) => {
+          Object.keys(visit.fragments).forEach((f) => {
+            fragments[f] = (fragments[f] || 0) + visit.fragments[f] / visits.length;
+          });
+        });
+
+        let status = 'none';
+        if (target !== null) {
+          const difference = average - target;
+          if (Math.abs(difference) <= target * options.tolerance) status = 'ok';
+          else status = difference > 0 ? 'over' : 'under';
+        }
+
+        return {
+          key,
+          slide,
+          title: slide.getAttribute('data-menu-title') || (slide.querySelector('h1, h2') || {}).textContent || key,
+          target,
+          average,
+          difference: target === null ? null : average - target,
+          suggested: roundTiming(average),
+          status,
+          fragments
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Returns a copy of the deck manifest with the suggested timings
+   * written to its entries. Partials with several slides get the
+   * average of their slides.
+   */
+  function getUpdatedManifest() {
+    const manifest = Fusefy.slideLoader && Fusefy.slideLoader.getManifest();
+    if (!manifest) return null;
+
+    const suggestions = {};
+    getReport().forEach((row) => {
+      const filename = row.slide.dataset.filename;
+      if (!filename) return;
+      (suggestions[filename] = suggestions[filename] || []).push(row.suggested);
+    });
+
+    const updateEntry = (entry) => {
+      if (typeof entry === 'string') entry = { src: entry };
+      else entry = Object.assign({}, entry);
+
+      if (Array.isArray(entry.stack)) {
+        entry.stack = entry.stack.map(updateEntry);
+      }
+
+      const timings = entry.src && suggestions[entry.src.replace(/^\.\//, '')];
+      if (timings) {
+        entry.timing = roundTiming(timings.reduce((sum, t) => sum + t, 0) / timings.length);
+      }
+
+      return entry;
+    };
+
+    const updated = Object.assign({}, manifest, { slides: manifest.slides.map(updateEntry) });
+    delete updated.url;
+    return updated;
+  }
+
+  /**
+   * Downloads the manifest with the suggested timings
+   */
+  function downloadManifest() {
+    const manifest = getUpdatedManifest();
+    if (!manifest) return;
+
+    const source = Fusefy.slideLoader.getManifest().url;
+    const blob = new Blob([JSON.stringify(manifest, null, 2) + '\n'], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = source.split('/').pop().split('?')[0].replace(/\.ya?ml$/i, '.json') || 'deck.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function escapeHTML(text) {
+    const el = document.createElement('span');
+    el.textContent = text;
+    return el.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  function renderReport() {
+    const label = (text, values) => escapeHTML(t(text, values));
+    const rows = getReport();
+    const runs = getRuns();
+    const totalTarget = rows.reduce((sum, row) => sum + (row.target || 0), 0);
+    const totalAverage = rows.reduce((sum, row) => sum + row.average, 0);
+
+    const body = rows
+      .map((row) => {
+        const fragments = Object.keys(row.fragments)
+          .sort((a, b) => a - b)
+          .map((f) => `${f < 0 ? label('start') : `#${f}`} ${formatTime(row.fragments[f])}`)
+          .join(' · ');
+
+        return `
+          <tr class="rehearsal-${row.status}">
+            <td>${escapeHTML(row.title.trim())}${Object.keys(row.fragments).length > 1 ? `<div class="rehearsal-fragments">${fragments}</div>` : ''}</td>
+            <td>${row.target === null ? '–' : formatTime(row.target)}</td>
+            <td>${formatTime(row.average)}</td>
+            <td>${row.difference === null ? '–' : (row.difference > 0 ? '+' : '') + formatTime(row.difference)}</td>
+            <td>${row.suggested}s</td>
+          </tr>`;
+      })
+      .join('');
+
+    const summary = [
+      label(runs.length === 1 ? '{count} run' : '{count} runs', { count: runs.length }),
+      label('average {time}', { time: formatTime(totalAverage) })
+    ];
+    if (totalTarget) summary.push(label('target {time}', { time: formatTime(totalTarget) }));
+
+    return `
+      <div class="rehearsal-report-content">
+        <button class="rehearsal-close" aria-label="${label('Close')}">×</button>
+        <h2>${label('Rehearsal report')}</h2>
+        <p>${summary.join(' · ')}</p>
+        <table>
+          <thead>
+            <tr><th>${label('Slide')}</th><th>${label('Target')}</th><th>${label('Average')}</th><th>${label('Over/under')}</th><th>${label('Suggested data-timing')}</th></tr>
+          </thead>
+          <tbody>${body}</tbody>
+        </table>
+        <div class="rehearsal-actions">
+          ${Fusefy.slideLoader && Fusefy.slideLoader.getManifest() ? `<button data-rehearsal-action="download">${label('Download manifest with timings')}</button>` : ''}
+          <button data-rehearsal-action="clear">${label('Clear runs')}</button>
+        </div>
+      </div>`;
+  }
+
+  function onReportClick(event) {
+    const action = event.target.closest('[data-rehearsal-action]');
+
+    if (action && action.dataset.rehearsalAction === 'download') {
+      downloadManifest();
+    } else if (action && action.dataset.rehearsalAction === 'clear') {
+      clearRuns();
+      hideReport();
+    } else if (event.target === report || event.target.closest('.rehearsal-close')) {
+      hideReport();
+    }
+  }
+
+  function onReportKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      hideReport();
+    }
+  }
+
+  function showReport() {
+    hideReport();
+
+    report = document.createElement('div');
+    report.className = 'rehearsal-report';
+    report.innerHTML = renderReport();
+    report.addEventListener('click', onReportClick);
+    document.addEventListener('keydown', onReportKeyDown, true);
+    document.body.appendChild(report);
+  }
+
+  function hideReport() {
+    if (!report) return;
+
+    document.removeEventListener('keydown', onReportKeyDown, true);
+    report.remove();
+    report = null;
+  }
+
+  /**
+   * Binds the R key for a Reveal instance
+   */
+  function init(reveal, config) {
+    if (deck) destroy();
+    if (reveal.isPrintView()) return;
+
+    deck = reveal;
+    options = Object.assign({}, DEFAULT_OPTIONS, config);
+
+    deck.addKeyBinding({ keyCode: KEY_CODE_R, key: 'R', description: 'Start/stop rehearsal' }, toggle);
+  }
+
+  function destroy() {
+    if (!deck) return;
+
+    // Unfinished runs are discarded
+    if (run) {
+      unbindRun();
+      run = null;
+      position = null;
+    }
+
+    hideReport();
+    deck.removeKeyBinding(KEY_CODE_R);
+    deck = null;
+  }
+
+  window.Fusefy.rehearsal = {
+    init,
+    destroy,
+    start,
+    stop,
+    toggle,
+    isRehearsing,
+    getRuns,
+    clearRuns,
+    getReport,
+    getUpdatedManifest,
+    downloadManifest,
+    showReport,
+    hideReport
+  };
+})();
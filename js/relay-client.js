@@ -0,0 +1,245 @@
+/**
+ * Shared client for the WebSocket relay started by `gulp serve`
+ * (tasks/relay.js), used by follow-the-presenter sync (js/sync.js), the
+ * phone remote (js/remote-control.js) and audience polls (js/polls.js).
+ *
+ * There is one connection per role and relay, so a deck that presents
+ * with sync, a remote and polls uses a single socket and a single room.
+ * Connections join with the room, key and remoteKey of their clients,
+ * rejoin the same room after they reconnect and back off between
+ * attempts. Presenters rejoin with the token the relay gave them for
+ * the room, it's kept for the session so that reloads can rejoin too.
+ *
+ *   const client = Fusefy.relay.connect({
+ *     url, role: "presenter", room, key, remoteKey,
+ *     onMessage: (message) => {},  // Every message from the relay
+ *     onChange: () => {}           // Connected or disconnected
+ *   });
+ *
+ *   client.send({ type: "state", state });
+ *   client.update({ remoteKey });  // Joins again with a new remoteKey
+ *   client.close();
+ *
+ * The relay URL and presenter key come from the config or ?sync-url=
+ * and ?sync-key=, see getOptions().
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const MAX_RECONNECT_DELAY = 10000;
+
+  // Join message fields that clients can provide
+  const JOIN_FIELDS = ['room', 'key', 'remoteKey'];
+
+  // "<role> <url>" -> connection
+  const connections = new Map();
+
+  function getDefaultUrl() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const port = parseInt(window.location.port || (protocol === 'wss:' ? 443 : 80), 10) + 1;
+    return `${protocol}//${window.location.hostname || 'localhost'}:${port}`;
+  }
+
+  /**
+   * Merges defaults and config with ?sync-url= and ?sync-key=, the URL
+   * defaults to the port after the one the deck is served from
+   */
+  function getOptions(defaults, config) {
+    const params = new URLSearchParams(window.location.search);
+    const result = Object.assign({}, defaults, config);
+
+    if (params.has('sync-url')) result.url = params.get('sync-url');
+    if (params.has('sync-key')) result.key = params.get('sync-key');
+
+    if (!result.url) result.url = getDefaultUrl();
+
+    return result;
+  }
+
+  function isSet(value) {
+    return value !== undefined && value !== null;
+  }
+
+  function getTokenKey(room) {
+    return `fusefy-relay-token:${room}`;
+  }
+
+  function loadToken(room) {
+    try {
+      return window.sessionStorage.getItem(getTokenKey(room));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function saveToken(room, token) {
+    try {
+      window.sessionStorage.setItem(getTokenKey(room), token);
+    } catch (err) {
+      // Rejoining after a reload needs a presenter key then
+    }
+  }
+
+  function isOpen(connection) {
+    return !!(connection.socket && connection.socket.readyState === WebSocket.OPEN);
+  }
+
+  function send(connection, message) {
+    if (isOpen(connection)) {
+      connection.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * The room joined before takes precedence, otherwise the first client
+   * that has a value for a field decides
+   */
+  function join(connection) {
+    const message = { type: 'join', role: connection.role, room: connection.room };
+
+    connection.clients.forEach((client) => {
+      JOIN_FIELDS.forEach((field) => {
+        if (!isSet(message[field]) && isSet(client.options[field])) {
+          message[field] = client.options[field];
+        }
+      });
+    });
+
+    if (connection.role === 'presenter' && message.room) {
+      message.token = connection.token || loadToken(message.room);
+    }
+
+    send(connection, message);
+  }
+
+  function notify(connection, callback, argument) {
+    connection.clients.forEach((client) => {
+      if (typeof client.options[callback] === 'function') client.options[callback](argument);
+    });
+  }
+
+  function open(connection) {
+    clearTimeout(connection.reconnectTimeout);
+    connection.reconnectTimeout = null;
+
+    const socket = new WebSocket(connection.url);
+    connection.socket = socket;
+
+    socket.addEventListener('open', () => {
+      connection.reconnectDelay = 1000;
+      connection.error = null;
+      join(connection);
+      notify(connection, 'onChange');
+    });
+
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        return;
+      }
+
+      if (message.type === 'joined') {
+        connection.room = message.room;
+
+        if (message.token) {
+          connection.token = message.token;
+          saveToken(message.room, message.token);
+        }
+      }
+      if (message.type === 'error') connection.error = message.message;
+
+      notify(connection, 'onMessage', message);
+    });
+
+    socket.addEventListener('close', (event) => {
+      // A socket from before the last client left
+      if (connection.socket !== socket) return;
+      connection.socket = null;
+
+      // Closed by the relay because a key is wrong
+      if (event.code !== 4001) {
+        if (!connection.error) connection.error = 'Relay not reachable';
+
+        connection.reconnectTimeout = setTimeout(() => open(connection), connection.reconnectDelay);
+        connection.reconnectDelay = Math.min(connection.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+      }
+
+      notify(connection, 'onChange');
+    });
+  }
+
+  /**
+   * Connects a client to the relay, reusing the connection for its role
+   * if there is one
+   */
+  function connect(options) {
+    const id = `${options.role} ${options.url}`;
+
+    let connection = connections.get(id);
+    if (!connection) {
+      connection = {
+        url: options.url,
+        role: options.role,
+        socket: null,
+        room: null,
+        token: null,
+        error: null,
+        reconnectDelay: 1000,
+        reconnectTimeout: null,
+        clients: new Set()
+      };
+      connections.set(id, connection);
+    }
+
+    const client = {
+      options: Object.assign({}, options),
+
+      send: (message) => send(connection, message),
+
+      /**
+       * Changes the join fields, joins again if they changed while
+       * connected
+       */
+      update(fields) {
+        const changed = JOIN_FIELDS.some((field) => field in fields && fields[field] !== client.options[field]);
+        Object.assign(client.options, fields);
+        if (changed) join(connection);
+      },
+
+      isConnected: () => isOpen(connection) && !!connection.room,
+      getRoom: () => connection.room,
+      getError: () => connection.error,
+
+      close() {
+        if (!connection.clients.delete(client) || connection.clients.size) return;
+
+        connections.delete(id);
+        clearTimeout(connection.reconnectTimeout);
+
+        const socket = connection.socket;
+        connection.socket = null;
+        if (socket) socket.close();
+      }
+    };
+
+    connection.clients.add(client);
+
+    if (!connection.socket && !connection.reconnectTimeout) {
+      open(connection);
+    } else if (isOpen(connection)) {
+      // Joining again lets the new client know the room and passes on
+      // its join fields
+      join(connection);
+    }
+
+    return client;
+  }
+
+  window.Fusefy.relay = {
+    getOptions,
+    connect
+  };
+})();
@@ -0,0 +1,328 @@
+/**
+ * Phone remote control
+ * Pairs the deck with remote.html on a phone through the WebSocket relay
+ * started by `gulp serve`. Opening the help overlay (?) or the speaker
+ * view (S) connects the deck and shows a QR code that opens the remote
+ * with the room code and a pairing key. Commands from the remote are run through the deck's
+ * postMessage API, the deck sends back its status (position, notes and
+ * whether it's paused).
+ *
+ * Options (fusefy.remote in the Reveal config), pass false to disable:
+ * - url:  URL of the relay (?sync-url=), defaults to the port after
+ *         the one the deck is served from
+ * - key:  Presenter key, if the relay was started with --sync-key
+ *         (?sync-key=)
+ * - page: URL of the remote page, relative to the deck
+ *
+ * Phones have to reach the deck and the relay, serve with `gulp serve
+ * --host 0.0.0.0` and open the deck through the computer's network
+ * address. Needs plugin/qrcode/qrcode.js for the QR code, without it
+ * only the link is shown. Nothing is paired in print view or in the
+ * decks that the speaker view shows.
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const DEFAULT_OPTIONS = {
+    url: null,
+    key: null,
+    page: 'remote.html'
+  };
+
+  // Deck methods that remotes may call, anything else is ignored
+  const COMMANDS = ['next', 'prev', 'nextFragment', 'prevFragment', 'togglePause'];
+
+  // Events that change the status sent to remotes
+  const STATUS_EVENTS = [
+    'slidechanged',
+    'fragmentshown',
+    'fragmenthidden',
+    'subpagechanged',
+    'paused',
+    'resumed'
+  ];
+
+  let deck = null;
+  let options = DEFAULT_OPTIONS;
+
+  // Relay client, see js/relay-client.js
+  let client = null;
+  let remotes = 0;
+
+  // Kept when the deck is initialized again, the relay keeps the
+  // first key a room was joined with
+  let remoteKey = null;
+
+  // Pairing boxes in the help overlay and the speaker view, while
+  // they are open
+  const panels = new Set();
+
+  /**
+   * Translates a UI string to the deck's language, see Reveal.t()
+   */
+  function t(text, values) {
+    return deck ? deck.t(text, values) : text;
+  }
+
+  function createKey() {
+    const bytes = new Uint8Array(12);
+    window.crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  function isConnected() {
+    return !!client && client.isConnected();
+  }
+
+  function getRoom() {
+    return client ? client.getRoom() : null;
+  }
+
+  /**
+   * Connects to the relay, the first call creates the pairing key
+   */
+  function pair() {
+    if (!deck || client) return;
+
+    if (!remoteKey) remoteKey = createKey();
+
+    client = window.Fusefy.relay.connect({
+      url: options.url,
+      role: 'presenter',
+      key: options.key,
+      remoteKey,
+      onMessage,
+      onChange: updatePanels
+    });
+  }
+
+  function onMessage(message) {
+    if (message.type === 'joined') {
+      sendStatus();
+    } else if (message.type === 'viewers') {
+      remotes = message.remotes || 0;
+    } else if (message.type === 'command') {
+      runCommand(message.method, message.args);
+    } else if (message.type === 'error') {
+      console.warn(`Remote: ${message.message}`);
+    }
+
+    updatePanels();
+  }
+
+  /**
+   * Runs a remote command through the same postMessage API that
+   * embedding pages use
+   */
+  function runCommand(method, args) {
+    if (COMMANDS.indexOf(method) === -1) {
+      console.warn(`Remote: Ignoring unknown command "${method}"`);
+      return;
+    }
+
+    window.postMessage(JSON.stringify({ method, args: args || [] }), '*');
+  }
+
+  /**
+   * Returns the notes of the current slide as plain text, the remote
+   * doesn't render HTML that comes through the relay
+   */
+  function getNotesText() {
+    // Line breaks in the source aren't line breaks in the notes
+    const html = (deck.getSlideNotes() || '').replace(/\s+/g, ' ');
+    const body = new DOMParser().parseFromString(html, 'text/html').body;
+
+    body.querySelectorAll('br').forEach((br) => br.replaceWith('\n'));
+    body.querySelectorAll('p, li, div, h1, h2, h3, h4, h5, h6').forEach((block) => block.append('\n'));
+
+    return body.textContent
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  function getStatus() {
+    const currentSlide = deck.getCurrentSlide();
+    const heading = currentSlide && currentSlide.querySelector('h1, h2, h3');
+
+    return {
+      indices: deck.getIndices(),
+      slideNumber: deck.getSlidePastCount() + 1,
+      totalSlides: deck.getTotalSlides(),
+      title: heading ? heading.textContent.trim() : '',
+      notes: getNotesText(),
+      fragments: deck.availableFragments(),
+      paused: deck.isPaused()
+    };
+  }
+
+  function sendStatus() {
+    if (isConnected()) client.send({ type: 'status', status: getStatus() });
+  }
+
+  function getRemoteLink() {
+    const url = new URL(options.page, window.location.href);
+    url.searchParams.set('room', getRoom());
+    url.searchParams.set('key', remoteKey);
+    url.searchParams.set('relay', options.url);
+    return url.href;
+  }
+
+  function createQRCode(text, ownerDocument) {
+    if (typeof window.qrcode !== 'function') return null;
+
+    const code = window.qrcode(0, 'M');
+    code.addData(text);
+    code.make();
+
+    const element = ownerDocument.createElement('div');
+    element.className = 'remote-pairing-code';
+    element.innerHTML = code.createSvgTag({ cellSize: 4, margin: 4, scalable: true });
+    return element;
+  }
+
+  function isOpen(panel) {
+    const view = panel.ownerDocument.defaultView;
+    return panel.isConnected && !!view && !view.closed;
+  }
+
+  function updatePanel(panel) {
+    const ownerDocument = panel.ownerDocument;
+    const body = panel.querySelector('.remote-pairing-body');
+    body.innerHTML = '';
+
+    if (!isConnected()) {
+      const error = client && client.getError();
+      body.textContent = error ? t('Phone remote unavailable: {error}', { error }) : t('Connecting to the relay…');
+      return;
+    }
+
+    const link = getRemoteLink();
+    const code = createQRCode(link, ownerDocument);
+    if (code) body.appendChild(code);
+
+    const anchor = ownerDocument.createElement('a');
+    anchor.href = link;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener';
+    anchor.textContent = t('Room {room}', { room: getRoom() });
+
+    const info = ownerDocument.createElement('p');
+    info.append(`${t('Scan to control the deck from your phone')} · `, anchor);
+    if (remotes) info.append(` · ${t('{count} connected', { count: remotes })}`);
+    body.appendChild(info);
+  }
+
+  function updatePanels() {
+    panels.forEach((panel) => {
+      if (isOpen(panel)) updatePanel(panel);
+      else panels.delete(panel);
+    });
+  }
+
+  function addPanel(panel) {
+    panels.add(panel);
+    pair();
+    updatePanel(panel);
+  }
+
+  /**
+   * Adds the pairing box to the help overlay
+   */
+  function onShowHelp() {
+    const content = deck.getRevealElement().querySelector('.r-overlay-help-content');
+    if (!content) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'remote-pairing';
+    panel.innerHTML = '<h2></h2><div class="remote-pairing-body"></div>';
+    panel.querySelector('h2').textContent = t('Phone remote');
+    content.appendChild(panel);
+
+    addPanel(panel);
+  }
+
+  /**
+   * Adds the pairing box to the speaker view once it has connected to
+   * this window, or reconnected after a reload
+   */
+  function onSpeakerViewMessage(event) {
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (err) {
+      return;
+    }
+
+    if (!data || data.namespace !== 'reveal-notes') return;
+    if (data.type !== 'connected' && data.type !== 'heartbeat') return;
+
+    // The speaker view only runs on the same origin
+    let speakerDocument;
+    try {
+      speakerDocument = event.source.document;
+    } catch (err) {
+      return;
+    }
+
+    const controls = speakerDocument.querySelector('#speaker-controls');
+    if (!controls || controls.querySelector('.remote-pairing')) return;
+
+    // The speaker view doesn't load the deck's styles
+    const panel = speakerDocument.createElement('div');
+    panel.className = 'remote-pairing';
+    panel.style.padding = '10px 16px';
+    panel.innerHTML = '<h4 class="label"></h4><div class="remote-pairing-body"></div>';
+    panel.querySelector('h4').textContent = t('Phone remote');
+    controls.appendChild(panel);
+
+    const style = speakerDocument.createElement('style');
+    style.textContent = '.remote-pairing-code { width: 160px; background: white; }';
+    panel.appendChild(style);
+
+    addPanel(panel);
+  }
+
+  /**
+   * Enables pairing for a Reveal instance
+   */
+  function init(reveal, config) {
+    if (deck) destroy();
+    if (config === false) return;
+
+    if (reveal.isPrintView() || reveal.isSpeakerNotes()) return;
+
+    deck = reveal;
+    options = window.Fusefy.relay.getOptions(DEFAULT_OPTIONS, config);
+    remotes = 0;
+
+    deck.on('showhelp', onShowHelp);
+    STATUS_EVENTS.forEach((type) => deck.on(type, sendStatus));
+    window.addEventListener('message', onSpeakerViewMessage);
+  }
+
+  function destroy() {
+    if (!deck) return;
+
+    deck.off('showhelp', onShowHelp);
+    STATUS_EVENTS.forEach((type) => deck.off(type, sendStatus));
+    window.removeEventListener('message', onSpeakerViewMessage);
+    deck = null;
+
+    if (client) client.close();
+    client = null;
+
+    panels.forEach((panel) => panel.remove());
+    panels.clear();
+  }
+
+  window.Fusefy.remoteControl = {
+    init,
+    destroy,
+    pair,
+    getRoom,
+    getRemoteLink: () => (getRoom() ? getRemoteLink() : null)
+  };
+})();
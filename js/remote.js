@@ -0,0 +1,209 @@
+/**
+ * Phone remote (remote.html)
+ * Joins the room of a deck through the relay with the room code and
+ * pairing key from the QR code in the deck's help overlay (see
+ * js/remote-control.js):
+ *
+ *   remote.html?room=ABC123&key=...&relay=ws://host:8001
+ *
+ * Buttons send commands to the deck, the deck's status is used to show
+ * the slide number, title and speaker notes. The timer runs on the
+ * phone and isn't shared with the deck.
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const MAX_RECONNECT_DELAY = 10000;
+
+  let options = null;
+  let socket = null;
+  let status = null;
+  let error = null;
+  let reconnectDelay = 1000;
+  let reconnectTimeout = null;
+
+  // Timer, elapsed time is kept while it's stopped
+  let timerStart = null;
+  let timerElapsed = 0;
+  let timerInterval = null;
+
+  let elements = {};
+
+  function getOptions() {
+    const params = new URLSearchParams(window.location.search);
+
+    return {
+      room: params.get('room'),
+      key: params.get('key'),
+      relay: params.get('relay')
+    };
+  }
+
+  function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  function connect() {
+    clearTimeout(reconnectTimeout);
+
+    const current = new WebSocket(options.relay);
+    socket = current;
+
+    socket.addEventListener('open', () => {
+      reconnectDelay = 1000;
+      error = null;
+      send({ type: 'join', role: 'remote', room: options.room, key: options.key });
+    });
+
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        return;
+      }
+      onMessage(message);
+    });
+
+    socket.addEventListener('close', (event) => {
+      if (socket !== current) return;
+      socket = null;
+
+      // Closed by the relay because the pairing key is wrong
+      if (event.code === 4001) {
+        render();
+        return;
+      }
+
+      reconnectTimeout = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+      render();
+    });
+  }
+
+  function onMessage(message) {
+    if (message.type === 'status') {
+      status = message.status;
+    } else if (message.type === 'error') {
+      error = message.message;
+    }
+
+    render();
+  }
+
+  /**
+   * Sends a deck method to call, see COMMANDS in js/remote-control.js
+   */
+  function command(method, args) {
+    send({ type: 'command', method, args: args || [] });
+
+    if (navigator.vibrate) navigator.vibrate(10);
+  }
+
+  function isConnected() {
+    return !!(socket && socket.readyState === WebSocket.OPEN);
+  }
+
+  function render() {
+    const connected = isConnected();
+
+    let state;
+    if (error && !connected) state = `Not paired: ${error}`;
+    else if (!connected) state = 'Connecting…';
+    else if (!status) state = 'Waiting for the deck…';
+    else state = `Room ${options.room}`;
+
+    elements.state.textContent = state;
+    document.body.classList.toggle('is-connected', connected && !!status);
+
+    if (!status) return;
+
+    elements.position.textContent = `${status.slideNumber} / ${status.totalSlides}`;
+    elements.title.textContent = status.title;
+
+    // Notes come through the relay, they are only ever shown as text
+    if (status.notes) {
+      elements.notes.textContent = status.notes;
+    } else {
+      const empty = document.createElement('p');
+      empty.className = 'remote-empty';
+      empty.textContent = 'No notes for this slide';
+      elements.notes.replaceChildren(empty);
+    }
+
+    elements.prevFragment.disabled = !status.fragments.prev;
+    elements.nextFragment.disabled = !status.fragments.next;
+
+    elements.pause.textContent = status.paused ? 'Resume' : 'Blackout';
+    elements.pause.classList.toggle('is-active', status.paused);
+  }
+
+  function getElapsed() {
+    return timerElapsed + (timerStart ? Date.now() - timerStart : 0);
+  }
+
+  function renderTimer() {
+    const seconds = Math.floor(getElapsed() / 1000);
+    const minutes = Math.floor(seconds / 60);
+
+    elements.timer.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    elements.timerToggle.textContent = timerStart ? 'Stop' : 'Start';
+  }
+
+  function toggleTimer() {
+    if (timerStart) {
+      timerElapsed = getElapsed();
+      timerStart = null;
+      clearInterval(timerInterval);
+    } else {
+      timerStart = Date.now();
+      timerInterval = setInterval(renderTimer, 250);
+    }
+
+    renderTimer();
+  }
+
+  function resetTimer() {
+    timerElapsed = 0;
+    if (timerStart) timerStart = Date.now();
+
+    renderTimer();
+  }
+
+  /**
+   * Binds the remote page to its elements and joins the deck's room
+   */
+  function init() {
+    options = getOptions();
+
+    document.querySelectorAll('[data-remote]').forEach((element) => {
+      elements[element.getAttribute('data-remote')] = element;
+    });
+
+    document.querySelectorAll('[data-command]').forEach((button) => {
+      button.addEventListener('click', () => command(button.getAttribute('data-command')));
+    });
+
+    elements.timerToggle.addEventListener('click', toggleTimer);
+    elements.timerReset.addEventListener('click', resetTimer);
+
+    renderTimer();
+
+    if (!options.room || !options.key || !options.relay) {
+      error = 'Scan the QR code in the deck\'s help overlay';
+      render();
+      return;
+    }
+
+    render();
+    connect();
+  }
+
+  window.Fusefy.remote = {
+    init,
+    command
+  };
+})();
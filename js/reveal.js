@@ -17,6 +17,13 @@ import Overlay from './controllers/overlay.js'
 import Touch from './controllers/touch.js'
 import Focus from './controllers/focus.js'
 import Notes from './controllers/notes.js'
+import Scaling from './controllers/scaling.js'
+import SubPages from './controllers/subpages.js'
+import Audience from './controllers/audience.js'
+import Localization from './controllers/localization.js'
+import ReducedMotion from './controllers/reducedmotion.js'
+import NavigationStack from './controllers/navigationstack.js'
+import NavigationGuards from './controllers/navigationguards.js'
 import Playback from './components/playback.js'
 import defaultConfig from './config.js'
 import * as Util from './utils/util.js'
@@ -123,7 +130,14 @@ export default function( revealElement, options ) {
 		overlay = new Overlay( Reveal ),
 		focus = new Focus( Reveal ),
 		touch = new Touch( Reveal ),
-		notes = new Notes( Reveal );
+		notes = new Notes( Reveal ),
+		scaling = new Scaling( Reveal ),
+		subpages = new SubPages( Reveal ),
+		audience = new Audience( Reveal ),
+		localization = new Localization( Reveal ),
+		reducedMotion = new ReducedMotion( Reveal ),
+		navigationStack = new NavigationStack( Reveal ),
+		navigationGuards = new NavigationGuards( Reveal );
 
 	/**
 	 * Starts up the presentation.
@@ -503,6 +517,9 @@ export default function( revealElement, options ) {
 			shuffle();
 		}
 
+		// May change the rtl option, so it goes first
+		localization.configure( config, oldConfig, options );
+
 		Util.toggleClass( dom.wrapper, 'embedded', config.embedded );
 		Util.toggleClass( dom.wrapper, 'rtl', config.rtl );
 		Util.toggleClass( dom.wrapper, 'center', config.center );
@@ -547,6 +564,9 @@ export default function( revealElement, options ) {
 		keyboard.configure( config, oldConfig );
 		fragments.configure( config, oldConfig );
 		slideNumber.configure( config, oldConfig );
+		audience.configure( config, oldConfig );
+		reducedMotion.configure( config, oldConfig );
+		navigationStack.configure( config, oldConfig );
 
 		sync();
 
@@ -566,7 +586,9 @@ export default function( revealElement, options ) {
 		if( config.progress ) progress.bind();
 		if( config.respondToHashChanges ) location.bind();
 		controls.bind();
+		subpages.bind();
 		focus.bind();
+		reducedMotion.bind();
 
 		dom.slides.addEventListener( 'click', onSlidesClicked, false );
 		dom.slides.addEventListener( 'transitionend', onTransitionEnd, false );
@@ -589,8 +611,10 @@ export default function( revealElement, options ) {
 		focus.unbind();
 		keyboard.unbind();
 		controls.unbind();
+		subpages.unbind();
 		progress.unbind();
 		location.unbind();
+		reducedMotion.unbind();
 
 		window.removeEventListener( 'resize', onWindowResize, false );
 
@@ -626,6 +650,10 @@ export default function( revealElement, options ) {
 		backgrounds.destroy();
 		slideNumber.destroy();
 		jumpToSlide.destroy();
+		audience.destroy();
+		reducedMotion.destroy();
+		navigationStack.destroy();
+		navigationGuards.destroy();
 
 		// Remove event listeners
 		document.removeEventListener( 'fullscreenchange', onFullscreenChange );
@@ -797,6 +825,10 @@ export default function( revealElement, options ) {
 
 				const oldScale = scale;
 
+				// Apply the scaling policy first so that stretched
+				// elements are measured with the slides' font scale
+				const scaleBounds = scaling.update( viewportWidth );
+
 				// Layout the contents of the slides
 				layoutSlideContents( config.width, config.height );
 
@@ -806,9 +838,10 @@ export default function( revealElement, options ) {
 				// Determine scale of content to fit within available space
 				scale = Math.min( size.presentationWidth / size.width, size.presentationHeight / size.height );
 
-				// Respect max/min scale settings
-				scale = Math.max( scale, config.minScale );
-				scale = Math.min( scale, config.maxScale );
+				// Respect max/min scale settings, which the scaling policy
+				// may adjust for the current viewport, view and slide
+				scale = Math.max( scale, scaleBounds.minScale );
+				scale = Math.min( scale, scaleBounds.maxScale );
 
 				// Don't apply any scaling styles if scale is 1 or we're
 				// in the scroll view
@@ -1230,6 +1263,10 @@ export default function( revealElement, options ) {
 	 */
 	function slide( h, v, f, origin ) {
 
+		// Abort if a navigation guard cancelled, held or redirected
+		// this slide change
+		if( !navigationGuards.allow( getTargetIndices( h, v, f ), () => slide( h, v, f, origin ) ) ) return;
+
 		// Dispatch an event before the slide
 		const slidechange = dispatchEvent({
 			type: 'beforeslidechange',
@@ -1331,9 +1368,13 @@ export default function( revealElement, options ) {
 			overview.update();
 		}
 
-		// Show fragment, if specified
+		// Show the sub-pages that match each slide's position
+		subpages.update();
+
+		// Show fragment, if specified. The guards have already
+		// allowed this as part of the slide change.
 		if( typeof f !== 'undefined' ) {
-			fragments.goto( f );
+			navigationGuards.pass( () => fragments.goto( f, 0, !slideChanged ) );
 		}
 
 		// Solves an edge case where the previous slide maintains the
@@ -1393,6 +1434,7 @@ export default function( revealElement, options ) {
 			announceStatus( getStatusText( currentSlide ) );
 		});
 
+		navigationStack.update();
 		progress.update();
 		controls.update();
 		notes.update();
@@ -1521,6 +1563,7 @@ export default function( revealElement, options ) {
 		progress.update();
 
 		updateSlidesVisibility();
+		subpages.update();
 
 		notes.update();
 		notes.updateVisibility();
@@ -1899,14 +1942,15 @@ export default function( revealElement, options ) {
 		}
 
 		// If includeFragments is set, a route will be considered
-		// available if either a slid OR fragment is available in
-		// the given direction
+		// available if either a slide, fragment OR sub-page is
+		// available in the given direction
 		if( includeFragments === true ) {
-			let fragmentRoutes = fragments.availableRoutes();
-			routes.left = routes.left || fragmentRoutes.prev;
-			routes.up = routes.up || fragmentRoutes.prev;
-			routes.down = routes.down || fragmentRoutes.next;
-			routes.right = routes.right || fragmentRoutes.next;
+			let fragmentRoutes = fragments.availableRoutes(),
+				subPageRoutes = subpages.availableRoutes();
+			routes.left = routes.left || fragmentRoutes.prev || subPageRoutes.prev;
+			routes.up = routes.up || fragmentRoutes.prev || subPageRoutes.prev;
+			routes.down = routes.down || fragmentRoutes.next || subPageRoutes.next;
+			routes.right = routes.right || fragmentRoutes.next || subPageRoutes.next;
 		}
 
 		// Reverse horizontal controls for rtl
@@ -2071,6 +2115,28 @@ export default function( revealElement, options ) {
 
 	}
 
+	/**
+	 * Returns the indices that a call to slide() with the given
+	 * arguments navigates to.
+	 *
+	 * @param {number} [h]
+	 * @param {number} [v]
+	 * @param {number} [f]
+	 *
+	 * @return {{h: number, v: number, f: number}}
+	 */
+	function getTargetIndices( h, v, f ) {
+
+		if( h === undefined ) h = indexh;
+
+		if( v === undefined ) {
+			v = h === indexh || overview.isActive() ? indexv : getPreviousVerticalIndex( getHorizontalSlides()[ h ] );
+		}
+
+		return { h, v, f };
+
+	}
+
 	/**
 	 * Retrieves all slides in this presentation.
 	 */
@@ -2201,7 +2267,7 @@ export default function( revealElement, options ) {
 	 * an object. This state can then be restored at any
 	 * time.
 	 *
-	 * @return {{indexh: number, indexv: number, indexf: number, paused: boolean, overview: boolean}}
+	 * @return {{indexh: number, indexv: number, indexf: number, indexp: number, paused: boolean, overview: boolean}}
 	 */
 	function getState() {
 
@@ -2211,6 +2277,7 @@ export default function( revealElement, options ) {
 			indexh: indices.h,
 			indexv: indices.v,
 			indexf: indices.f,
+			indexp: subpages.getIndex(),
 			paused: isPaused(),
 			overview: overview.isActive(),
 			...overlay.getState()
@@ -2227,7 +2294,15 @@ export default function( revealElement, options ) {
 	function setState( state ) {
 
 		if( typeof state === 'object' ) {
-			slide( Util.deserialize( state.indexh ), Util.deserialize( state.indexv ), Util.deserialize( state.indexf ) );
+			// Restoring a state isn't up to the navigation guards
+			navigationGuards.pass( () => {
+				slide( Util.deserialize( state.indexh ), Util.deserialize( state.indexv ), Util.deserialize( state.indexf ) );
+
+				let subPageIndex = Util.deserialize( state.indexp );
+				if( typeof subPageIndex === 'number' ) {
+					subpages.goto( subPageIndex );
+				}
+			} );
 
 			let pausedFlag = Util.deserialize( state.paused ),
 				overviewFlag = Util.deserialize( state.overview );
@@ -2299,7 +2374,7 @@ export default function( revealElement, options ) {
 			// - The presentation isn't paused
 			// - The overview isn't active
 			// - The presentation isn't over
-			if( autoSlide && !autoSlidePaused && !isPaused() && !overview.isActive() && ( !isLastSlide() || fragments.availableRoutes().next || config.loop === true ) ) {
+			if( autoSlide && !autoSlidePaused && !isPaused() && !overview.isActive() && ( !isLastSlide() || fragments.availableRoutes().next || subpages.availableRoutes().next || config.loop === true ) ) {
 				autoSlideTimeout = setTimeout( () => {
 					if( typeof config.autoSlideMethod === 'function' ) {
 						config.autoSlideMethod()
@@ -2363,12 +2438,12 @@ export default function( revealElement, options ) {
 
 		// Reverse for RTL
 		if( config.rtl ) {
-			if( ( overview.isActive() || skipFragments || fragments.next() === false ) && availableRoutes().left ) {
+			if( ( overview.isActive() || skipFragments || subpages.nextStep() === false ) && availableRoutes().left ) {
 				slide( indexh + 1, config.navigationMode === 'grid' ? indexv : undefined );
 			}
 		}
 		// Normal navigation
-		else if( ( overview.isActive() || skipFragments || fragments.prev() === false ) && availableRoutes().left ) {
+		else if( ( overview.isActive() || skipFragments || subpages.prevStep() === false ) && availableRoutes().left ) {
 			slide( indexh - 1, config.navigationMode === 'grid' ? indexv : undefined );
 		}
 
@@ -2383,12 +2458,12 @@ export default function( revealElement, options ) {
 
 		// Reverse for RTL
 		if( config.rtl ) {
-			if( ( overview.isActive() || skipFragments || fragments.prev() === false ) && availableRoutes().right ) {
+			if( ( overview.isActive() || skipFragments || subpages.prevStep() === false ) && availableRoutes().right ) {
 				slide( indexh - 1, config.navigationMode === 'grid' ? indexv : undefined );
 			}
 		}
 		// Normal navigation
-		else if( ( overview.isActive() || skipFragments || fragments.next() === false ) && availableRoutes().right ) {
+		else if( ( overview.isActive() || skipFragments || subpages.nextStep() === false ) && availableRoutes().right ) {
 			slide( indexh + 1, config.navigationMode === 'grid' ? indexv : undefined );
 		}
 
@@ -2400,7 +2475,7 @@ export default function( revealElement, options ) {
 		if( scrollView.isActive() ) return scrollView.prev();
 
 		// Prioritize hiding fragments
-		if( ( overview.isActive() || skipFragments || fragments.prev() === false ) && availableRoutes().up ) {
+		if( ( overview.isActive() || skipFragments || subpages.prevStep() === false ) && availableRoutes().up ) {
 			slide( indexh, indexv - 1 );
 		}
 
@@ -2414,7 +2489,7 @@ export default function( revealElement, options ) {
 		if( scrollView.isActive() ) return scrollView.next();
 
 		// Prioritize revealing fragments
-		if( ( overview.isActive() || skipFragments || fragments.next() === false ) && availableRoutes().down ) {
+		if( ( overview.isActive() || skipFragments || subpages.nextStep() === false ) && availableRoutes().down ) {
 			slide( indexh, indexv + 1 );
 		}
 
@@ -2432,7 +2507,7 @@ export default function( revealElement, options ) {
 		if( scrollView.isActive() ) return scrollView.prev();
 
 		// Prioritize revealing fragments
-		if( skipFragments || fragments.prev() === false ) {
+		if( skipFragments || subpages.prevStep() === false ) {
 			if( availableRoutes().up ) {
 				navigateUp({skipFragments});
 			}
@@ -2477,7 +2552,7 @@ export default function( revealElement, options ) {
 		if( scrollView.isActive() ) return scrollView.next();
 
 		// Prioritize revealing fragments
-		if( skipFragments || fragments.next() === false ) {
+		if( skipFragments || subpages.nextStep() === false ) {
 
 			let routes = availableRoutes();
 
@@ -2702,6 +2777,11 @@ export default function( revealElement, options ) {
 		prevFragment: fragments.prev.bind( fragments ),
 		nextFragment: fragments.next.bind( fragments ),
 
+		// Sub-page methods
+		navigateSubPage: subpages.goto.bind( subpages ),
+		prevSubPage: subpages.prev.bind( subpages ),
+		nextSubPage: subpages.next.bind( subpages ),
+
 		// Event binding
 		on,
 		off,
@@ -2722,9 +2802,57 @@ export default function( revealElement, options ) {
 		// Returns an object with the available fragments as booleans (prev/next)
 		availableFragments: fragments.availableRoutes.bind( fragments ),
 
+		// Returns an object with the available sub-pages as booleans (prev/next)
+		availableSubPages: subpages.availableRoutes.bind( subpages ),
+
+		// Returns the index of the sub-page showing on a slide
+		getSubPageIndex: subpages.getIndex.bind( subpages ),
+
 		// Toggles a help overlay with keyboard shortcuts
 		toggleHelp: overlay.toggleHelp.bind( overlay ),
 
+		// Filters the deck by audience (data-audience), or shows
+		// everything when given null
+		setAudience: value => configure({ audience: value }),
+
+		// Returns the audiences the deck is filtered by
+		getAudience: audience.get.bind( audience ),
+
+		// Returns all audiences declared in the deck
+		getAudiences: audience.getAudiences.bind( audience ),
+
+		// Switches to the next audience declared in the deck
+		toggleAudience: audience.toggle.bind( audience ),
+
+		// Changes the language of the built-in UI strings
+		setLanguage: value => configure({ lang: value }),
+
+		// Returns the presentation language
+		getLanguage: localization.getLanguage.bind( localization ),
+
+		// Translates a built-in or configured UI string
+		t: localization.t.bind( localization ),
+
+		// Checks if motion is reduced, by the reducedMotion option
+		// or the prefers-reduced-motion media query
+		isReducedMotion: reducedMotion.isActive.bind( reducedMotion ),
+
+		// Toggles the reduced motion mode on/off
+		toggleReducedMotion: reducedMotion.toggle.bind( reducedMotion ),
+
+		// Returns to the previously visited slide and fragment, or
+		// the one we last went back from
+		back: navigationStack.back.bind( navigationStack ),
+		forward: navigationStack.forward.bind( navigationStack ),
+
+		// Returns the visited positions, oldest first
+		getNavigationHistory: navigationStack.getEntries.bind( navigationStack ),
+
+		// Adds a function that can cancel, hold or redirect slide
+		// changes and fragment steps, returns a function that
+		// removes it again
+		beforeNavigate: navigationGuards.add.bind( navigationGuards ),
+
 		// Toggles the overview mode on/off
 		toggleOverview: overview.toggle.bind( overview ),
 
@@ -2893,6 +3021,14 @@ export default function( revealElement, options ) {
 		backgrounds,
 		slideContent,
 		slideNumber,
+		scaling,
+		subpages,
+		audience,
+		localization,
+		reducedMotion,
+		autoAnimate,
+		navigationStack,
+		navigationGuards,
 
 		onUserInput,
 		closeOverlay: overlay.close.bind( overlay ),
@@ -0,0 +1,605 @@
+/**
+ * Manifest-driven slide loader for Fusefy decks
+ * Reads a JSON (or YAML) deck manifest and assembles the slide partials
+ * it lists into the Reveal.js slides container.
+ *
+ * Manifest format:
+ *
+ *   {
+ *     "title": "Fusefy × {{ client.name }}",
+ *     "client": "clients/kitopi.json",
+ *     "lang": "en",
+ *     "strings": "locales/{lang}.json",
+ *     "slides": [
+ *       "slide1.html",
+ *       { "src": "slide2.html", "title": "Who Are We?", "chapter": "Intro", "timing": 90 },
+ *       { "stack": [ "slide3.html", { "src": "slide4.html", "audience": ["technical"] } ] },
+ *       { "src": "appendix.html", "optional": true, "lazy": true },
+ *       "faq.md"
+ *     ]
+ *   }
+ *
+ * - Entries may be a plain path or an object with metadata
+ * - "stack" entries are wrapped in a parent <section> (vertical slides)
+ * - "optional" partials are skipped when they fail to load, all other
+ *   failures are replaced by a visible error slide
+ * - "lazy" partials are fetched once the presenter gets close to them
+ *
+ * - Markdown partials (.md) become a data-markdown slide, which needs
+ *   the markdown plugin. They are converted when Reveal initializes and
+ *   are therefore never lazy.
+ *
+ * Partials, markdown and the title are templates (js/deck-template.js)
+ * rendered with the client profile that "client" points to, available
+ * as {{ client.* }}. Use ?client=<name> to load clients/<name>.json.
+ *
+ * "lang" is the language the partials are written in (default "en").
+ * With ?lang=<lang> the deck is shown in another language: partials
+ * are loaded from their variant for that language if there is one
+ * (slide3.de.html, falling back to slide3.html), and the string tables
+ * that "strings" points to are available as {{ strings.* }}, with the
+ * table of the deck's own language filling in missing strings.
+ *
+ * YAML manifests (.yml/.yaml) are supported when js-yaml is loaded on
+ * the page (window.jsyaml).
+ *
+ * Offline builds (gulp offline) embed the manifest in the page as
+ * <script type="application/json" id="deck-manifest"> and give each
+ * entry an "html" property with the partial's content, rendered with
+ * the client profile at build time. Such decks are assembled without
+ * any requests.
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  // How many slides ahead/behind the current one lazy partials are loaded
+  const LAZY_DISTANCE = 1;
+
+  // Maps manifest metadata keys to the slide attributes they are written to
+  const METADATA_ATTRIBUTES = {
+    title: 'data-menu-title',
+    chapter: 'data-chapter',
+    timing: 'data-timing',
+    audience: 'data-audience'
+  };
+
+  // The loader's own UI strings, keyed by language and English string
+  const STRINGS = {
+    de: {
+      'Loading slides…': 'Folien werden geladen…',
+      'Loading…': 'Wird geladen…',
+      'Slide could not be loaded': 'Folie konnte nicht geladen werden'
+    },
+    fr: {
+      'Loading slides…': 'Chargement des diapositives…',
+      'Loading…': 'Chargement…',
+      'Slide could not be loaded': "La diapositive n'a pas pu être chargée"
+    },
+    ar: {
+      'Loading slides…': 'جارٍ تحميل الشرائح…',
+      'Loading…': 'جارٍ التحميل…',
+      'Slide could not be loaded': 'تعذّر تحميل الشريحة'
+    }
+  };
+
+  let deck = null;
+
+  // The manifest of the last load() call
+  let currentManifest = null;
+
+  // The client profile that partials are rendered with
+  let currentProfile = null;
+
+  // The language the deck is shown in and its string tables
+  let currentLanguage = null;
+  let currentStrings = {};
+
+  /**
+   * Returns the manifest URL, allowing ?deck=<url> to override the default
+   */
+  function getManifestUrl(defaultUrl) {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('deck') || defaultUrl;
+  }
+
+  /**
+   * Fetches and parses a deck manifest
+   */
+  async function loadManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load deck manifest ${url} (${response.status})`);
+    }
+
+    const text = await response.text();
+    const manifest = parseManifest(text, url);
+
+    if (!manifest || !Array.isArray(manifest.slides)) {
+      throw new Error(`Deck manifest ${url} has no "slides" list`);
+    }
+
+    manifest.url = new URL(url, window.location.href).href;
+    return manifest;
+  }
+
+  /**
+   * Returns the manifest embedded in the page by an offline build, or null
+   */
+  function getEmbeddedManifest() {
+    const script = document.getElementById('deck-manifest');
+    if (!script) return null;
+
+    const manifest = JSON.parse(script.textContent);
+    manifest.url = window.location.href;
+    return manifest;
+  }
+
+  /**
+   * Fetches the client profile from ?client=<name> or the manifest's
+   * "client", or returns null if there is none
+   */
+  async function loadProfile(manifest) {
+    const params = new URLSearchParams(window.location.search);
+    const client = params.get('client') || manifest.client;
+    if (!client) return null;
+
+    const url = new URL(window.Fusefy.template.resolveProfilePath(client), manifest.url).href;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load client profile ${url} (${response.status})`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Returns the language the deck is shown in: ?lang=, the manifest's
+   * "lang" or the page's
+   */
+  function getLanguage(manifest = currentManifest) {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('lang') || (manifest && manifest.lang) || document.documentElement.lang || 'en';
+  }
+
+  /**
+   * Translates one of the loader's UI strings, string tables of the
+   * deck take precedence
+   */
+  function t(text) {
+    if (typeof currentStrings[text] === 'string') return currentStrings[text];
+
+    const languages = window.Fusefy.template
+      ? window.Fusefy.template.getLanguageChain(currentLanguage || getLanguage())
+      : [];
+    const table = languages.map((lang) => STRINGS[lang]).find((strings) => strings && strings[text]);
+
+    return table ? table[text] : text;
+  }
+
+  /**
+   * Returns the languages to look for partial variants in, the deck's
+   * own language uses the partials as they are
+   */
+  function getVariantLanguages(manifest) {
+    const deckLanguage = manifest.lang || 'en';
+    return window.Fusefy.template.getLanguageChain(currentLanguage).filter((lang) => lang !== deckLanguage);
+  }
+
+  /**
+   * Fetches and merges the string tables of the deck's own language
+   * and the language it is shown in, more specific tables win
+   */
+  async function loadStrings(manifest) {
+    if (!manifest.strings) return {};
+
+    const template = window.Fusefy.template;
+    const languages = [
+      ...template.getLanguageChain(manifest.lang || 'en').reverse(),
+      ...template.getLanguageChain(currentLanguage).reverse()
+    ].filter((lang, index, all) => all.indexOf(lang) === index);
+
+    const tables = await Promise.all(
+      languages.map(async (lang) => {
+        const url = new URL(template.resolveStringsPath(manifest.strings, lang), manifest.url).href;
+        try {
+          const response = await fetch(url);
+          if (!response.ok) throw new Error(`${response.status}`);
+          return await response.json();
+        } catch (err) {
+          console.warn(`No strings for "${lang}" at ${url}`);
+          return {};
+        }
+      })
+    );
+
+    return Object.assign({}, ...tables);
+  }
+
+  /**
+   * Renders a template with the client profile, the string tables and
+   * the language. Values that are missing are logged and left empty.
+   */
+  function renderTemplate(text, src, options = {}) {
+    if (!window.Fusefy.template) return text;
+
+    return window.Fusefy.template.render(
+      text,
+      { client: currentProfile || {}, strings: currentStrings, lang: currentLanguage },
+      Object.assign({ missing: (path, line) => console.warn(`${src}:${line} has no value for "${path}"`) }, options)
+    );
+  }
+
+  function isMarkdown(src) {
+    return /\.(md|markdown)(\?.*)?$/i.test(src);
+  }
+
+  /**
+   * Returns the HTML of a partial, with markdown wrapped in a
+   * data-markdown slide for the markdown plugin
+   */
+  function toPartialHTML(text, src) {
+    if (!isMarkdown(src)) return text;
+    return `<section data-markdown><textarea data-template>${window.Fusefy.template.escapeHTML(text)}</textarea></section>`;
+  }
+
+  /**
+   * Parses manifest text as JSON or, based on the file extension, YAML
+   */
+  function parseManifest(text, url) {
+    if (/\.ya?ml(\?.*)?$/i.test(url)) {
+      if (!window.jsyaml) {
+        throw new Error(`Deck manifest ${url} is YAML but js-yaml is not loaded`);
+      }
+      return window.jsyaml.load(text);
+    }
+
+    return JSON.parse(text);
+  }
+
+  /**
+   * Normalizes a manifest entry into { src, stack, metadata, optional, lazy, html }
+   */
+  function normalizeEntry(entry) {
+    if (typeof entry === 'string') {
+      entry = { src: entry };
+    }
+
+    const normalized = {
+      src: entry.src || null,
+      stack: Array.isArray(entry.stack) ? entry.stack.map(normalizeEntry) : null,
+      optional: entry.optional === true,
+      lazy: entry.lazy === true,
+      id: entry.id || null,
+      html: typeof entry.html === 'string' ? entry.html : null,
+      metadata: {}
+    };
+
+    Object.keys(METADATA_ATTRIBUTES).forEach((key) => {
+      if (entry[key] !== undefined && entry[key] !== null) {
+        normalized.metadata[key] = entry[key];
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Fetches the HTML for a single partial, from its variant for the
+   * current language if there is one
+   */
+  async function fetchLocalizedPartial(src, manifest) {
+    for (const lang of getVariantLanguages(manifest)) {
+      const url = new URL(window.Fusefy.template.localizePath(src, lang), manifest.url).href;
+      const response = await fetch(url).catch(() => null);
+      if (response && response.ok) return response.text();
+    }
+
+    return fetchPartial(src, manifest);
+  }
+
+  /**
+   * Fetches the HTML for a single partial
+   */
+  async function fetchPartial(src, manifest) {
+    const url = new URL(src, manifest.url).href;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`.trim());
+    }
+    return response.text();
+  }
+
+  /**
+   * Parses partial HTML into its top-level <section> elements
+   */
+  function parseSections(html) {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = html;
+    return [...wrapper.children].filter((el) => el.nodeName === 'SECTION');
+  }
+
+  /**
+   * Writes manifest metadata onto a slide as data attributes. Attributes
+   * already present in the partial take precedence.
+   */
+  function applyMetadata(section, entry) {
+    section.dataset.filename = entry.src ? entry.src.replace(/^\.\//, '') : '';
+
+    if (entry.id && !section.id) {
+      section.id = entry.id;
+    }
+
+    Object.keys(entry.metadata).forEach((key) => {
+      const attribute = METADATA_ATTRIBUTES[key];
+      let value = entry.metadata[key];
+      if (Array.isArray(value)) value = value.join(',');
+      if (!section.hasAttribute(attribute)) {
+        section.setAttribute(attribute, String(value));
+      }
+    });
+  }
+
+  /**
+   * Creates the visible slide that replaces a partial that failed to load
+   */
+  function createErrorSlide(entry, error) {
+    const section = document.createElement('section');
+    section.className = 'slide-load-error';
+    section.innerHTML = `
+      <h2></h2>
+      <p class="slide-load-error-file"></p>
+      <p class="slide-load-error-message"></p>
+    `;
+    section.querySelector('h2').textContent = t('Slide could not be loaded');
+    section.querySelector('.slide-load-error-file').textContent = entry.src;
+    section.querySelector('.slide-load-error-message').textContent = error.message || String(error);
+    applyMetadata(section, entry);
+    return section;
+  }
+
+  /**
+   * Creates the placeholder slide that a lazy partial is loaded into
+   */
+  function createLazyPlaceholder(entry, manifest) {
+    const section = document.createElement('section');
+    section.className = 'slide-lazy-placeholder';
+    section.dataset.partialSrc = new URL(entry.src, manifest.url).href;
+    if (entry.optional) section.dataset.partialOptional = '';
+    section.innerHTML = '<div class="slide-lazy-indicator"></div>';
+    section.firstChild.textContent = t('Loading…');
+    applyMetadata(section, entry);
+    return section;
+  }
+
+  /**
+   * Resolves a single (non-stack) entry into its slide elements
+   */
+  async function resolveEntry(entry, manifest) {
+    if (!entry.src) {
+      console.warn('Deck manifest entry without "src" ignored', entry);
+      return [];
+    }
+
+    // Partials embedded in the manifest are already loaded, markdown
+    // has to be there when the markdown plugin initializes
+    if (entry.lazy && entry.html === null && !isMarkdown(entry.src)) {
+      return [createLazyPlaceholder(entry, manifest)];
+    }
+
+    try {
+      // Embedded partials were rendered at build time
+      const text = entry.html !== null ? entry.html : renderTemplate(await fetchLocalizedPartial(entry.src, manifest), entry.src);
+      const sections = parseSections(toPartialHTML(text, entry.src));
+      sections.forEach((section) => applyMetadata(section, entry));
+      return sections;
+    } catch (err) {
+      if (entry.optional) {
+        console.warn(`Optional slide ${entry.src} skipped:`, err);
+        return [];
+      }
+      console.error(`❌ Failed to load ${entry.src}`, err);
+      return [createErrorSlide(entry, err)];
+    }
+  }
+
+  /**
+   * Resolves all manifest entries, in parallel, to slide elements in
+   * manifest order. Stacks are wrapped in a parent <section>.
+   */
+  async function buildSlides(manifest) {
+    const entries = manifest.slides.map(normalizeEntry);
+
+    const resolved = await Promise.all(
+      entries.map(async (entry) => {
+        if (!entry.stack) {
+          return resolveEntry(entry, manifest);
+        }
+
+        const children = (
+          await Promise.all(entry.stack.map((child) => resolveEntry(child, manifest)))
+        ).flat();
+
+        if (!children.length) return [];
+
+        const stack = document.createElement('section');
+        if (entry.id) stack.id = entry.id;
+        stack.append(...children);
+        return [stack];
+      })
+    );
+
+    return resolved.flat();
+  }
+
+  /**
+   * Loads the deck manifest and appends its slides to the container.
+   * Resolves with the parsed manifest and the inserted slides.
+   */
+  async function load(manifestUrl, options = {}) {
+    const container =
+      options.container || document.querySelector('.reveal .slides');
+
+    const embedded = getEmbeddedManifest();
+    const manifest = embedded || (await loadManifest(getManifestUrl(manifestUrl)));
+
+    // Offline builds are rendered for one language at build time
+    currentLanguage = embedded && manifest.lang ? manifest.lang : getLanguage(manifest);
+    document.documentElement.lang = currentLanguage;
+
+    currentStrings = embedded ? {} : await loadStrings(manifest);
+
+    // Without its profile the deck still loads, with empty placeholders
+    currentProfile = embedded
+      ? null
+      : await loadProfile(manifest).catch((err) => {
+          console.error('❌ Failed to load client profile', err);
+          return null;
+        });
+
+    const sections = await buildSlides(manifest);
+
+    container.append(...sections);
+    currentManifest = manifest;
+
+    if (manifest.title) {
+      document.title = embedded ? manifest.title : renderTemplate(manifest.title, 'title', { escape: false });
+    }
+
+    return { manifest, sections };
+  }
+
+  /**
+   * Returns the manifest the deck was loaded from
+   */
+  function getManifest() {
+    return currentManifest;
+  }
+
+  /**
+   * Returns the client profile the deck was rendered with
+   */
+  function getProfile() {
+    return currentProfile;
+  }
+
+  /**
+   * Replaces a lazy placeholder with the partial it refers to
+   */
+  async function loadLazySlide(placeholder) {
+    if (placeholder.dataset.partialLoading) return;
+    placeholder.dataset.partialLoading = 'true';
+
+    const src = placeholder.dataset.partialSrc;
+
+    let section;
+    try {
+      const manifest = Object.assign({}, currentManifest, { url: src });
+      const sections = parseSections(renderTemplate(await fetchLocalizedPartial(src, manifest), src));
+      if (sections.length > 1) {
+        console.warn(`Lazy slide ${src} contains ${sections.length} sections, only the first is used`);
+      }
+      section = sections[0];
+    } catch (err) {
+      // Optional partials disappear from the deck instead of erroring
+      if (placeholder.hasAttribute('data-partial-optional')) {
+        console.warn(`Optional slide ${src} skipped:`, err);
+        removeSlide(placeholder);
+        return;
+      }
+      console.error(`❌ Failed to load ${src}`, err);
+      section = createErrorSlide({ src, metadata: {} }, err);
+    }
+
+    // Keep the placeholder element so that Reveal's references to it
+    // remain valid, and move the partial's attributes and content over
+    placeholder.removeAttribute('data-partial-src');
+    placeholder.removeAttribute('data-partial-loading');
+    placeholder.classList.remove('slide-lazy-placeholder');
+    placeholder.innerHTML = '';
+
+    if (section) {
+      [...section.attributes].forEach((attr) => {
+        if (attr.name === 'class') {
+          placeholder.classList.add(...section.classList);
+        } else if (!placeholder.hasAttribute(attr.name)) {
+          placeholder.setAttribute(attr.name, attr.value);
+        }
+      });
+      placeholder.append(...section.childNodes);
+    }
+
+    if (deck) {
+      deck.syncSlide(placeholder);
+      deck.layout();
+    }
+  }
+
+  /**
+   * Removes a slide from a running deck while keeping the presenter on
+   * the slide they are currently viewing
+   */
+  function removeSlide(slide) {
+    const current = deck ? deck.getCurrentSlide() : null;
+    slide.remove();
+
+    if (deck) {
+      deck.sync();
+      if (current && current !== slide) {
+        const indices = deck.getIndices(current);
+        deck.slide(indices.h, indices.v);
+      } else {
+        deck.slide();
+      }
+    }
+  }
+
+  /**
+   * Loads lazy partials that are within LAZY_DISTANCE of the current slide
+   */
+  function loadNearbyLazySlides() {
+    if (!deck) return;
+
+    const slides = deck.getSlides();
+    const current = slides.indexOf(deck.getCurrentSlide());
+
+    slides.forEach((slide, index) => {
+      if (slide.dataset.partialSrc && Math.abs(index - current) <= LAZY_DISTANCE) {
+        loadLazySlide(slide);
+      }
+    });
+  }
+
+  /**
+   * Hooks lazy loading up to a Reveal instance
+   */
+  function bind(reveal) {
+    deck = reveal;
+    deck.on('ready', loadNearbyLazySlides);
+    deck.on('slidechanged', loadNearbyLazySlides);
+    if (deck.isReady()) loadNearbyLazySlides();
+  }
+
+  /**
+   * Removes the lazy loading hooks
+   */
+  function unbind() {
+    if (!deck) return;
+    deck.off('ready', loadNearbyLazySlides);
+    deck.off('slidechanged', loadNearbyLazySlides);
+    deck = null;
+  }
+
+  window.Fusefy.slideLoader = {
+    load,
+    loadManifest,
+    getManifest,
+    getProfile,
+    getLanguage: () => currentLanguage || getLanguage(),
+    t,
+    buildSlides,
+    loadLazySlide,
+    bind,
+    unbind
+  };
+})();
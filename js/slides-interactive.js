@@ -1,781 +1,386 @@
 /**
  * Global interactive elements handler for all Fusefy slides
- * This file manages all click events, animations, and interactive elements
- * across all slides to ensure consistent behavior.
+ * Packaged as a Reveal.js plugin that manages all click events,
+ * animations, and interactive elements across all slides.
+ *
+ * Register it like any other plugin:
+ *
+ *   Reveal.initialize({
+ *     plugins: [ RevealFusefy ],
+ *     fusefy: {
+ *       // Options passed on to js/embed-registry.js
+ *       embeds: { preloadDistance: 1 },
+ *       // Options passed on to js/analytics.js
+ *       analytics: { endpoint: "https://example.com/collect" },
+ *       // Options passed on to js/rehearsal.js
+ *       rehearsal: { roundTo: 5 },
+ *       // Options passed on to js/sync.js
+ *       sync: { role: "presenter", key: "secret" },
+ *       // Options passed on to js/remote-control.js
+ *       remote: { page: "remote.html" },
+ *       // Options passed on to js/polls.js
+ *       polls: { page: "join.html" }
+ *     }
+ *   });
+ *
+ * All DOM listeners are delegated and bound once in init(), slide
+ * specific setup runs through activate/deactivate hooks (see
+ * Fusefy.registerSlideBehavior) and everything is removed again in
+ * destroy().
  */
 
-document.addEventListener("DOMContentLoaded", function () {
-  console.log("Slides interactive handler initialized");
-
-  // Initialize all slide interactivity
-  setupAllSlideInteractions();
-
-  // Listen for Reveal.js events if available
-  if (typeof Reveal !== "undefined") {
-    // Re-initialize when slides change
-    Reveal.addEventListener("slidechanged", function (event) {
-      console.log("Slide changed, reinitializing interactions");
-      setupAllSlideInteractions();
-
-      // Reset to first fragment on index slide
-      if (
-        event.currentSlide &&
-        event.currentSlide.classList.contains("index-slide")
-      ) {
-        Reveal.navigateFragment(-1); // Reset to beginning
-      }
-    });
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  // Per-slide behaviors, activated when a matching slide becomes current
+  const slideBehaviors = [];
+
+  // Removes the navigation guard that holds the deck while an image is zoomed
+  let removeZoomGuard = null;
+
+  /**
+   * Registers a behavior for slides matching `selector`:
+   *
+   *   {
+   *     selector: ".my-slide",
+   *     activate: (slide, deck) => {},
+   *     deactivate: (slide, deck) => {}
+   *   }
+   */
+  function registerSlideBehavior(behavior) {
+    slideBehaviors.push(behavior);
+  }
 
-    // Handle fragment events
-    Reveal.addEventListener("fragmentshown", function (event) {
-      handleFragmentVisibility(event.fragment, true);
-    });
+  /**
+   * Runs the activate or deactivate hook of every behavior matching slide
+   */
+  function runSlideBehaviors(hook, slide, deck) {
+    if (!slide) return;
 
-    Reveal.addEventListener("fragmenthidden", function (event) {
-      handleFragmentVisibility(event.fragment, false);
-    });
-  } else {
-    // If Reveal.js isn't available yet, wait for it
-    window.addEventListener("load", function () {
-      if (typeof Reveal !== "undefined") {
-        Reveal.addEventListener("ready", function () {
-          setupAllSlideInteractions();
-        });
+    slideBehaviors.forEach((behavior) => {
+      if (typeof behavior[hook] === "function" && slide.matches(behavior.selector)) {
+        behavior[hook](slide, deck);
       }
     });
   }
-});
-
-/**
- * Master function to set up all interactive elements
- */
-function setupAllSlideInteractions() {
-  // Setup clickable images for zoom
-  setupZoomableImages();
-
-  // Setup navigation buttons within slides
-  setupNavigationButtons();
-
-  // Setup AI adoption slide specific functionality
-  setupAIAdoptionSlide();
-
-  // Setup progress rings and multipliers in business impact slide
-  setupBusinessImpactAnimations();
-
-  // Add pulse effect to logos
-  setupLogoPulseEffects();
-
-  // Setup any other interactive elements
-  setupMiscInteractions();
-}
 
-/**
- * Handle clickable images that show a zoomed version
- */
-function setupZoomableImages() {
-  // Remove any existing event listeners
-  document.querySelectorAll(".clickable-image").forEach((img) => {
-    img.removeAttribute("onclick");
-  });
-
-  // Add event delegation for clickable images
-  document.addEventListener(
-    "click",
-    function (event) {
-      // Check if the clicked element has the clickable-image class
-      if (event.target.classList.contains("clickable-image")) {
-        event.preventDefault();
-        event.stopPropagation();
-
-        const imgSrc =
-          event.target.getAttribute("data-src") || event.target.src;
-        showZoom(imgSrc);
-        return false;
-      }
-
-      // Handle zoom overlay close button
-      if (event.target.closest(".close-zoom")) {
-        event.preventDefault();
-        event.stopPropagation();
-        closeZoom();
-        return false;
-      }
-    },
-    true
-  );
-
-  // Keyboard event for closing zoom overlay
-  document.addEventListener("keydown", function (event) {
-    if (event.key === "Escape") {
-      const zoomOverlay = document.querySelector(".zoom-overlay.active");
-      if (zoomOverlay) {
-        closeZoom();
-        event.preventDefault();
-      }
+  /**
+   * Show zoomed image in overlay
+   */
+  function showZoom(deck, imgSrc) {
+    let overlay = document.getElementById("zoomOverlay");
+
+    // If the overlay doesn't exist, create it
+    if (!overlay) {
+      overlay = document.createElement("div");
+      overlay.id = "zoomOverlay";
+      overlay.className = "zoom-overlay";
+      overlay.innerHTML = `
+        <div class="close-zoom">×</div>
+        <img class="zoom-image" id="zoomedImage" src="" alt="Zoomed Image" />
+      `;
+      document.body.appendChild(overlay);
     }
-  });
-}
 
-/**
- * Show zoomed image in overlay
- */
-function showZoom(imgSrc) {
-  let overlay = document.getElementById("zoomOverlay");
-
-  // If the overlay doesn't exist, create it
-  if (!overlay) {
-    overlay = document.createElement("div");
-    overlay.id = "zoomOverlay";
-    overlay.className = "zoom-overlay";
-    overlay.innerHTML = `
-      <div class="close-zoom">×</div>
-      <img class="zoom-image" id="zoomedImage" src="" alt="Zoomed Image" />
-    `;
-    document.body.appendChild(overlay);
-  }
-
-  const zoomedImg = document.getElementById("zoomedImage");
-  zoomedImg.src = imgSrc;
-  overlay.classList.add("active");
+    const zoomedImg = document.getElementById("zoomedImage");
+    zoomedImg.src = imgSrc;
+    overlay.classList.add("active");
 
-  if (typeof Reveal !== "undefined") {
-    Reveal.configure({ keyboard: false });
+    if (!removeZoomGuard) removeZoomGuard = deck.beforeNavigate(() => false);
+    deck.dispatchEvent({ type: "imagezoomed", data: { src: imgSrc } });
   }
-}
 
-/**
- * Close zoomed image overlay
- */
-function closeZoom() {
-  const overlay = document.getElementById("zoomOverlay");
-  if (overlay) {
-    overlay.classList.remove("active");
-  }
+  /**
+   * Close zoomed image overlay
+   */
+  function closeZoom(deck) {
+    const overlay = document.getElementById("zoomOverlay");
+    if (!overlay || !overlay.classList.contains("active")) return;
 
-  if (typeof Reveal !== "undefined") {
-    Reveal.configure({ keyboard: true });
+    overlay.classList.remove("active");
+    if (removeZoomGuard) {
+      removeZoomGuard();
+      removeZoomGuard = null;
+    }
   }
-}
 
-/**
- * Setup AI adoption slide specific functionality
- */
-function setupAIAdoptionSlide() {
-  const slide = document.querySelector(".ai-adoption-slide");
-  if (!slide) return;
-
-  // Page switching logic
-  const page1 = slide.querySelector("#content-set-1");
-  const page2 = slide.querySelector("#content-set-2");
-  const nextButton = slide.querySelector("#next-button");
-  const backButton = slide.querySelector("#back-button");
-
-  // Remove any existing event listeners to prevent duplicates
-  if (nextButton) {
-    nextButton.removeAttribute("onclick");
-    // Clone node to remove all event listeners
-    const newNextButton = nextButton.cloneNode(true);
-    nextButton.parentNode.replaceChild(newNextButton, nextButton);
-
-    newNextButton.addEventListener("click", function (e) {
-      e.preventDefault();
-      e.stopPropagation();
-      if (page1 && page2) {
-        page1.style.display = "none";
-        page2.style.display = "flex";
-        animateElementsOnShow(page2);
+  /**
+   * Helper function to animate elements when shown, the elements appear
+   * all at once when motion is reduced
+   */
+  function animateElementsOnShow(container, deck) {
+    const elements = container.querySelectorAll(".animate-on-show");
+    elements.forEach((el, index) => {
+      el.classList.remove("start-animation");
+
+      if (deck.isReducedMotion()) {
+        el.style.animationDelay = "";
+        el.classList.add("start-animation");
+        return;
       }
-      return false;
+
+      setTimeout(() => {
+        el.style.animationDelay = `${index * 150}ms`;
+        el.classList.add("start-animation");
+      }, 10);
     });
   }
 
-  if (backButton) {
-    backButton.removeAttribute("onclick");
-    // Clone node to remove all event listeners
-    const newBackButton = backButton.cloneNode(true);
-    backButton.parentNode.replaceChild(newBackButton, backButton);
-
-    newBackButton.addEventListener("click", function (e) {
-      e.preventDefault();
-      e.stopPropagation();
-      if (page1 && page2) {
-        page2.style.display = "none";
-        page1.style.display = "flex";
-        resetAnimationsOnHide(page2);
-      }
-      return false;
+  /**
+   * Helper function to reset animations when hidden
+   */
+  function resetAnimationsOnHide(container) {
+    container.querySelectorAll(".animate-on-show").forEach((el) => {
+      el.classList.remove("start-animation");
+      el.style.animationDelay = "";
     });
   }
 
-  // Setup explanation popups
-  setupExplanationPopups(slide);
-}
-
-/**
- * Helper function to animate elements when shown
- */
-function animateElementsOnShow(container) {
-  const elements = container.querySelectorAll(".animate-on-show");
-  elements.forEach((el, index) => {
-    el.classList.remove("start-animation");
-    setTimeout(() => {
-      el.style.animationDelay = `${index * 150}ms`;
-      el.classList.add("start-animation");
-    }, 10);
-  });
-}
-
-/**
- * Helper function to reset animations when hidden
- */
-function resetAnimationsOnHide(container) {
-  container.querySelectorAll(".animate-on-show").forEach((el) => {
-    el.classList.remove("start-animation");
-    el.style.animationDelay = "";
-  });
-}
-
-/**
- * Setup explanation popups for AI adoption slide
- */
-function setupExplanationPopups(slide) {
-  const cardTitles = slide.querySelectorAll(".future-card-title");
-
-  cardTitles.forEach((title) => {
-    const card = title.closest(".future-card");
-    const popup = card.querySelector(".explanation-popup");
-
-    if (!popup) return;
-
-    // Remove any existing event listeners
-    const newTitle = title.cloneNode(true);
-    title.parentNode.replaceChild(newTitle, title);
+  /**
+   * Turns the content sets of older AI adoption partials into Reveal
+   * sub-pages, so that they take part in keyboard navigation, the URL
+   * hash and the deck state
+   */
+  function upgradeLegacySubPages(deck) {
+    deck
+      .getRevealElement()
+      .querySelectorAll(".ai-adoption-slide")
+      .forEach((slide) => {
+        slide.querySelectorAll("#content-set-1, #content-set-2").forEach((set) => {
+          set.classList.add("subpage");
+          set.style.display = "";
+        });
 
-    // Hover behavior
-    newTitle.addEventListener("mouseenter", () => {
-      // Hide any other active popups
-      slide.querySelectorAll(".explanation-popup.active").forEach((p) => {
-        if (p !== popup) p.classList.remove("active");
+        const next = slide.querySelector("#next-button");
+        const back = slide.querySelector("#back-button");
+        if (next) next.setAttribute("data-subpage-next", "");
+        if (back) back.setAttribute("data-subpage-prev", "");
       });
-      popup.classList.add("active");
-    });
-
-    newTitle.addEventListener("mouseleave", () => {
-      if (!popup.matches(":hover")) {
-        popup.classList.remove("active");
-      }
-    });
-
-    // Keep popup open when hovering over it
-    popup.addEventListener("mouseenter", () => {
-      popup.classList.add("active");
-    });
-
-    popup.addEventListener("mouseleave", () => {
-      popup.classList.remove("active");
-    });
+  }
 
-    // Click behavior for mobile/touch devices
-    newTitle.addEventListener("click", (e) => {
-      e.preventDefault();
-      e.stopPropagation();
+  registerSlideBehavior({
+    selector: ".ai-adoption-slide",
 
-      // Toggle this popup and hide others
-      const isCurrentlyActive = popup.classList.contains("active");
-      slide.querySelectorAll(".explanation-popup.active").forEach((p) => {
-        p.classList.remove("active");
+    activate(slide) {
+      // Reset and restart animations
+      slide.querySelectorAll(".animate-on-load").forEach((el) => {
+        el.style.animation = "none";
+        void el.offsetWidth; // Force reflow
+        el.style.animation = "";
       });
 
-      if (!isCurrentlyActive) {
-        popup.classList.add("active");
+      // Ensure next button is visible
+      const buttonDiv = slide.querySelector("#next-button-wrapper");
+      if (buttonDiv) {
+        buttonDiv.style.opacity = "0";
+        buttonDiv.style.animation = "none";
+        void buttonDiv.offsetWidth; // Force reflow
+        buttonDiv.style.animation = "fadeIn 0.8s 1.8s forwards";
+        clearTimeout(buttonDiv._revealTimeout);
+        buttonDiv._revealTimeout = setTimeout(() => {
+          if (getComputedStyle(buttonDiv).opacity === "0") {
+            buttonDiv.style.opacity = "1";
+          }
+        }, 2500);
       }
+    },
 
-      return false;
-    });
+    deactivate(slide) {
+      const buttonDiv = slide.querySelector("#next-button-wrapper");
+      if (buttonDiv) clearTimeout(buttonDiv._revealTimeout);
+    },
   });
 
-  // Close popups when clicking outside
-  document.addEventListener("click", function (e) {
-    if (!e.target.closest(".future-card")) {
-      slide.querySelectorAll(".explanation-popup.active").forEach((popup) => {
-        popup.classList.remove("active");
-      });
-    }
-  });
-}
+  /**
+   * Removes inline handlers that older slide partials still carry, the
+   * delegated handlers below take care of these elements
+   */
+  function removeInlineHandlers(deck) {
+    deck
+      .getRevealElement()
+      .querySelectorAll(".clickable-image, #next-button, #back-button, .company-logo, .fusefy-logo")
+      .forEach((el) => el.removeAttribute("onclick"));
+  }
 
-/**
- * Setup navigation buttons within slides
- */
-function setupNavigationButtons() {
-  // Remove any existing event handlers (excluding AI adoption slide which is handled separately)
-  document.querySelectorAll("#next-button, #back-button").forEach((btn) => {
-    // Skip if this button is in the AI adoption slide (handled separately)
-    if (btn.closest(".ai-adoption-slide")) return;
-    btn.removeAttribute("onclick");
-  });
+  /**
+   * The plugin itself. A new instance is created per Reveal deck.
+   */
+  function RevealFusefy() {
+    let deck = null;
+    let currentSlide = null;
+    const listeners = [];
+    const guards = [];
+
+    // AI adoption slides whose last sub-page has been viewed
+    const viewedAdoptionSlides = new WeakSet();
+
+    /**
+     * Adds a DOM or deck listener that is removed again in destroy()
+     */
+    function listen(target, type, handler, options) {
+      if (target === deck) {
+        deck.on(type, handler);
+      } else {
+        target.addEventListener(type, handler, options);
+      }
+      listeners.push({ target, type, handler, options });
+    }
 
-  // Use event delegation for navigation buttons (excluding AI adoption slide)
-  document.addEventListener(
-    "click",
-    function (event) {
-      // Skip if we're in the AI adoption slide (handled separately)
-      if (event.target.closest(".ai-adoption-slide")) return;
+    function onClick(event) {
+      const target = event.target;
+      if (!target.closest) return;
 
-      // Next button in other slides
-      if (event.target.closest("#next-button")) {
+      // Zoomable images
+      if (target.classList.contains("clickable-image")) {
         event.preventDefault();
         event.stopPropagation();
-
-        // Handle other slide navigation here if needed
-        return false;
+        showZoom(deck, target.getAttribute("data-src") || target.src);
+        return;
       }
 
-      // Back button in other slides
-      if (event.target.closest("#back-button")) {
+      if (target.closest(".close-zoom")) {
         event.preventDefault();
         event.stopPropagation();
-
-        // Handle other slide navigation here if needed
-        return false;
-      }
-    },
-    true
-  );
-
-  // Add keyboard navigation support (excluding AI adoption slide)
-  document.addEventListener("keydown", function (event) {
-    // Skip if we're in the AI adoption slide
-    const currentSlide =
-      typeof Reveal !== "undefined" ? Reveal.getCurrentSlide() : null;
-    if (currentSlide && currentSlide.classList.contains("ai-adoption-slide"))
-      return;
-
-    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
-      // Handle keyboard navigation for other slides if needed
-    }
-  });
-}
-
-/**
- * Handle business impact slide animations (progress rings, multipliers)
- */
-function setupBusinessImpactAnimations() {
-  const businessImpactSlide = document.querySelector(".business-impact-slide");
-  if (!businessImpactSlide) return;
-
-  // Ensure the slide header is always visible
-  const slideHeader = businessImpactSlide.querySelector(".slide-header");
-  if (slideHeader) {
-    slideHeader.style.visibility = "visible";
-    slideHeader.style.opacity = "1";
-  }
-
-  // Calculate offset for progress rings
-  const circles = businessImpactSlide.querySelectorAll(".progress-ring-circle");
-  circles.forEach((circle) => {
-    const radius = circle.getAttribute("r");
-    const circumference = 2 * Math.PI * radius;
-
-    // Set the stroke-dasharray to the circumference
-    const valueCircle = circle.nextElementSibling;
-    if (
-      valueCircle &&
-      valueCircle.classList.contains("progress-ring-circle-value")
-    ) {
-      valueCircle.style.strokeDasharray = `${circumference}`;
-      valueCircle.setAttribute("data-circumference", circumference);
-
-      // Initially set to full circumference (0% progress)
-      valueCircle.style.strokeDashoffset = circumference;
-    }
-  });
-
-  // Initialize animations if this is not within Reveal.js
-  if (typeof Reveal === "undefined") {
-    // Find all animation elements
-    const ringCircles = businessImpactSlide.querySelectorAll(
-      ".progress-ring-circle-value"
-    );
-    const animateCounts =
-      businessImpactSlide.querySelectorAll(".animate-count");
-    const multiplierProgress = businessImpactSlide.querySelectorAll(
-      ".multiplier-progress"
-    );
-    const activeMarkers = businessImpactSlide.querySelectorAll(
-      ".multiplier-marker.active"
-    );
-    const currentMarkers = businessImpactSlide.querySelectorAll(
-      ".multiplier-marker.current"
-    );
-    const multiplierValues =
-      businessImpactSlide.querySelectorAll(".multiplier-value");
-
-    // Animate all elements
-    ringCircles.forEach((circle) => circle.classList.add("animate"));
-    animateCounts.forEach((count) => count.classList.add("animate"));
-    multiplierProgress.forEach((progress) => progress.classList.add("animate"));
-    activeMarkers.forEach((marker) => marker.classList.add("animate"));
-    currentMarkers.forEach((marker) => marker.classList.add("animate"));
-    multiplierValues.forEach((value) => value.classList.add("animate"));
-  }
-}
-
-/**
- * Handle fragment visibility changes
- */
-function handleFragmentVisibility(fragment, isVisible) {
-  if (!fragment) return;
-
-  // Check if it's a business impact slide fragment
-  if (fragment.closest(".business-impact-slide")) {
-    // Find all animation elements within this fragment
-    const ringCircle = fragment.querySelector(".progress-ring-circle-value");
-    const animateCount = fragment.querySelector(".animate-count");
-    const multiplierProgress = fragment.querySelector(".multiplier-progress");
-    const activeMarkers = fragment.querySelectorAll(
-      ".multiplier-marker.active"
-    );
-    const currentMarker = fragment.querySelector(".multiplier-marker.current");
-    const multiplierValue = fragment.querySelector(".multiplier-value");
-
-    if (isVisible) {
-      // Animate the progress ring
-      if (ringCircle) {
-        // Get the target percentage from the associated counter
-        const percentEl = fragment.querySelector(".animate-count");
-        let targetPercent = 0;
-
-        if (percentEl) {
-          targetPercent = parseInt(
-            percentEl.style.getPropertyValue("--target-value") || "0"
-          );
-        }
-
-        // Calculate the appropriate strokeDashoffset
-        const circumference = parseFloat(
-          ringCircle.getAttribute("data-circumference") || 2 * Math.PI * 20
-        );
-        const targetOffset = calculateOffset(targetPercent, circumference);
-
-        // Apply the calculated offset
-        ringCircle.style.setProperty("--target-offset", targetOffset);
-        ringCircle.classList.add("animate");
-      }
-
-      // Animate the counter
-      if (animateCount) {
-        animateCount.classList.add("animate");
+        closeZoom(deck);
+        return;
       }
 
-      // Animate the multiplier progress bar
-      if (multiplierProgress) {
-        multiplierProgress.classList.add("animate");
-      }
-
-      // Animate the active markers
-      if (activeMarkers.length) {
-        activeMarkers.forEach((marker) => marker.classList.add("animate"));
-      }
-
-      // Animate the current marker
-      if (currentMarker) {
-        currentMarker.classList.add("animate");
-      }
-
-      // Animate the multiplier value
-      if (multiplierValue) {
-        multiplierValue.classList.add("animate");
-      }
-    } else {
-      // Reset the progress ring animation
-      if (ringCircle) {
-        const circumference = parseFloat(
-          ringCircle.getAttribute("data-circumference") || 2 * Math.PI * 20
-        );
-        ringCircle.style.strokeDashoffset = circumference; // Reset to 0%
-        ringCircle.classList.remove("animate");
-      }
-
-      // Reset the counter animation
-      if (animateCount) {
-        animateCount.classList.remove("animate");
-      }
-
-      // Reset the multiplier progress animation
-      if (multiplierProgress) {
-        multiplierProgress.style.width = "0%";
-        multiplierProgress.classList.remove("animate");
-      }
-
-      // Reset the active markers animation
-      if (activeMarkers.length) {
-        activeMarkers.forEach((marker) => marker.classList.remove("animate"));
-      }
-
-      // Reset the current marker animation
-      if (currentMarker) {
-        currentMarker.classList.remove("animate");
-      }
-
-      // Reset the multiplier value animation
-      if (multiplierValue) {
-        multiplierValue.classList.remove("animate");
+      // Logo pulse
+      const logo = target.closest(".company-logo, .fusefy-logo");
+      if (logo) {
+        event.preventDefault();
+        event.stopPropagation();
+        if (deck.isReducedMotion()) return;
+        logo.classList.add("pulse");
+        setTimeout(() => logo.classList.remove("pulse"), 500);
       }
     }
-  }
-}
 
-/**
- * Calculate stroke-dashoffset based on percentage
- */
-function calculateOffset(percent, circumference) {
-  return circumference - (circumference * percent) / 100;
-}
+    /**
+     * Keeps all keys from the deck, its plugins and our other components
+     * while an image is zoomed. This listens on the window in the capture
+     * phase so that it runs before any keydown listener on the document.
+     */
+    function onKeyDown(event) {
+      if (!document.querySelector(".zoom-overlay.active")) return;
 
-/**
- * Setup the Storylane demos for agent cards
- */
-function setupStorylaneDemos() {
-  // Check if we're on the intelligent agents slide
-  const agentsSlide = document.querySelector(".intelligent-agents-slide");
-  if (!agentsSlide) return;
-
-  // Remove any existing event listeners from agent cards
-  document
-    .querySelectorAll(".agent-card[data-storylane-url]")
-    .forEach((card) => {
-      card.removeAttribute("onclick");
-
-      // Add visual feedback for clickability
-      card.classList.add("clickable");
-
-      // Add click handler to open in new tab
-      card.addEventListener("click", (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-
-        // Open link in new tab
-        window.open(card.dataset.storylaneUrl, "_blank");
-
-        // Visual feedback on click
-        card.style.transform = "scale(0.98)";
-        setTimeout(() => {
-          card.style.transform = "";
-        }, 200);
-      });
-    });
+      event.stopImmediatePropagation();
 
-  // Add keyboard navigation for accessibility
-  document.addEventListener("keydown", function (event) {
-    if (event.key === "Enter" || event.key === " ") {
-      const focusedCard = document.activeElement;
-      if (
-        focusedCard &&
-        focusedCard.classList.contains("agent-card") &&
-        focusedCard.dataset.storylaneUrl
-      ) {
+      if (event.key === "Escape") {
         event.preventDefault();
-        window.open(focusedCard.dataset.storylaneUrl, "_blank");
+        closeZoom(deck);
       }
     }
-  });
-}
 
-// Removing old modal-related functions since we're now using direct links in new tabs
+    function onSlideChanged(event) {
+      runSlideBehaviors("deactivate", currentSlide, deck);
+      currentSlide = event.currentSlide || deck.getCurrentSlide();
+      runSlideBehaviors("activate", currentSlide, deck);
 
-/**
- * Setup logo pulse effects
- */
-function setupLogoPulseEffects() {
-  // Remove inline onclick handlers
-  document.querySelectorAll(".company-logo, .fusefy-logo").forEach((logo) => {
-    logo.removeAttribute("onclick");
-  });
+      // Reset to first fragment on index slide
+      if (currentSlide && currentSlide.classList.contains("index-slide")) {
+        deck.navigateFragment(-1);
+      }
+    }
 
-  // Use event delegation for logo clicks
-  document.addEventListener("click", function (event) {
-    const logo = event.target.closest(".company-logo, .fusefy-logo");
-    if (logo) {
-      event.preventDefault();
-      event.stopPropagation();
+    /**
+     * Keeps the deck on an AI adoption slide until its last sub-page has
+     * been viewed, moving forward is redirected to the next sub-page
+     */
+    function guardAdoptionSlide(from, to) {
+      const slide = deck.getCurrentSlide();
+      if (!slide || !slide.matches(".ai-adoption-slide") || viewedAdoptionSlides.has(slide)) return true;
 
-      logo.classList.add("pulse");
-      setTimeout(() => logo.classList.remove("pulse"), 500);
+      const forward = to.h > from.h || (to.h === from.h && to.v > from.v);
+      if (!forward || !deck.availableSubPages().next) return true;
 
-      return false;
+      return { h: from.h, v: from.v, p: deck.getSubPageIndex() + 1 };
     }
-  });
-}
 
-/**
- * Setup other miscellaneous interactions
- */
-function setupMiscInteractions() {
-  // Reset animations when slides become visible
-  const aiSlide = document.querySelector(".ai-adoption-slide");
-  if (aiSlide) {
-    // Only run if not already initialized or if slide is active
-    if (
-      !aiSlide.dataset.initialized ||
-      (typeof Reveal !== "undefined" && Reveal.getCurrentSlide() === aiSlide)
-    ) {
-      // Show content set 1 by default
-      const contentSet1 = document.getElementById("content-set-1");
-      const contentSet2 = document.getElementById("content-set-2");
-
-      if (contentSet1 && contentSet2) {
-        contentSet1.style.display = "block";
-        contentSet2.style.display = "none";
+    function onSubPageChanged(event) {
+      const slide = event.subpage.closest("section");
+      if (slide && slide.matches(".ai-adoption-slide") && !deck.availableSubPages().next) {
+        viewedAdoptionSlides.add(slide);
       }
 
-      // Reset and restart animations
-      const animatedElements = aiSlide.querySelectorAll(".animate-on-load");
-      animatedElements.forEach((el) => {
-        el.style.animation = "none";
-        void el.offsetWidth; // Force reflow
-        el.style.animation = "";
-      });
-
-      // Ensure next button is visible
-      const buttonDiv = document.getElementById("next-button-wrapper");
-      if (buttonDiv) {
-        buttonDiv.style.opacity = "0";
-        buttonDiv.style.animation = "none";
-        void buttonDiv.offsetWidth; // Force reflow
-        buttonDiv.style.animation = "fadeIn 0.8s 1.8s forwards";
-        setTimeout(() => {
-          if (getComputedStyle(buttonDiv).opacity === "0") {
-            buttonDiv.style.opacity = "1";
-          }
-        }, 2500);
-      }
-
-      // Mark as initialized
-      aiSlide.dataset.initialized = "true";
+      if (event.previousSubPage) resetAnimationsOnHide(event.previousSubPage);
+      animateElementsOnShow(event.subpage, deck);
     }
-  }
-
-function setupImpactCardInteractions() {
-  const slide = document.querySelector('#slide1');
-  if (!slide) return;
-
-  // --- DATA SCENARIO ---
-  // Before: $200k/mo cost. This represents a 0% reduction.
-  // After: $60k/mo cost. This is a $140k reduction, which is 70% of the original cost.
-
-  const beforeData = {
-    // CHANGED: Metric is now cost REDUCTION
-    cost: { value: 80, unit: '%', progress: '80%' }, 
-    orders: { value: 10, unit: '/min', progress: '15%' },
-    sentiment: { value: 75, unit: '%', progress: '75%' },
-  };
-
-  const afterData = {
-    // CHANGED: Metric is now cost REDUCTION
-    cost: { value: 30, unit: '%', progress: '30%' }, 
-    orders: { value: 50, unit: '/min', progress: '75%' },
-    sentiment: { value: 92, unit: '%', progress: '92%' },
-  };
-
-  // --- Get elements ---
-  const impactCard = slide.querySelector('#impact-card');
-  if (!impactCard) return;
-
-  const costValue = slide.querySelector('#cost-value');
-  const ordersValue = slide.querySelector('#orders-value');
-  const sentimentValue = slide.querySelector('#sentiment-value');
-  
-  const costBarBefore = slide.querySelector('#cost-bar-before');
-  const costBarAfter = slide.querySelector('#cost-bar-after');
-  const ordersBarBefore = slide.querySelector('#orders-bar-before');
-  const ordersBarAfter = slide.querySelector('#orders-bar-after');
-  const sentimentBarBefore = slide.querySelector('#sentiment-bar-before');
-  const sentimentBarAfter = slide.querySelector('#sentiment-bar-after');
-
-  // --- Core UI Update Functions ---
-  function clearMetrics() {
-    [costValue, ordersValue, sentimentValue].forEach(el => {
-      if (el) el.innerHTML = '';
-    });
-    [costBarBefore, costBarAfter, ordersBarBefore, ordersBarAfter, sentimentBarBefore, sentimentBarAfter].forEach(bar => {
-      if (bar) bar.style.width = '0%';
-    });
-  }
 
-  function populateBars() {
-    if (!costBarBefore) return; 
-    costBarBefore.style.width = beforeData.cost.progress;
-    costBarAfter.style.width = afterData.cost.progress;
-    ordersBarBefore.style.width = beforeData.orders.progress;
-    ordersBarAfter.style.width = afterData.orders.progress;
-    sentimentBarBefore.style.width = beforeData.sentiment.progress;
-    sentimentBarAfter.style.width = afterData.sentiment.progress;
-  }
-
-  function updateMetricsDisplay() {
-    if (!costValue) return;
-
-    // --- Cost Reduction Metric ---
-    // The "before" state (0%) is neutral, not bad, so we remove the 'red' class.
-    const beforeCost = `${beforeData.cost.value}<span class="metric-unit">${beforeData.cost.unit}</span>`;
-    const afterCost = `${afterData.cost.value}<span class="metric-unit">${afterData.cost.unit}</span>`;
-    costValue.innerHTML = `
-      <span class="metric-before">${beforeCost}</span>
-      <span class="metric-separator">→</span>
-      <span class="metric-after green">${afterCost}</span>
-    `;
-
-    // --- Orders Metric ---
-    const beforeOrders = `${beforeData.orders.value}<span class="metric-unit">${beforeData.orders.unit}</span>`;
-    const afterOrders = `${afterData.orders.value}<span class="metric-unit">${afterData.orders.unit}</span>`;
-    ordersValue.innerHTML = `
-      <span class="metric-before">${beforeOrders}</span>
-      <span class="metric-separator">→</span>
-      <span class="metric-after green">${afterOrders}</span>
-    `;
-    
-    // --- Sentiment Metric ---
-    const beforeSentiment = `${beforeData.sentiment.value}<span class="metric-unit">${beforeData.sentiment.unit}</span>`;
-    const afterSentiment = `${afterData.sentiment.value}<span class="metric-unit">${afterData.sentiment.unit}</span>`;
-    sentimentValue.innerHTML = `
-      <span class="metric-before">${beforeSentiment}</span>
-      <span class="metric-separator">→</span>
-      <span class="metric-after green">${afterSentiment}</span>
-    `;
-  }
-
-  // --- Event Listeners for Reveal.js Fragments ---
-  Reveal.addEventListener('fragmentshown', function(event) {
-    if (!event.fragment.closest('#slide1')) return;
-    if (event.fragment.id === 'impact-card') {
-      populateBars();
-      updateMetricsDisplay();
-    } 
-  });
-
-  Reveal.addEventListener('fragmenthidden', function(event) {
-    if (!event.fragment.closest('#slide1')) return;
-    if (event.fragment.id === 'impact-card') {
-      clearMetrics();
+    function onReady() {
+      removeInlineHandlers(deck);
+      currentSlide = deck.getCurrentSlide();
+      runSlideBehaviors("activate", currentSlide, deck);
     }
-  });
-
-  // --- Initial State ---
-  clearMetrics();
-}
 
-// Call the setup function. Make sure Reveal.js is already initialized.
-if (window.Reveal) {
-  if (Reveal.isReady()) {
-    setupImpactCardInteractions();
-  } else {
-    Reveal.addEventListener('ready', setupImpactCardInteractions);
+    return {
+      id: "fusefy",
+
+      init(reveal) {
+        deck = reveal;
+        const options = deck.getConfig().fusefy || {};
+
+        listen(document, "click", onClick, true);
+        listen(window, "keydown", onKeyDown, true);
+
+        listen(deck, "ready", onReady);
+        listen(deck, "slidechanged", onSlideChanged);
+        listen(deck, "subpagechanged", onSubPageChanged);
+
+        guards.push(deck.beforeNavigate(guardAdoptionSlide));
+
+        // Reveal picks up sub-pages when it starts, which happens
+        // after plugins are initialized
+        upgradeLegacySubPages(deck);
+
+        // Components that live in their own files
+        if (Fusefy.slideConsistency) Fusefy.slideConsistency.bind(deck);
+        if (Fusefy.popover) Fusefy.popover.bind(deck);
+        if (Fusefy.metricCards) Fusefy.metricCards.init(deck);
+        if (Fusefy.fragmentCounters) Fusefy.fragmentCounters.init(deck);
+        if (Fusefy.embeds) Fusefy.embeds.init(deck, options.embeds);
+        if (Fusefy.analytics) Fusefy.analytics.init(deck, options.analytics);
+        if (Fusefy.rehearsal) Fusefy.rehearsal.init(deck, options.rehearsal);
+        if (Fusefy.sync) Fusefy.sync.init(deck, options.sync);
+        if (Fusefy.remoteControl) Fusefy.remoteControl.init(deck, options.remote);
+        if (Fusefy.polls) Fusefy.polls.init(deck, options.polls);
+      },
+
+      destroy() {
+        if (!deck) return;
+
+        runSlideBehaviors("deactivate", currentSlide, deck);
+        currentSlide = null;
+
+        closeZoom(deck);
+        guards.forEach((remove) => remove());
+        guards.length = 0;
+
+        listeners.forEach(({ target, type, handler, options }) => {
+          if (target === deck) {
+            deck.off(type, handler);
+          } else {
+            target.removeEventListener(type, handler, options);
+          }
+        });
+        listeners.length = 0;
+
+        if (Fusefy.slideConsistency) Fusefy.slideConsistency.unbind();
+        if (Fusefy.popover) Fusefy.popover.unbind();
+        if (Fusefy.metricCards) Fusefy.metricCards.destroy();
+        if (Fusefy.fragmentCounters) Fusefy.fragmentCounters.destroy();
+        if (Fusefy.embeds) Fusefy.embeds.destroy();
+        if (Fusefy.analytics) Fusefy.analytics.destroy();
+        if (Fusefy.rehearsal) Fusefy.rehearsal.destroy();
+        if (Fusefy.sync) Fusefy.sync.destroy();
+        if (Fusefy.remoteControl) Fusefy.remoteControl.destroy();
+        if (Fusefy.polls) Fusefy.polls.destroy();
+
+        deck = null;
+      },
+    };
   }
-} else {
-    // Fallback for when Reveal is not present or script runs too early
-    window.addEventListener('load', setupImpactCardInteractions);
-}
-  // Setup Storylane modals for agent slides
-  setupStorylaneDemos();
-}
+
+  window.Fusefy.registerSlideBehavior = registerSlideBehavior;
+  window.RevealFusefy = RevealFusefy;
+})();
@@ -0,0 +1,287 @@
+/**
+ * Follow-the-presenter sync
+ * A presenter deck sends its state (slide, fragment, sub-page, overview
+ * and pause) to a WebSocket relay, started by `gulp serve`, and every
+ * viewer in the same room is moved to the same place with setState().
+ *
+ *   index.html?sync=presenter            Present, a room code is created
+ *   index.html?room=ABC123               Follow the presenter of a room
+ *
+ * Viewers that navigate on their own stop following until they click
+ * "Follow presenter" in the status badge. Presenters can click the
+ * badge to copy the link for viewers.
+ *
+ * Options (fusefy.sync in the Reveal config), query parameters take
+ * precedence:
+ * - url:  URL of the relay (?sync-url=), defaults to the port after
+ *         the one the deck is served from
+ * - role: "presenter" or "viewer" (?sync=)
+ * - room: Room code (?room=)
+ * - key:  Presenter key, if the relay was started with --sync-key
+ *         (?sync-key=)
+ *
+ * Sync is off unless a role or room is given. Nothing is synced in
+ * print view or in the speaker notes window.
+ */
+
+window.Fusefy = window.Fusefy || {};
+
+(function () {
+  const DEFAULT_OPTIONS = {
+    url: null,
+    role: null,
+    room: null,
+    key: null
+  };
+
+  // Events that change what getState() returns
+  const STATE_EVENTS = [
+    'slidechanged',
+    'fragmentshown',
+    'fragmenthidden',
+    'subpagechanged',
+    'overviewshown',
+    'overviewhidden',
+    'paused',
+    'resumed'
+  ];
+
+  let deck = null;
+  let options = DEFAULT_OPTIONS;
+
+  // Relay client, see js/relay-client.js
+  let client = null;
+  let viewers = 0;
+
+  // The last state received from the presenter
+  let lastState = null;
+
+  // JSON of the last state sent as presenter
+  let lastSent = null;
+
+  let following = true;
+
+  // Set while a received state is applied, so that the events it
+  // triggers aren't mistaken for the viewer navigating
+  let applying = false;
+
+  let badge = null;
+
+  /**
+   * Merges the config with ?sync= and ?room=, the relay options are
+   * resolved by the relay client
+   */
+  function getOptions(config) {
+    const params = new URLSearchParams(window.location.search);
+    const result = window.Fusefy.relay.getOptions(DEFAULT_OPTIONS, config);
+
+    if (params.has('sync')) result.role = params.get('sync');
+    if (params.has('room')) result.room = params.get('room');
+
+    if (!result.role && result.room) result.role = 'viewer';
+
+    return result;
+  }
+
+  function isPresenter() {
+    return options.role === 'presenter';
+  }
+
+  function connect() {
+    if (client) return;
+
+    client = window.Fusefy.relay.connect({
+      url: options.url,
+      role: options.role,
+      room: options.room,
+      key: options.key,
+      onMessage,
+      onChange: updateBadge
+    });
+  }
+
+  function onMessage(message) {
+    if (message.type === 'joined') {
+      viewers = message.viewers;
+
+      // The relay keeps the last state for viewers that join later
+      if (isPresenter()) {
+        lastSent = null;
+        sendState();
+      }
+    } else if (message.type === 'viewers') {
+      viewers = message.count;
+    } else if (message.type === 'state') {
+      lastState = message.state;
+      if (following) applyState();
+    } else if (message.type === 'error') {
+      console.warn(`Sync: ${message.message}`);
+    }
+
+    updateBadge();
+  }
+
+  /**
+   * Sends the presenter's state if it changed
+   */
+  function sendState() {
+    const state = deck.getState();
+    const json = JSON.stringify(state);
+
+    if (json === lastSent) return;
+
+    lastSent = json;
+    if (client) client.send({ type: 'state', state });
+  }
+
+  function applyState() {
+    if (!lastState) return;
+
+    applying = true;
+    try {
+      deck.setState(lastState);
+    } finally {
+      applying = false;
+    }
+  }
+
+  function onStateEvent() {
+    if (isPresenter()) {
+      sendState();
+    } else if (!applying && following) {
+      detach();
+    }
+  }
+
+  /**
+   * Stops following the presenter, the viewer navigates on their own
+   */
+  function detach() {
+    following = false;
+    updateBadge();
+  }
+
+  /**
+   * Follows the presenter again and jumps to where they are
+   */
+  function follow() {
+    following = true;
+    applyState();
+    updateBadge();
+  }
+
+  function getRoom() {
+    return client ? client.getRoom() : null;
+  }
+
+  function getViewerLink() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('sync');
+    url.searchParams.delete('sync-key');
+    url.searchParams.set('room', getRoom());
+    url.hash = '';
+    return url.href;
+  }
+
+  function onBadgeClick() {
+    if (!isPresenter()) {
+      if (!following) follow();
+      return;
+    }
+
+    if (getRoom() && navigator.clipboard) {
+      navigator.clipboard.writeText(getViewerLink()).then(() => {
+        badge.textContent = 'Viewer link copied';
+        setTimeout(updateBadge, 1500);
+      });
+    }
+  }
+
+  function updateBadge() {
+    if (!badge) return;
+
+    let text;
+    const connected = !!client && client.isConnected();
+    const room = getRoom();
+    const error = client && client.getError();
+
+    if (error && !connected) {
+      text = `Sync: ${error}`;
+    } else if (!connected) {
+      text = 'Sync: connecting…';
+    } else if (isPresenter()) {
+      text = `Live · ${room} · ${viewers} ${viewers === 1 ? 'viewer' : 'viewers'}`;
+    } else if (following) {
+      text = `Following ${room}`;
+    } else {
+      text = 'Follow presenter';
+    }
+
+    badge.textContent = text;
+    badge.classList.toggle('is-live', connected);
+    badge.classList.toggle('is-detached', connected && !isPresenter() && !following);
+    badge.title = isPresenter() ? 'Copy the link for viewers' : following ? '' : 'Jump to where the presenter is';
+  }
+
+  function createBadge() {
+    badge = document.createElement('button');
+    badge.type = 'button';
+    badge.className = 'sync-status';
+    badge.addEventListener('click', onBadgeClick);
+    document.body.appendChild(badge);
+    updateBadge();
+  }
+
+  /**
+   * Connects a Reveal instance to the sync relay
+   */
+  function init(reveal, config) {
+    if (deck) destroy();
+    if (config === false) return;
+
+    if (reveal.isPrintView() || reveal.isSpeakerNotes()) return;
+
+    options = getOptions(config);
+    if (options.role !== 'presenter' && options.role !== 'viewer') return;
+
+    deck = reveal;
+    lastState = null;
+    lastSent = null;
+    following = true;
+
+    STATE_EVENTS.forEach((type) => deck.on(type, onStateEvent));
+
+    createBadge();
+
+    // States can only be applied once the deck is ready
+    if (deck.isReady()) {
+      connect();
+    } else {
+      deck.on('ready', connect);
+    }
+  }
+
+  function destroy() {
+    if (!deck) return;
+
+    STATE_EVENTS.forEach((type) => deck.off(type, onStateEvent));
+    deck.off('ready', connect);
+    deck = null;
+
+    if (client) client.close();
+    client = null;
+
+    if (badge) badge.remove();
+    badge = null;
+  }
+
+  window.Fusefy.sync = {
+    init,
+    destroy,
+    follow,
+    detach,
+    isFollowing: () => following,
+    getRoom,
+    getViewerLink
+  };
+})();
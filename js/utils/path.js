@@ -0,0 +1,438 @@
+// Number of parameters that each SVG path command takes
+const PARAMETER_COUNTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+const COMMAND = /[MLHVCSQTAZ]/i;
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i;
+
+/**
+ * Splits path data into a list of commands, each an array
+ * of the command letter followed by its parameters.
+ *
+ * @param {string} d
+ * @return {Array|null} null if the path data is invalid
+ */
+const parseCommands = ( d ) => {
+
+	const commands = [];
+
+	let index = 0;
+
+	const skipSeparators = () => {
+		while( index < d.length && /[\s,]/.test( d[index] ) ) index++;
+	};
+
+	const readNumber = () => {
+		skipSeparators();
+		const match = d.slice( index ).match( NUMBER );
+		if( !match ) return null;
+		index += match[0].length;
+		return parseFloat( match[0] );
+	};
+
+	// Arc flags may be written without separators, e.g. "a1 1 0 011 1"
+	const readFlag = () => {
+		skipSeparators();
+		const flag = d[index];
+		if( flag !== '0' && flag !== '1' ) return null;
+		index++;
+		return flag === '1' ? 1 : 0;
+	};
+
+	skipSeparators();
+
+	while( index < d.length ) {
+
+		let type = d[index++];
+		if( !COMMAND.test( type ) ) return null;
+
+		const count = PARAMETER_COUNTS[ type.toLowerCase() ];
+
+		if( count === 0 ) {
+			commands.push( [ type ] );
+		}
+		else {
+			// Parameters may be repeated without repeating the command
+			do {
+				const values = [];
+
+				for( let i = 0; i < count; i++ ) {
+					const isFlag = type.toLowerCase() === 'a' && ( i === 3 || i === 4 );
+					const value = isFlag ? readFlag() : readNumber();
+					if( value === null ) return null;
+					values.push( value );
+				}
+
+				commands.push( [ type, ...values ] );
+
+				// Repeated moveto parameters are implicit linetos
+				if( type === 'M' ) type = 'L';
+				else if( type === 'm' ) type = 'l';
+
+				skipSeparators();
+			} while( index < d.length && !COMMAND.test( d[index] ) );
+		}
+
+		skipSeparators();
+
+	}
+
+	return commands;
+
+}
+
+/**
+ * Returns a cubic curve for a straight line.
+ */
+const lineToCurve = ( x1, y1, x2, y2 ) => {
+
+	return [
+		x1 + ( x2 - x1 ) / 3, y1 + ( y2 - y1 ) / 3,
+		x1 + ( x2 - x1 ) * 2 / 3, y1 + ( y2 - y1 ) * 2 / 3,
+		x2, y2
+	];
+
+}
+
+/**
+ * Approximates an elliptical arc with cubic curves, one
+ * per quarter turn. Follows the endpoint to center
+ * conversion from the SVG spec.
+ */
+const arcToCurves = ( x1, y1, rx, ry, angle, largeArc, sweep, x2, y2 ) => {
+
+	if( x1 === x2 && y1 === y2 ) return [];
+
+	rx = Math.abs( rx );
+	ry = Math.abs( ry );
+
+	if( rx === 0 || ry === 0 ) return [ lineToCurve( x1, y1, x2, y2 ) ];
+
+	const phi = angle * Math.PI / 180;
+	const cos = Math.cos( phi );
+	const sin = Math.sin( phi );
+
+	const dx = ( x1 - x2 ) / 2;
+	const dy = ( y1 - y2 ) / 2;
+	const x1p = cos * dx + sin * dy;
+	const y1p = -sin * dx + cos * dy;
+
+	// Scale up radii that are too small to reach the end point
+	const lambda = ( x1p * x1p ) / ( rx * rx ) + ( y1p * y1p ) / ( ry * ry );
+	if( lambda > 1 ) {
+		rx *= Math.sqrt( lambda );
+		ry *= Math.sqrt( lambda );
+	}
+
+	const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+	const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+	const coefficient = ( largeArc === sweep ? -1 : 1 ) * Math.sqrt( Math.max( 0, numerator / denominator ) );
+
+	const cxp = coefficient * rx * y1p / ry;
+	const cyp = coefficient * -ry * x1p / rx;
+	const cx = cos * cxp - sin * cyp + ( x1 + x2 ) / 2;
+	const cy = sin * cxp + cos * cyp + ( y1 + y2 ) / 2;
+
+	const vectorAngle = ( ux, uy, vx, vy ) => {
+		const ratio = ( ux * vx + uy * vy ) / ( Math.hypot( ux, uy ) * Math.hypot( vx, vy ) );
+		return ( ux * vy - uy * vx < 0 ? -1 : 1 ) * Math.acos( Math.min( 1, Math.max( -1, ratio ) ) );
+	};
+
+	const startAngle = vectorAngle( 1, 0, ( x1p - cxp ) / rx, ( y1p - cyp ) / ry );
+	let deltaAngle = vectorAngle( ( x1p - cxp ) / rx, ( y1p - cyp ) / ry, ( -x1p - cxp ) / rx, ( -y1p - cyp ) / ry );
+
+	if( !sweep && deltaAngle > 0 ) deltaAngle -= Math.PI * 2;
+	else if( sweep && deltaAngle < 0 ) deltaAngle += Math.PI * 2;
+
+	const segments = Math.max( 1, Math.ceil( Math.abs( deltaAngle ) / ( Math.PI / 2 ) ) );
+	const step = deltaAngle / segments;
+	const k = 4 / 3 * Math.tan( step / 4 );
+
+	// Maps a point on the unit circle onto the ellipse
+	const toEllipse = ( x, y ) => [
+		cos * rx * x - sin * ry * y + cx,
+		sin * rx * x + cos * ry * y + cy
+	];
+
+	const curves = [];
+
+	for( let i = 0; i < segments; i++ ) {
+		const a1 = startAngle + step * i;
+		const a2 = a1 + step;
+
+		curves.push( [
+			...toEllipse( Math.cos( a1 ) - k * Math.sin( a1 ), Math.sin( a1 ) + k * Math.cos( a1 ) ),
+			...toEllipse( Math.cos( a2 ) + k * Math.sin( a2 ), Math.sin( a2 ) - k * Math.cos( a2 ) ),
+			...toEllipse( Math.cos( a2 ), Math.sin( a2 ) )
+		] );
+	}
+
+	// Avoid rounding errors at the end point
+	curves[ curves.length - 1 ][4] = x2;
+	curves[ curves.length - 1 ][5] = y2;
+
+	return curves;
+
+}
+
+/**
+ * Parses path data into subpaths of absolute cubic curves,
+ * which is what we need to interpolate between two paths.
+ *
+ * @param {string} d
+ * @return {Array|null} Subpaths as { x, y, curves, closed }
+ */
+const parsePath = ( d ) => {
+
+	const commands = parseCommands( String( d || '' ) );
+	if( !commands || !commands.length ) return null;
+
+	const subpaths = [];
+
+	let subpath = null,
+		x = 0,
+		y = 0,
+		// Last control point, for reflection in S and T commands
+		controlX = 0,
+		controlY = 0,
+		previousType = null;
+
+	const addCurve = ( curve ) => {
+		// Drawing after a closepath starts at the subpath's start
+		if( !subpath || subpath.closed ) {
+			subpath = { x, y, curves: [], closed: false };
+			subpaths.push( subpath );
+		}
+		subpath.curves.push( curve );
+		x = curve[4];
+		y = curve[5];
+	};
+
+	for( const [ command, ...values ] of commands ) {
+
+		const type = command.toUpperCase();
+		const relative = command !== type;
+
+		// Make all coordinates absolute
+		const abs = values.map( ( value, i ) => {
+			if( !relative ) return value;
+			if( type === 'H' ) return value + x;
+			if( type === 'V' ) return value + y;
+			if( type === 'A' ) return i === 5 ? value + x : i === 6 ? value + y : value;
+			return value + ( i % 2 === 0 ? x : y );
+		} );
+
+		let nextControlX = null,
+			nextControlY = null;
+
+		switch( type ) {
+			case 'M':
+				x = abs[0];
+				y = abs[1];
+				subpath = { x, y, curves: [], closed: false };
+				subpaths.push( subpath );
+				break;
+			case 'L':
+				addCurve( lineToCurve( x, y, abs[0], abs[1] ) );
+				break;
+			case 'H':
+				addCurve( lineToCurve( x, y, abs[0], y ) );
+				break;
+			case 'V':
+				addCurve( lineToCurve( x, y, x, abs[0] ) );
+				break;
+			case 'C':
+				addCurve( abs );
+				nextControlX = abs[2];
+				nextControlY = abs[3];
+				break;
+			case 'S': {
+				const reflect = previousType === 'C' || previousType === 'S';
+				addCurve( [ reflect ? 2 * x - controlX : x, reflect ? 2 * y - controlY : y, ...abs ] );
+				nextControlX = abs[0];
+				nextControlY = abs[1];
+				break;
+			}
+			case 'Q':
+			case 'T': {
+				let qx = abs[0],
+					qy = abs[1];
+
+				if( type === 'T' ) {
+					const reflect = previousType === 'Q' || previousType === 'T';
+					qx = reflect ? 2 * x - controlX : x;
+					qy = reflect ? 2 * y - controlY : y;
+				}
+
+				const [ endX, endY ] = type === 'T' ? abs : abs.slice( 2 );
+
+				// Elevate the quadratic curve to a cubic one
+				addCurve( [
+					x + ( qx - x ) * 2 / 3, y + ( qy - y ) * 2 / 3,
+					endX + ( qx - endX ) * 2 / 3, endY + ( qy - endY ) * 2 / 3,
+					endX, endY
+				] );
+
+				nextControlX = qx;
+				nextControlY = qy;
+				break;
+			}
+			case 'A':
+				arcToCurves( x, y, ...abs ).forEach( addCurve );
+				break;
+			case 'Z':
+				if( subpath && !subpath.closed ) {
+					if( x !== subpath.x || y !== subpath.y ) {
+						addCurve( lineToCurve( x, y, subpath.x, subpath.y ) );
+					}
+					subpath.closed = true;
+					x = subpath.x;
+					y = subpath.y;
+				}
+				break;
+		}
+
+		controlX = nextControlX;
+		controlY = nextControlY;
+		previousType = type;
+
+	}
+
+	return subpaths;
+
+}
+
+/**
+ * Splits the longest curve of a subpath in half, using
+ * de Casteljau's algorithm.
+ */
+const splitLongestCurve = ( subpath ) => {
+
+	let longest = 0,
+		longestLength = -1;
+
+	subpath.curves.forEach( ( curve, i ) => {
+		const [ x, y ] = i > 0 ? subpath.curves[ i - 1 ].slice( 4 ) : [ subpath.x, subpath.y ];
+		const length = Math.hypot( curve[4] - x, curve[5] - y ) + Math.hypot( curve[0] - x, curve[1] - y ) + Math.hypot( curve[4] - curve[2], curve[5] - curve[3] );
+		if( length > longestLength ) {
+			longest = i;
+			longestLength = length;
+		}
+	} );
+
+	const [ x0, y0 ] = longest > 0 ? subpath.curves[ longest - 1 ].slice( 4 ) : [ subpath.x, subpath.y ];
+	const [ x1, y1, x2, y2, x3, y3 ] = subpath.curves[ longest ];
+
+	const mid = ( a, b ) => ( a + b ) / 2;
+
+	const ax = mid( x0, x1 ), ay = mid( y0, y1 );
+	const bx = mid( x1, x2 ), by = mid( y1, y2 );
+	const cx = mid( x2, x3 ), cy = mid( y2, y3 );
+	const abx = mid( ax, bx ), aby = mid( ay, by );
+	const bcx = mid( bx, cx ), bcy = mid( by, cy );
+	const px = mid( abx, bcx ), py = mid( aby, bcy );
+
+	subpath.curves.splice( longest, 1, [ ax, ay, abx, aby, px, py ], [ bcx, bcy, cx, cy, x3, y3 ] );
+
+}
+
+/**
+ * Gives both lists of subpaths the same number of subpaths
+ * and each pair of subpaths the same number of curves, so
+ * that every point has a counterpart to move towards.
+ */
+const normalizeSubpaths = ( from, to ) => {
+
+	// Missing subpaths grow out of a single point
+	const pad = ( subpaths, others ) => {
+		while( subpaths.length < others.length ) {
+			const other = others[ subpaths.length ];
+			subpaths.push( { x: other.x, y: other.y, curves: [], closed: other.closed } );
+		}
+	};
+
+	pad( from, to );
+	pad( to, from );
+
+	from.forEach( ( fromSubpath, i ) => {
+		const toSubpath = to[i];
+
+		[ fromSubpath, toSubpath ].forEach( subpath => {
+			if( !subpath.curves.length ) {
+				subpath.curves.push( [ subpath.x, subpath.y, subpath.x, subpath.y, subpath.x, subpath.y ] );
+			}
+		} );
+
+		while( fromSubpath.curves.length < toSubpath.curves.length ) splitLongestCurve( fromSubpath );
+		while( toSubpath.curves.length < fromSubpath.curves.length ) splitLongestCurve( toSubpath );
+	} );
+
+}
+
+const round = ( value ) => Math.round( value * 1000 ) / 1000;
+
+const lerp = ( a, b, t ) => a + ( b - a ) * t;
+
+/**
+ * Creates a function which returns the path data between
+ * two paths at a given progress. The paths may have any
+ * number of points and use any commands, they're turned
+ * into cubic curves of the same length.
+ *
+ * @example
+ * interpolatePath( 'M0 0 L10 0', 'M0 0 H10 V10 Z' )( 0.5 );
+ *
+ * @param {string} from Path data to start from
+ * @param {string} to Path data to end at
+ * @return {function|null} Takes a progress between 0 and 1,
+ * null if either path can't be parsed
+ */
+export const interpolatePath = ( from, to ) => {
+
+	const fromSubpaths = parsePath( from ),
+		toSubpaths = parsePath( to );
+
+	if( !fromSubpaths || !toSubpaths ) return null;
+
+	normalizeSubpaths( fromSubpaths, toSubpaths );
+
+	return ( t ) => {
+
+		return fromSubpaths.map( ( fromSubpath, i ) => {
+			const toSubpath = toSubpaths[i];
+
+			const curves = fromSubpath.curves.map( ( curve, j ) => {
+				return 'C' + curve.map( ( value, k ) => round( lerp( value, toSubpath.curves[j][k], t ) ) ).join( ' ' );
+			} );
+
+			return 'M' + round( lerp( fromSubpath.x, toSubpath.x, t ) ) + ' ' + round( lerp( fromSubpath.y, toSubpath.y, t ) ) +
+				curves.join( '' ) +
+				( ( t < 0.5 ? fromSubpath : toSubpath ).closed ? 'Z' : '' );
+		} ).join( '' );
+
+	};
+
+}
+
+/**
+ * Creates a function which returns the values between two
+ * lists of numbers, such as viewBox or points attributes.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @return {function|null} Takes a progress between 0 and 1,
+ * null unless both lists have the same length
+ */
+export const interpolateNumbers = ( from, to ) => {
+
+	const parse = value => String( value ).trim().split( /[\s,]+/ ).map( parseFloat );
+
+	const fromValues = parse( from ),
+		toValues = parse( to );
+
+	if( fromValues.length !== toValues.length || fromValues.concat( toValues ).some( isNaN ) ) return null;
+
+	return ( t ) => {
+		return fromValues.map( ( value, i ) => round( lerp( value, toValues[i], t ) ) ).join( ' ' );
+	};
+
+}
@@ -0,0 +1,196 @@
+/**
+ * Translations of the built-in UI strings and those of the
+ * Fusefy modules (demos, remote, rehearsal, polls), keyed by language
+ * and then by the English string. English is used as is.
+ * Presentations can add or override strings with the
+ * `strings` config option.
+ */
+export default {
+
+	de: {
+		'Next slide': 'Nächste Folie',
+		'Previous slide': 'Vorherige Folie',
+		'Navigate left': 'Nach links',
+		'Navigate right': 'Nach rechts',
+		'Navigate up': 'Nach oben',
+		'Navigate down': 'Nach unten',
+		'Navigate without fragments': 'Ohne Fragmente navigieren',
+		'Jump to first/last slide': 'Zur ersten/letzten Folie',
+		'Pause': 'Pause',
+		'Fullscreen': 'Vollbild',
+		'Jump to slide': 'Gehe zu Folie',
+		'Switch audience': 'Zielgruppe wechseln',
+		'Reduce motion': 'Bewegung reduzieren',
+		'Go back': 'Zurück',
+		'Go forward': 'Vorwärts',
+		'Slide overview': 'Folienübersicht',
+		'Slide menu': 'Folienmenü',
+		'Slide': 'Folie',
+		'Speaker notes view': 'Referentenansicht',
+		'Keyboard Shortcuts': 'Tastenkürzel',
+		'KEY': 'TASTE',
+		'ACTION': 'AKTION',
+		'next slide': 'nächste Folie',
+		'previous slide': 'vorherige Folie',
+		'above slide': 'Folie darüber',
+		'below slide': 'Folie darunter',
+		'Product demo': 'Produktdemo',
+		'This demo is unavailable offline ({src})': 'Diese Demo ist offline nicht verfügbar ({src})',
+		'Close demo': 'Demo schließen',
+		'Phone remote': 'Handy-Fernbedienung',
+		'Phone remote unavailable: {error}': 'Handy-Fernbedienung nicht verfügbar: {error}',
+		'Connecting to the relay…': 'Verbindung zum Relay wird hergestellt…',
+		'Room {room}': 'Raum {room}',
+		'Scan to control the deck from your phone': 'Scannen, um die Präsentation vom Handy aus zu steuern',
+		'{count} connected': '{count} verbunden',
+		'Start/stop rehearsal': 'Probe starten/beenden',
+		'Rehearsing {time}': 'Probe läuft {time}',
+		'Close': 'Schließen',
+		'Rehearsal report': 'Probenbericht',
+		'{count} run': '{count} Durchlauf',
+		'{count} runs': '{count} Durchläufe',
+		'average {time}': 'Durchschnitt {time}',
+		'target {time}': 'Ziel {time}',
+		'start': 'Anfang',
+		'Target': 'Ziel',
+		'Average': 'Durchschnitt',
+		'Over/under': 'Über/unter',
+		'Suggested data-timing': 'Empfohlenes data-timing',
+		'Download manifest with timings': 'Manifest mit Zeiten herunterladen',
+		'Clear runs': 'Durchläufe löschen',
+		'Export': 'Exportieren',
+		'Export the results of all polls': 'Ergebnisse aller Umfragen exportieren',
+		'Voting unavailable: {error}': 'Abstimmen nicht verfügbar: {error}',
+		'Join with code': 'Beitreten mit Code',
+		'{count} vote': '{count} Stimme',
+		'{count} votes': '{count} Stimmen',
+		'{count} question': '{count} Frage',
+		'{count} questions': '{count} Fragen',
+		'closed': 'geschlossen'
+	},
+
+	fr: {
+		'Next slide': 'Diapositive suivante',
+		'Previous slide': 'Diapositive précédente',
+		'Navigate left': 'Aller à gauche',
+		'Navigate right': 'Aller à droite',
+		'Navigate up': 'Aller en haut',
+		'Navigate down': 'Aller en bas',
+		'Navigate without fragments': 'Naviguer sans fragments',
+		'Jump to first/last slide': 'Aller à la première/dernière diapositive',
+		'Pause': 'Pause',
+		'Fullscreen': 'Plein écran',
+		'Jump to slide': 'Aller à la diapositive',
+		'Switch audience': 'Changer de public',
+		'Reduce motion': 'Réduire les animations',
+		'Go back': 'Revenir en arrière',
+		'Go forward': 'Aller en avant',
+		'Slide overview': 'Vue d\'ensemble',
+		'Slide menu': 'Menu des diapositives',
+		'Slide': 'Diapositive',
+		'Speaker notes view': 'Mode présentateur',
+		'Keyboard Shortcuts': 'Raccourcis clavier',
+		'KEY': 'TOUCHE',
+		'ACTION': 'ACTION',
+		'next slide': 'diapositive suivante',
+		'previous slide': 'diapositive précédente',
+		'above slide': 'diapositive au-dessus',
+		'below slide': 'diapositive en dessous',
+		'Product demo': 'Démo du produit',
+		'This demo is unavailable offline ({src})': 'Cette démo n\'est pas disponible hors ligne ({src})',
+		'Close demo': 'Fermer la démo',
+		'Phone remote': 'Télécommande mobile',
+		'Phone remote unavailable: {error}': 'Télécommande mobile indisponible : {error}',
+		'Connecting to the relay…': 'Connexion au relais…',
+		'Room {room}': 'Salle {room}',
+		'Scan to control the deck from your phone': 'Scannez pour contrôler la présentation depuis votre téléphone',
+		'{count} connected': '{count} connecté(s)',
+		'Start/stop rehearsal': 'Démarrer/arrêter la répétition',
+		'Rehearsing {time}': 'Répétition {time}',
+		'Close': 'Fermer',
+		'Rehearsal report': 'Rapport de répétition',
+		'{count} run': '{count} passage',
+		'{count} runs': '{count} passages',
+		'average {time}': 'moyenne {time}',
+		'target {time}': 'objectif {time}',
+		'start': 'début',
+		'Target': 'Objectif',
+		'Average': 'Moyenne',
+		'Over/under': 'Écart',
+		'Suggested data-timing': 'data-timing suggéré',
+		'Download manifest with timings': 'Télécharger le manifeste avec les durées',
+		'Clear runs': 'Effacer les passages',
+		'Export': 'Exporter',
+		'Export the results of all polls': 'Exporter les résultats de tous les sondages',
+		'Voting unavailable: {error}': 'Vote indisponible : {error}',
+		'Join with code': 'Rejoindre avec le code',
+		'{count} vote': '{count} vote',
+		'{count} votes': '{count} votes',
+		'{count} question': '{count} question',
+		'{count} questions': '{count} questions',
+		'closed': 'clos'
+	},
+
+	ar: {
+		'Next slide': 'الشريحة التالية',
+		'Previous slide': 'الشريحة السابقة',
+		'Navigate left': 'الانتقال إلى اليسار',
+		'Navigate right': 'الانتقال إلى اليمين',
+		'Navigate up': 'الانتقال إلى الأعلى',
+		'Navigate down': 'الانتقال إلى الأسفل',
+		'Navigate without fragments': 'التنقل بدون الأجزاء',
+		'Jump to first/last slide': 'الانتقال إلى الشريحة الأولى/الأخيرة',
+		'Pause': 'إيقاف مؤقت',
+		'Fullscreen': 'ملء الشاشة',
+		'Jump to slide': 'الانتقال إلى شريحة',
+		'Switch audience': 'تغيير الجمهور',
+		'Reduce motion': 'تقليل الحركة',
+		'Go back': 'رجوع',
+		'Go forward': 'تقدم',
+		'Slide overview': 'نظرة عامة على الشرائح',
+		'Slide menu': 'قائمة الشرائح',
+		'Slide': 'شريحة',
+		'Speaker notes view': 'عرض ملاحظات المتحدث',
+		'Keyboard Shortcuts': 'اختصارات لوحة المفاتيح',
+		'KEY': 'المفتاح',
+		'ACTION': 'الإجراء',
+		'next slide': 'الشريحة التالية',
+		'previous slide': 'الشريحة السابقة',
+		'above slide': 'الشريحة في الأعلى',
+		'below slide': 'الشريحة في الأسفل',
+		'Product demo': 'عرض توضيحي للمنتج',
+		'This demo is unavailable offline ({src})': 'هذا العرض التوضيحي غير متاح دون اتصال ({src})',
+		'Close demo': 'إغلاق العرض التوضيحي',
+		'Phone remote': 'التحكم عن بعد بالهاتف',
+		'Phone remote unavailable: {error}': 'التحكم عن بعد بالهاتف غير متاح: {error}',
+		'Connecting to the relay…': 'جارٍ الاتصال بالمرحّل…',
+		'Room {room}': 'الغرفة {room}',
+		'Scan to control the deck from your phone': 'امسح الرمز للتحكم في العرض من هاتفك',
+		'{count} connected': '{count} متصل',
+		'Start/stop rehearsal': 'بدء/إيقاف التدريب',
+		'Rehearsing {time}': 'التدريب {time}',
+		'Close': 'إغلاق',
+		'Rehearsal report': 'تقرير التدريب',
+		'{count} run': '{count} تدريب',
+		'{count} runs': '{count} تدريبات',
+		'average {time}': 'المتوسط {time}',
+		'target {time}': 'الهدف {time}',
+		'start': 'البداية',
+		'Target': 'الهدف',
+		'Average': 'المتوسط',
+		'Over/under': 'الزيادة/النقص',
+		'Suggested data-timing': 'data-timing المقترح',
+		'Download manifest with timings': 'تنزيل البيان مع التوقيتات',
+		'Clear runs': 'مسح التدريبات',
+		'Export': 'تصدير',
+		'Export the results of all polls': 'تصدير نتائج جميع الاستطلاعات',
+		'Voting unavailable: {error}': 'التصويت غير متاح: {error}',
+		'Join with code': 'انضم بالرمز',
+		'{count} vote': '{count} صوت',
+		'{count} votes': '{count} أصوات',
+		'{count} question': '{count} سؤال',
+		'{count} questions': '{count} أسئلة',
+		'closed': 'مغلق'
+	}
+
+};
@@ -310,4 +310,60 @@ export const encodeRFC3986URI = ( url='' ) => {
 		/[!'()*]/g,
 		(c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
 	  );
-}
\ No newline at end of file
+}
+
+const easingCurves = {
+	'linear': [ 0, 0, 1, 1 ],
+	'ease': [ 0.25, 0.1, 0.25, 1 ],
+	'ease-in': [ 0.42, 0, 1, 1 ],
+	'ease-out': [ 0, 0, 0.58, 1 ],
+	'ease-in-out': [ 0.42, 0, 0.58, 1 ]
+}
+
+/**
+ * Turns a CSS easing, a keyword or cubic-bezier(), into a
+ * function for animations that run in JavaScript. Unknown
+ * easings fall back to "ease".
+ *
+ * @param {string} easing
+ * @return {function} Maps progress from 0 to 1 to eased progress
+ */
+export const createEasing = ( easing ) => {
+
+	let points = easingCurves[ String( easing ).trim() ];
+
+	if( !points ) {
+		const match = String( easing ).match( /^\s*cubic-bezier\(([^)]*)\)\s*$/ );
+		if( match ) points = match[1].split( ',' ).map( parseFloat );
+	}
+
+	if( !points || points.length !== 4 || points.some( isNaN ) ) {
+		points = easingCurves['ease'];
+	}
+
+	const [ x1, y1, x2, y2 ] = points;
+	const bezier = ( t, a, b ) => 3 * a * ( 1 - t ) * ( 1 - t ) * t + 3 * b * ( 1 - t ) * t * t + t * t * t;
+
+	return ( progress ) => {
+
+		if( progress <= 0 ) return 0;
+		if( progress >= 1 ) return 1;
+
+		// Find the curve position for this progress by bisection
+		let lower = 0,
+			upper = 1,
+			t = progress;
+
+		for( let i = 0; i < 20; i++ ) {
+			const x = bezier( t, x1, x2 );
+			if( Math.abs( x - progress ) < 0.0001 ) break;
+			if( x < progress ) lower = t;
+			else upper = t;
+			t = ( lower + upper ) / 2;
+		}
+
+		return bezier( t, y1, y2 );
+
+	};
+
+}
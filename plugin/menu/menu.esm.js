@@ -0,0 +1,26 @@
+/*!
+ * reveal.js menu plugin
+ *
+ * A slide-out table of contents, built from the titles and
+ * chapters of the slides. Slides are titled by their
+ * data-menu-title attribute or first h1/h2 and grouped by
+ * their data-chapter attribute. A slide without one belongs
+ * to the same chapter as the slide before it.
+ *
+ * Reveal.initialize({
+ *   plugins: [ RevealMenu ],
+ *   menu: {
+ *     // Show a button that opens the menu
+ *     button: true,
+ *     // Show a thumbnail of each slide
+ *     thumbnails: true,
+ *     // The side the menu slides out from, "left" or "right"
+ *     // (defaults to "right" for rtl presentations)
+ *     side: null
+ *   }
+ * });
+ *
+ * Open the menu with the M key. Include plugin/menu/menu.css
+ * for the default styles.
+ */
+const e=160,t=()=>{let t,n,r,i,a,s,l,d=null;function o(){a.innerHTML="";let r=null,i=null;const s=t.getSlides(),l=s.map((e=>t.getIndices(e))),d={};l.forEach((({h:e})=>d[e]=(d[e]||0)+1)),s.forEach(((s,o)=>{const c=function(e){if(e.hasAttribute("data-chapter"))return e.getAttribute("data-chapter");if(function(e){return!!e.parentNode&&"SECTION"===e.parentNode.nodeName}(e)&&e.parentNode.hasAttribute("data-chapter"))return e.parentNode.getAttribute("data-chapter");return null}(s);if(c&&c!==i){i=c;const e=document.createElement("li");e.className="slide-menu-chapter";const t=document.createElement("h3");t.className="slide-menu-chapter-title",t.textContent=c,r=document.createElement("ol"),r.className="slide-menu-list",e.appendChild(t),e.appendChild(r),a.appendChild(e)}const u=document.createElement("li");u.appendChild(function(r,i,a,s){const l=document.createElement("button");l.className="slide-menu-item",l.setAttribute("data-index",i),l.setAttribute("data-index-h",a.h),"number"==typeof a.v&&l.setAttribute("data-index-v",a.v);n.thumbnails&&l.appendChild(function(n){const r=t.getComputedSlideSize(),i=e/r.width,a=document.createElement("div");a.className="slide-menu-thumbnail",a.style.width=e+"px",a.style.height=Math.round(r.height*i)+"px",a.style.background=n.getAttribute("data-background-color")||"";const s=n.cloneNode(!0);s.classList.remove("present","past","future","stack"),s.removeAttribute("hidden"),s.removeAttribute("id"),s.style.cssText="",s.setAttribute("aria-hidden","true"),s.querySelectorAll("iframe, video, audio, script, section").forEach((e=>e.remove())),s.querySelectorAll("[id]").forEach((e=>e.removeAttribute("id"))),s.querySelectorAll(".fragment").forEach((e=>e.classList.remove("fragment"))),s.querySelectorAll("img[data-src]").forEach((e=>e.setAttribute("src",e.getAttribute("data-src"))));const l=document.createElement("div");return l.className="slide-menu-thumbnail-content",l.style.width=r.width+"px",l.style.height=r.height+"px",l.style.transform="scale("+i+")",l.appendChild(s),a.appendChild(l),a}(r));const d=document.createElement("span");d.className="slide-menu-number",d.textContent=a.h+1+(s?"."+(a.v+1):"");const o=document.createElement("span");o.className="slide-menu-title",o.textContent=function(e){if(e.hasAttribute("data-menu-title"))return e.getAttribute("data-menu-title");const t=Array.from(e.querySelectorAll("h1, h2")).find((t=>t.closest("section")===e));return t&&t.textContent.replace(/\s+/g," ").trim()||null}(r)||t.t("Slide")+" "+d.textContent;const c=document.createElement("span");return c.className="slide-menu-fragments",c.innerHTML='<span class="slide-menu-fragments-bar"></span>',l.appendChild(d),l.appendChild(o),l.appendChild(c),l}(s,o,l[o],d[l[o].h]>1)),(r||a).appendChild(u)})),c()}function c(){if(!g())return;const e=t.getSlides(),n=t.getCurrentSlide();a.querySelectorAll(".slide-menu-item").forEach((t=>{const r=e[parseInt(t.getAttribute("data-index"),10)];if(!r)return;const i=r===n;t.classList.toggle("current",i),i?t.setAttribute("aria-current","true"):t.removeAttribute("aria-current");const a=r.querySelectorAll(".fragment").length,s=r.querySelectorAll(".fragment.visible").length,l=t.querySelector(".slide-menu-fragments");l.hidden=0===a,l.title=s+"/"+a,l.classList.toggle("complete",a>0&&s===a),l.firstElementChild.style.width=(a?s/a*100:0)+"%"})),a.querySelectorAll(".slide-menu-chapter").forEach((e=>{e.classList.toggle("current",!!e.querySelector(".slide-menu-item.current"))}))}function u(){return Array.from(a.querySelectorAll(".slide-menu-item"))}function m(e){const t=u(),n=t[Math.max(Math.min(e,t.length-1),0)];n&&n.focus()}function h(){if(g())return;l=document.activeElement,r.classList.add("active"),r.setAttribute("aria-hidden","false"),s&&s.setAttribute("aria-expanded","true"),o();const e=a.querySelector(".slide-menu-item.current");e?(e.scrollIntoView({block:"center"}),e.focus()):i.focus()}function f(){g()&&(r.classList.remove("active"),r.setAttribute("aria-hidden","true"),s&&s.setAttribute("aria-expanded","false"),l&&"function"==typeof l.focus&&l.focus(),l=null)}function p(){g()?f():h()}function g(){return!!r&&r.classList.contains("active")}function b(e){const n=e.target.closest(".slide-menu-item");if(!n)return;const r=parseInt(n.getAttribute("data-index-h"),10),i=n.hasAttribute("data-index-v")?parseInt(n.getAttribute("data-index-v"),10):void 0;f(),t.slide(r,i)}function v(e){if(!g()){const n=e.target,r=n&&(n.isContentEditable||/^(input|textarea|select)$/i.test(n.nodeName));return void(77!==e.keyCode||e.altKey||e.ctrlKey||e.metaKey||e.shiftKey||r||!t.getConfig().keyboard||(e.preventDefault(),h()))}const n=u(),r=n.indexOf(document.activeElement);switch(e.key){case"Escape":case"m":case"M":e.preventDefault(),f();break;case"ArrowDown":e.preventDefault(),m(r+1);break;case"ArrowUp":e.preventDefault(),m(r-1);break;case"Home":e.preventDefault(),m(0);break;case"End":e.preventDefault(),m(n.length-1)}e.stopImmediatePropagation()}function A(e){e.stopPropagation(),d=e.touches[0].clientX}function y(e){e.stopPropagation()}function E(e){if(e.stopPropagation(),null===d)return;const t=e.changedTouches[0].clientX-d;d=null,("left"===n.side&&t<-60||"right"===n.side&&t>60)&&f()}return{id:"menu",init:e=>{t=e,n=Object.assign({button:!0,thumbnails:!0,side:null},t.getConfig().menu),"left"!==n.side&&"right"!==n.side&&(n.side=t.getConfig().rtl?"right":"left"),r=document.createElement("div"),r.className="slide-menu slide-menu-"+n.side,r.setAttribute("aria-hidden","true"),r.innerHTML='<div class="slide-menu-overlay"></div>\n\t\t\t<nav class="slide-menu-panel" tabindex="-1">\n\t\t\t\t<ol class="slide-menu-list"></ol>\n\t\t\t</nav>',i=r.querySelector(".slide-menu-panel"),i.setAttribute("aria-label",t.t("Slide menu")),a=r.querySelector(".slide-menu-list"),r.querySelector(".slide-menu-overlay").addEventListener("click",f,!1),a.addEventListener("click",b,!1),i.addEventListener("touchstart",A,!1),i.addEventListener("touchmove",y,!1),i.addEventListener("touchend",E,!1),t.getRevealElement().appendChild(r),n.button&&(s=document.createElement("button"),s.className="slide-menu-button slide-menu-"+n.side,s.setAttribute("aria-label",t.t("Slide menu")),s.setAttribute("aria-expanded","false"),s.innerHTML="<span>&#9776;</span>",s.addEventListener("click",p,!1),t.getRevealElement().appendChild(s)),t.registerKeyboardShortcut("M","Slide menu"),document.addEventListener("keydown",v,!0),t.on("slidechanged",c),t.on("fragmentshown",c),t.on("fragmenthidden",c)},destroy:()=>{f(),document.removeEventListener("keydown",v,!0),t.off("slidechanged",c),t.off("fragmentshown",c),t.off("fragmenthidden",c),r&&r.remove(),s&&s.remove(),r=i=a=s=null},open:h,close:f,toggle:p,isOpen:g}};export{t as default};
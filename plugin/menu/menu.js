@@ -0,0 +1,26 @@
+!function(e,t){"object"==typeof exports&&"undefined"!=typeof module?module.exports=t():"function"==typeof define&&define.amd?define(t):(e="undefined"!=typeof globalThis?globalThis:e||self).RevealMenu=t()}(this,(function(){"use strict";
+/*!
+	 * reveal.js menu plugin
+	 *
+	 * A slide-out table of contents, built from the titles and
+	 * chapters of the slides. Slides are titled by their
+	 * data-menu-title attribute or first h1/h2 and grouped by
+	 * their data-chapter attribute. A slide without one belongs
+	 * to the same chapter as the slide before it.
+	 *
+	 * Reveal.initialize({
+	 *   plugins: [ RevealMenu ],
+	 *   menu: {
+	 *     // Show a button that opens the menu
+	 *     button: true,
+	 *     // Show a thumbnail of each slide
+	 *     thumbnails: true,
+	 *     // The side the menu slides out from, "left" or "right"
+	 *     // (defaults to "right" for rtl presentations)
+	 *     side: null
+	 *   }
+	 * });
+	 *
+	 * Open the menu with the M key. Include plugin/menu/menu.css
+	 * for the default styles.
+	 */const e=160;return()=>{let t,n,i,r,a,s,l,o=null;function d(){a.innerHTML="";let i=null,r=null;const s=t.getSlides(),l=s.map((e=>t.getIndices(e))),o={};l.forEach((({h:e})=>o[e]=(o[e]||0)+1)),s.forEach(((s,d)=>{const c=function(e){if(e.hasAttribute("data-chapter"))return e.getAttribute("data-chapter");if(function(e){return!!e.parentNode&&"SECTION"===e.parentNode.nodeName}(e)&&e.parentNode.hasAttribute("data-chapter"))return e.parentNode.getAttribute("data-chapter");return null}(s);if(c&&c!==r){r=c;const e=document.createElement("li");e.className="slide-menu-chapter";const t=document.createElement("h3");t.className="slide-menu-chapter-title",t.textContent=c,i=document.createElement("ol"),i.className="slide-menu-list",e.appendChild(t),e.appendChild(i),a.appendChild(e)}const u=document.createElement("li");u.appendChild(function(i,r,a,s){const l=document.createElement("button");l.className="slide-menu-item",l.setAttribute("data-index",r),l.setAttribute("data-index-h",a.h),"number"==typeof a.v&&l.setAttribute("data-index-v",a.v);n.thumbnails&&l.appendChild(function(n){const i=t.getComputedSlideSize(),r=e/i.width,a=document.createElement("div");a.className="slide-menu-thumbnail",a.style.width=e+"px",a.style.height=Math.round(i.height*r)+"px",a.style.background=n.getAttribute("data-background-color")||"";const s=n.cloneNode(!0);s.classList.remove("present","past","future","stack"),s.removeAttribute("hidden"),s.removeAttribute("id"),s.style.cssText="",s.setAttribute("aria-hidden","true"),s.querySelectorAll("iframe, video, audio, script, section").forEach((e=>e.remove())),s.querySelectorAll("[id]").forEach((e=>e.removeAttribute("id"))),s.querySelectorAll(".fragment").forEach((e=>e.classList.remove("fragment"))),s.querySelectorAll("img[data-src]").forEach((e=>e.setAttribute("src",e.getAttribute("data-src"))));const l=document.createElement("div");return l.className="slide-menu-thumbnail-content",l.style.width=i.width+"px",l.style.height=i.height+"px",l.style.transform="scale("+r+")",l.appendChild(s),a.appendChild(l),a}(i));const o=document.createElement("span");o.className="slide-menu-number",o.textContent=a.h+1+(s?"."+(a.v+1):"");const d=document.createElement("span");d.className="slide-menu-title",d.textContent=function(e){if(e.hasAttribute("data-menu-title"))return e.getAttribute("data-menu-title");const t=Array.from(e.querySelectorAll("h1, h2")).find((t=>t.closest("section")===e));return t&&t.textContent.replace(/\s+/g," ").trim()||null}(i)||t.t("Slide")+" "+o.textContent;const c=document.createElement("span");return c.className="slide-menu-fragments",c.innerHTML='<span class="slide-menu-fragments-bar"></span>',l.appendChild(o),l.appendChild(d),l.appendChild(c),l}(s,d,l[d],o[l[d].h]>1)),(i||a).appendChild(u)})),c()}function c(){if(!g())return;const e=t.getSlides(),n=t.getCurrentSlide();a.querySelectorAll(".slide-menu-item").forEach((t=>{const i=e[parseInt(t.getAttribute("data-index"),10)];if(!i)return;const r=i===n;t.classList.toggle("current",r),r?t.setAttribute("aria-current","true"):t.removeAttribute("aria-current");const a=i.querySelectorAll(".fragment").length,s=i.querySelectorAll(".fragment.visible").length,l=t.querySelector(".slide-menu-fragments");l.hidden=0===a,l.title=s+"/"+a,l.classList.toggle("complete",a>0&&s===a),l.firstElementChild.style.width=(a?s/a*100:0)+"%"})),a.querySelectorAll(".slide-menu-chapter").forEach((e=>{e.classList.toggle("current",!!e.querySelector(".slide-menu-item.current"))}))}function u(){return Array.from(a.querySelectorAll(".slide-menu-item"))}function m(e){const t=u(),n=t[Math.max(Math.min(e,t.length-1),0)];n&&n.focus()}function f(){if(g())return;l=document.activeElement,i.classList.add("active"),i.setAttribute("aria-hidden","false"),s&&s.setAttribute("aria-expanded","true"),d();const e=a.querySelector(".slide-menu-item.current");e?(e.scrollIntoView({block:"center"}),e.focus()):r.focus()}function h(){g()&&(i.classList.remove("active"),i.setAttribute("aria-hidden","true"),s&&s.setAttribute("aria-expanded","false"),l&&"function"==typeof l.focus&&l.focus(),l=null)}function p(){g()?h():f()}function g(){return!!i&&i.classList.contains("active")}function b(e){const n=e.target.closest(".slide-menu-item");if(!n)return;const i=parseInt(n.getAttribute("data-index-h"),10),r=n.hasAttribute("data-index-v")?parseInt(n.getAttribute("data-index-v"),10):void 0;h(),t.slide(i,r)}function v(e){if(!g()){const n=e.target,i=n&&(n.isContentEditable||/^(input|textarea|select)$/i.test(n.nodeName));return void(77!==e.keyCode||e.altKey||e.ctrlKey||e.metaKey||e.shiftKey||i||!t.getConfig().keyboard||(e.preventDefault(),f()))}const n=u(),i=n.indexOf(document.activeElement);switch(e.key){case"Escape":case"m":case"M":e.preventDefault(),h();break;case"ArrowDown":e.preventDefault(),m(i+1);break;case"ArrowUp":e.preventDefault(),m(i-1);break;case"Home":e.preventDefault(),m(0);break;case"End":e.preventDefault(),m(n.length-1)}e.stopImmediatePropagation()}function y(e){e.stopPropagation(),o=e.touches[0].clientX}function A(e){e.stopPropagation()}function E(e){if(e.stopPropagation(),null===o)return;const t=e.changedTouches[0].clientX-o;o=null,("left"===n.side&&t<-60||"right"===n.side&&t>60)&&h()}return{id:"menu",init:e=>{t=e,n=Object.assign({button:!0,thumbnails:!0,side:null},t.getConfig().menu),"left"!==n.side&&"right"!==n.side&&(n.side=t.getConfig().rtl?"right":"left"),i=document.createElement("div"),i.className="slide-menu slide-menu-"+n.side,i.setAttribute("aria-hidden","true"),i.innerHTML='<div class="slide-menu-overlay"></div>\n\t\t\t<nav class="slide-menu-panel" tabindex="-1">\n\t\t\t\t<ol class="slide-menu-list"></ol>\n\t\t\t</nav>',r=i.querySelector(".slide-menu-panel"),r.setAttribute("aria-label",t.t("Slide menu")),a=i.querySelector(".slide-menu-list"),i.querySelector(".slide-menu-overlay").addEventListener("click",h,!1),a.addEventListener("click",b,!1),r.addEventListener("touchstart",y,!1),r.addEventListener("touchmove",A,!1),r.addEventListener("touchend",E,!1),t.getRevealElement().appendChild(i),n.button&&(s=document.createElement("button"),s.className="slide-menu-button slide-menu-"+n.side,s.setAttribute("aria-label",t.t("Slide menu")),s.setAttribute("aria-expanded","false"),s.innerHTML="<span>&#9776;</span>",s.addEventListener("click",p,!1),t.getRevealElement().appendChild(s)),t.registerKeyboardShortcut("M","Slide menu"),document.addEventListener("keydown",v,!0),t.on("slidechanged",c),t.on("fragmentshown",c),t.on("fragmenthidden",c)},destroy:()=>{h(),document.removeEventListener("keydown",v,!0),t.off("slidechanged",c),t.off("fragmentshown",c),t.off("fragmenthidden",c),i&&i.remove(),s&&s.remove(),i=r=a=s=null},open:f,close:h,toggle:p,isOpen:g}}}));
@@ -0,0 +1,532 @@
+/*!
+ * reveal.js menu plugin
+ *
+ * A slide-out table of contents, built from the titles and
+ * chapters of the slides. Slides are titled by their
+ * data-menu-title attribute or first h1/h2 and grouped by
+ * their data-chapter attribute. A slide without one belongs
+ * to the same chapter as the slide before it.
+ *
+ * Reveal.initialize({
+ *   plugins: [ RevealMenu ],
+ *   menu: {
+ *     // Show a button that opens the menu
+ *     button: true,
+ *     // Show a thumbnail of each slide
+ *     thumbnails: true,
+ *     // The side the menu slides out from, "left" or "right"
+ *     // (defaults to "right" for rtl presentations)
+ *     side: null
+ *   }
+ * });
+ *
+ * Open the menu with the M key. Include plugin/menu/menu.css
+ * for the default styles.
+ */
+
+// M
+const KEY_CODE = 77;
+
+// How far a touch has to swipe towards the edge to close the menu
+const SWIPE_THRESHOLD = 60;
+
+// Thumbnail width in pixels, the height follows the slide size
+const THUMBNAIL_WIDTH = 160;
+
+const Plugin = () => {
+
+	// The reveal.js instance this plugin is attached to
+	let deck;
+
+	let options;
+
+	let menuElement;
+	let panelElement;
+	let listElement;
+	let buttonElement;
+
+	// The element that had focus before the menu opened
+	let previousFocus;
+
+	let touchStartX = null;
+
+	function render() {
+
+		menuElement = document.createElement( 'div' );
+		menuElement.className = 'slide-menu slide-menu-' + options.side;
+		menuElement.setAttribute( 'aria-hidden', 'true' );
+		menuElement.innerHTML = `<div class="slide-menu-overlay"></div>
+			<nav class="slide-menu-panel" tabindex="-1">
+				<ol class="slide-menu-list"></ol>
+			</nav>`;
+
+		panelElement = menuElement.querySelector( '.slide-menu-panel' );
+		panelElement.setAttribute( 'aria-label', deck.t( 'Slide menu' ) );
+
+		listElement = menuElement.querySelector( '.slide-menu-list' );
+
+		menuElement.querySelector( '.slide-menu-overlay' ).addEventListener( 'click', close, false );
+		listElement.addEventListener( 'click', onItemClicked, false );
+
+		// Keep touches in the menu from navigating the deck
+		panelElement.addEventListener( 'touchstart', onTouchStart, false );
+		panelElement.addEventListener( 'touchmove', onTouchMove, false );
+		panelElement.addEventListener( 'touchend', onTouchEnd, false );
+
+		deck.getRevealElement().appendChild( menuElement );
+
+		if( options.button ) {
+			buttonElement = document.createElement( 'button' );
+			buttonElement.className = 'slide-menu-button slide-menu-' + options.side;
+			buttonElement.setAttribute( 'aria-label', deck.t( 'Slide menu' ) );
+			buttonElement.setAttribute( 'aria-expanded', 'false' );
+			buttonElement.innerHTML = '<span>&#9776;</span>';
+			buttonElement.addEventListener( 'click', toggle, false );
+
+			deck.getRevealElement().appendChild( buttonElement );
+		}
+
+	}
+
+	/**
+	 * Rebuilds the list of slides. This runs each time the menu
+	 * opens since slides can be added, removed or loaded lazily
+	 * while presenting.
+	 */
+	function build() {
+
+		listElement.innerHTML = '';
+
+		let chapterList = null;
+		let chapterTitle = null;
+
+		const slides = deck.getSlides();
+		const indices = slides.map( slide => deck.getIndices( slide ) );
+
+		// Count the slides per horizontal index to find the vertical
+		// ones, stacks are taken apart in the scroll view
+		const slidesPerH = {};
+		indices.forEach( ( { h } ) => slidesPerH[ h ] = ( slidesPerH[ h ] || 0 ) + 1 );
+
+		slides.forEach( ( slide, index ) => {
+
+			const chapter = getChapter( slide );
+
+			if( chapter && chapter !== chapterTitle ) {
+				chapterTitle = chapter;
+
+				const chapterElement = document.createElement( 'li' );
+				chapterElement.className = 'slide-menu-chapter';
+
+				const titleElement = document.createElement( 'h3' );
+				titleElement.className = 'slide-menu-chapter-title';
+				titleElement.textContent = chapter;
+
+				chapterList = document.createElement( 'ol' );
+				chapterList.className = 'slide-menu-list';
+
+				chapterElement.appendChild( titleElement );
+				chapterElement.appendChild( chapterList );
+				listElement.appendChild( chapterElement );
+			}
+
+			const item = document.createElement( 'li' );
+			item.appendChild( createItem( slide, index, indices[ index ], slidesPerH[ indices[ index ].h ] > 1 ) );
+
+			( chapterList || listElement ).appendChild( item );
+
+		} );
+
+		update();
+
+	}
+
+	/**
+	 * Creates the button that navigates to the given slide.
+	 *
+	 * @param {HTMLElement} slide
+	 * @param {number} index The index of the slide in getSlides()
+	 * @param {{h: number, v: number}} indices
+	 * @param {boolean} isVertical
+	 */
+	function createItem( slide, index, indices, isVertical ) {
+
+		const button = document.createElement( 'button' );
+		button.className = 'slide-menu-item';
+		button.setAttribute( 'data-index', index );
+		button.setAttribute( 'data-index-h', indices.h );
+		if( typeof indices.v === 'number' ) {
+			button.setAttribute( 'data-index-v', indices.v );
+		}
+
+		if( options.thumbnails ) {
+			button.appendChild( createThumbnail( slide ) );
+		}
+
+		const number = document.createElement( 'span' );
+		number.className = 'slide-menu-number';
+		number.textContent = ( indices.h + 1 ) + ( isVertical ? '.' + ( indices.v + 1 ) : '' );
+
+		const title = document.createElement( 'span' );
+		title.className = 'slide-menu-title';
+		title.textContent = getTitle( slide ) || deck.t( 'Slide' ) + ' ' + number.textContent;
+
+		const fragments = document.createElement( 'span' );
+		fragments.className = 'slide-menu-fragments';
+		fragments.innerHTML = '<span class="slide-menu-fragments-bar"></span>';
+
+		button.appendChild( number );
+		button.appendChild( title );
+		button.appendChild( fragments );
+
+		return button;
+
+	}
+
+	/**
+	 * Creates a scaled down copy of the given slide. Embedded
+	 * media is left out and fragments are shown.
+	 */
+	function createThumbnail( slide ) {
+
+		const size = deck.getComputedSlideSize();
+		const scale = THUMBNAIL_WIDTH / size.width;
+
+		const thumbnail = document.createElement( 'div' );
+		thumbnail.className = 'slide-menu-thumbnail';
+		thumbnail.style.width = THUMBNAIL_WIDTH + 'px';
+		thumbnail.style.height = Math.round( size.height * scale ) + 'px';
+		thumbnail.style.background = slide.getAttribute( 'data-background-color' ) || '';
+
+		const copy = slide.cloneNode( true );
+		copy.classList.remove( 'present', 'past', 'future', 'stack' );
+		copy.removeAttribute( 'hidden' );
+		copy.removeAttribute( 'id' );
+		copy.style.cssText = '';
+		copy.setAttribute( 'aria-hidden', 'true' );
+
+		copy.querySelectorAll( 'iframe, video, audio, script, section' ).forEach( element => element.remove() );
+		copy.querySelectorAll( '[id]' ).forEach( element => element.removeAttribute( 'id' ) );
+		copy.querySelectorAll( '.fragment' ).forEach( element => element.classList.remove( 'fragment' ) );
+		copy.querySelectorAll( 'img[data-src]' ).forEach( element => element.setAttribute( 'src', element.getAttribute( 'data-src' ) ) );
+
+		const content = document.createElement( 'div' );
+		content.className = 'slide-menu-thumbnail-content';
+		content.style.width = size.width + 'px';
+		content.style.height = size.height + 'px';
+		content.style.transform = 'scale(' + scale + ')';
+		content.appendChild( copy );
+
+		thumbnail.appendChild( content );
+
+		return thumbnail;
+
+	}
+
+	/**
+	 * Marks the current slide and chapter and shows how many
+	 * fragments of each slide have been revealed.
+	 */
+	function update() {
+
+		if( !isOpen() ) return;
+
+		const slides = deck.getSlides();
+		const currentSlide = deck.getCurrentSlide();
+
+		listElement.querySelectorAll( '.slide-menu-item' ).forEach( item => {
+			const slide = slides[ parseInt( item.getAttribute( 'data-index' ), 10 ) ];
+			if( !slide ) return;
+
+			const current = slide === currentSlide;
+			item.classList.toggle( 'current', current );
+			if( current ) {
+				item.setAttribute( 'aria-current', 'true' );
+			}
+			else {
+				item.removeAttribute( 'aria-current' );
+			}
+
+			const total = slide.querySelectorAll( '.fragment' ).length;
+			const visible = slide.querySelectorAll( '.fragment.visible' ).length;
+
+			const fragments = item.querySelector( '.slide-menu-fragments' );
+			fragments.hidden = total === 0;
+			fragments.title = visible + '/' + total;
+			fragments.classList.toggle( 'complete', total > 0 && visible === total );
+			fragments.firstElementChild.style.width = ( total ? visible / total * 100 : 0 ) + '%';
+		} );
+
+		listElement.querySelectorAll( '.slide-menu-chapter' ).forEach( chapter => {
+			chapter.classList.toggle( 'current', !!chapter.querySelector( '.slide-menu-item.current' ) );
+		} );
+
+	}
+
+	/**
+	 * Returns the title of the given slide, or null.
+	 */
+	function getTitle( slide ) {
+
+		if( slide.hasAttribute( 'data-menu-title' ) ) {
+			return slide.getAttribute( 'data-menu-title' );
+		}
+
+		const heading = Array.from( slide.querySelectorAll( 'h1, h2' ) ).find( element => element.closest( 'section' ) === slide );
+
+		return heading ? heading.textContent.replace( /\s+/g, ' ' ).trim() || null : null;
+
+	}
+
+	/**
+	 * Returns the chapter of the given slide, which may be set on
+	 * its vertical stack, or null.
+	 */
+	function getChapter( slide ) {
+
+		if( slide.hasAttribute( 'data-chapter' ) ) {
+			return slide.getAttribute( 'data-chapter' );
+		}
+
+		if( isInStack( slide ) && slide.parentNode.hasAttribute( 'data-chapter' ) ) {
+			return slide.parentNode.getAttribute( 'data-chapter' );
+		}
+
+		return null;
+
+	}
+
+	function isInStack( slide ) {
+
+		return !!slide.parentNode && slide.parentNode.nodeName === 'SECTION';
+
+	}
+
+	function getItems() {
+
+		return Array.from( listElement.querySelectorAll( '.slide-menu-item' ) );
+
+	}
+
+	/**
+	 * Moves focus to the item at the given index.
+	 */
+	function focusItem( index ) {
+
+		const items = getItems();
+		const item = items[ Math.max( Math.min( index, items.length - 1 ), 0 ) ];
+
+		if( item ) item.focus();
+
+	}
+
+	function open() {
+
+		if( isOpen() ) return;
+
+		previousFocus = document.activeElement;
+
+		menuElement.classList.add( 'active' );
+		menuElement.setAttribute( 'aria-hidden', 'false' );
+		if( buttonElement ) buttonElement.setAttribute( 'aria-expanded', 'true' );
+
+		build();
+
+		const current = listElement.querySelector( '.slide-menu-item.current' );
+		if( current ) {
+			current.scrollIntoView( { block: 'center' } );
+			current.focus();
+		}
+		else {
+			panelElement.focus();
+		}
+
+	}
+
+	function close() {
+
+		if( !isOpen() ) return;
+
+		menuElement.classList.remove( 'active' );
+		menuElement.setAttribute( 'aria-hidden', 'true' );
+		if( buttonElement ) buttonElement.setAttribute( 'aria-expanded', 'false' );
+
+		if( previousFocus && typeof previousFocus.focus === 'function' ) {
+			previousFocus.focus();
+		}
+		previousFocus = null;
+
+	}
+
+	function toggle() {
+
+		if( isOpen() ) {
+			close();
+		}
+		else {
+			open();
+		}
+
+	}
+
+	function isOpen() {
+
+		return !!menuElement && menuElement.classList.contains( 'active' );
+
+	}
+
+	function onItemClicked( event ) {
+
+		const item = event.target.closest( '.slide-menu-item' );
+		if( !item ) return;
+
+		const h = parseInt( item.getAttribute( 'data-index-h' ), 10 );
+		const v = item.hasAttribute( 'data-index-v' ) ? parseInt( item.getAttribute( 'data-index-v' ), 10 ) : undefined;
+
+		close();
+		deck.slide( h, v );
+
+	}
+
+	/**
+	 * Handles the M key and, while the menu is open, keyboard
+	 * navigation within it. This runs before the reveal.js
+	 * keyboard handler so that keys don't reach the deck while
+	 * the menu is open.
+	 */
+	function onDocumentKeyDown( event ) {
+
+		if( !isOpen() ) {
+			const target = event.target;
+			const isEditable = target && ( target.isContentEditable || /^(input|textarea|select)$/i.test( target.nodeName ) );
+
+			if( event.keyCode === KEY_CODE && !event.altKey && !event.ctrlKey && !event.metaKey && !event.shiftKey && !isEditable && deck.getConfig().keyboard ) {
+				event.preventDefault();
+				open();
+			}
+
+			return;
+		}
+
+		const items = getItems();
+		const index = items.indexOf( document.activeElement );
+
+		switch( event.key ) {
+			case 'Escape':
+			case 'm':
+			case 'M':
+				event.preventDefault();
+				close();
+				break;
+			case 'ArrowDown':
+				event.preventDefault();
+				focusItem( index + 1 );
+				break;
+			case 'ArrowUp':
+				event.preventDefault();
+				focusItem( index - 1 );
+				break;
+			case 'Home':
+				event.preventDefault();
+				focusItem( 0 );
+				break;
+			case 'End':
+				event.preventDefault();
+				focusItem( items.length - 1 );
+				break;
+		}
+
+		// Enter, space and tab keep their default behavior within
+		// the menu, nothing reaches the deck
+		event.stopImmediatePropagation();
+
+	}
+
+	function onTouchStart( event ) {
+
+		event.stopPropagation();
+		touchStartX = event.touches[0].clientX;
+
+	}
+
+	function onTouchMove( event ) {
+
+		event.stopPropagation();
+
+	}
+
+	/**
+	 * Closes the menu when it's swiped towards its edge.
+	 */
+	function onTouchEnd( event ) {
+
+		event.stopPropagation();
+
+		if( touchStartX === null ) return;
+
+		const deltaX = event.changedTouches[0].clientX - touchStartX;
+		touchStartX = null;
+
+		if( ( options.side === 'left' && deltaX < -SWIPE_THRESHOLD ) || ( options.side === 'right' && deltaX > SWIPE_THRESHOLD ) ) {
+			close();
+		}
+
+	}
+
+	return {
+
+		id: 'menu',
+
+		init: reveal => {
+
+			deck = reveal;
+
+			options = Object.assign( {
+				button: true,
+				thumbnails: true,
+				side: null
+			}, deck.getConfig().menu );
+
+			if( options.side !== 'left' && options.side !== 'right' ) {
+				options.side = deck.getConfig().rtl ? 'right' : 'left';
+			}
+
+			render();
+
+			deck.registerKeyboardShortcut( 'M', 'Slide menu' );
+
+			document.addEventListener( 'keydown', onDocumentKeyDown, true );
+
+			deck.on( 'slidechanged', update );
+			deck.on( 'fragmentshown', update );
+			deck.on( 'fragmenthidden', update );
+
+		},
+
+		destroy: () => {
+
+			close();
+
+			document.removeEventListener( 'keydown', onDocumentKeyDown, true );
+
+			deck.off( 'slidechanged', update );
+			deck.off( 'fragmentshown', update );
+			deck.off( 'fragmenthidden', update );
+
+			if( menuElement ) menuElement.remove();
+			if( buttonElement ) buttonElement.remove();
+
+			menuElement = panelElement = listElement = buttonElement = null;
+
+		},
+
+		open,
+		close,
+		toggle,
+		isOpen
+
+	}
+
+};
+
+export default Plugin;
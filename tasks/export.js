@@ -0,0 +1,122 @@
+// Exports a deck to PDF, and optionally PNG images, with headless
+// Chrome. The deck is opened in print view (?print-pdf) so that the
+// output matches what reveal.js prints from the browser.
+//
+// Config options are passed to the deck through the query string,
+// reveal.js picks them up on top of the config in the page.
+
+const fs = require('fs')
+const path = require('path')
+
+// Config options that can be passed on to the deck
+const PRINT_OPTIONS = [ 'pdfSeparateFragments', 'pdfMaxPagesPerSlide', 'showNotes' ]
+
+// Animations and transitions jump to their final state, otherwise
+// elements that are animated in are captured in their initial, often
+// invisible, state
+const FINAL_STATE_CSS = `
+*, *::before, *::after {
+    animation-delay: -1ms !important;
+    animation-duration: 1ms !important;
+    animation-iteration-count: 1 !important;
+    animation-fill-mode: both !important;
+    transition: none !important;
+}
+`
+
+// Builds the URL of the deck in print view with the given config
+function getPrintURL( url, config ) {
+
+    const printURL = new URL( url )
+    printURL.searchParams.set( 'print-pdf', '' )
+
+    PRINT_OPTIONS.forEach( key => {
+        if( config[ key ] !== undefined ) printURL.searchParams.set( key, String( config[ key ] ) )
+    } )
+
+    // reveal.js looks for "print-pdf" rather than "print-pdf="
+    return printURL.href.replace( 'print-pdf=', 'print-pdf' )
+
+}
+
+/**
+ * Exports the deck at `url`.
+ *
+ * @param {object} options
+ * @param {string} options.url URL of the deck
+ * @param {string} options.output Path of the PDF file
+ * @param {string} [options.png] Directory that one PNG per PDF page
+ * is written to. Pages are per fragment unless pdfSeparateFragments
+ * is false.
+ * @param {object} [options.config] Print options for the deck
+ * @param {number} [options.width=1920] Browser window width
+ * @param {number} [options.height=1080] Browser window height
+ * @param {number} [options.timeout=60000] Time to wait for the deck
+ * @return {Promise<{pdf: string, png: string[]}>}
+ */
+async function exportDeck({ url, output, png = null, config = {}, width = 1920, height = 1080, timeout = 60000 }) {
+
+    // Required here so that the other gulp tasks don't depend on it
+    const puppeteer = require('puppeteer')
+
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: [ '--no-sandbox', '--allow-file-access-from-files' ]
+    })
+
+    try {
+        const page = await browser.newPage()
+
+        await page.setViewport({ width, height })
+
+        // Fusefy components render their final state for reduced motion
+        await page.emulateMediaFeatures([ { name: 'prefers-reduced-motion', value: 'reduce' } ])
+
+        page.on( 'pageerror', error => console.warn( `Page error: ${error.message}` ) )
+
+        await page.goto( getPrintURL( url, config ), { waitUntil: 'load', timeout } )
+
+        // The print view removes this class once its pages are laid out
+        // and "pdf-ready" has been dispatched
+        await page.waitForFunction( () => {
+            return document.documentElement.classList.contains( 'print-pdf' ) &&
+                document.querySelector( '.reveal .pdf-page' ) &&
+                !document.querySelector( '.loading-scroll-mode' )
+        }, { timeout } )
+
+        await page.addStyleTag({ content: FINAL_STATE_CSS })
+        await page.evaluate( () => document.fonts.ready )
+        await page.evaluate( () => new Promise( resolve => requestAnimationFrame( () => requestAnimationFrame( resolve ) ) ) )
+
+        fs.mkdirSync( path.dirname( output ), { recursive: true } )
+
+        await page.pdf({
+            path: output,
+            printBackground: true,
+            preferCSSPageSize: true
+        })
+
+        const images = []
+
+        if( png ) {
+            fs.mkdirSync( png, { recursive: true } )
+
+            const pages = await page.$$( '.reveal .pdf-page' )
+            const digits = String( pages.length ).length
+
+            for( let i = 0; i < pages.length; i++ ) {
+                const file = path.join( png, `page-${String( i + 1 ).padStart( digits, '0' )}.png` )
+                await pages[i].screenshot({ path: file })
+                images.push( file )
+            }
+        }
+
+        return { pdf: output, png: images }
+    }
+    finally {
+        await browser.close()
+    }
+
+}
+
+module.exports = { exportDeck, getPrintURL }
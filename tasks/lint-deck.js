@@ -0,0 +1,482 @@
+// Lints the slide partials of a deck. Partials are read in the order
+// of the deck manifest and checked for problems that the browser
+// silently ignores: duplicate ids, misspelled reveal.js attributes,
+// fragment index gaps, missing images and auto-animate slides that
+// have nothing to animate.
+//
+// Every problem has a file, line and column. Rules can be set to
+// "error", "warning" or "off" in the "lint" section of the manifest:
+//
+//   { "slides": [ ... ], "lint": { "rules": { "missing-alt": "off" } } }
+
+const fs = require('fs')
+const path = require('path')
+const { isLocal, resolveFile } = require('./offline.js')
+
+const DEFAULT_RULES = {
+    'missing-partial': 'error',
+    'duplicate-id': 'error',
+    'non-standard-attribute': 'error',
+    'fragment-index-gap': 'warning',
+    'fragment-index-duplicate': 'warning',
+    'missing-image': 'error',
+    'missing-alt': 'warning',
+    'auto-animate-data-id': 'warning'
+}
+
+// reveal.js attributes that are commonly written without their
+// data- prefix, mapped to the attribute that was meant
+const NON_STANDARD_ATTRIBUTES = {
+    'background': 'data-background-image',
+    'background-image': 'data-background-image',
+    'background-color': 'data-background-color',
+    'background-video': 'data-background-video',
+    'background-iframe': 'data-background-iframe',
+    'transition': 'data-transition',
+    'transition-speed': 'data-transition-speed',
+    'auto-animate': 'data-auto-animate',
+    'fragment-index': 'data-fragment-index',
+    'autoslide': 'data-autoslide',
+    'state': 'data-state',
+    'visibility': 'data-visibility',
+    'timing': 'data-timing'
+}
+
+// Attributes that reference image files
+const IMAGE_ATTRIBUTES = {
+    'img': [ 'src', 'data-src' ],
+    'video': [ 'poster' ],
+    'section': [ 'data-background-image' ]
+}
+
+const VOID_ELEMENTS = new Set([ 'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr' ])
+
+// Comments, raw text elements, end tags and start tags
+const TOKEN_REGEX = /<!--[\s\S]*?-->|<(script|style|textarea)\b[^>]*>[\s\S]*?<\/\1\s*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g
+
+const ATTRIBUTE_REGEX = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+
+/**
+ * Parses HTML into a tree of elements that remember their offset
+ * in the source. This is not a spec compliant parser, it is only
+ * meant for the well-formed markup of slide partials.
+ *
+ * @param {string} html
+ * @return {{name: string, children: object[]}} The root node
+ */
+function parseHTML( html ) {
+
+    const root = { name: '#root', attributes: new Map(), children: [], parent: null, offset: 0 }
+    let current = root
+    let match
+
+    TOKEN_REGEX.lastIndex = 0
+
+    while( ( match = TOKEN_REGEX.exec( html ) ) ) {
+        const [ , rawText, endTag, startTag, attributeSource ] = match
+
+        if( endTag ) {
+            const name = endTag.toLowerCase()
+
+            // Unmatched end tags are ignored, unclosed elements are
+            // closed along with their parent
+            for( let node = current; node !== root; node = node.parent ) {
+                if( node.name === name ) {
+                    current = node.parent
+                    break
+                }
+            }
+        }
+        else if( startTag ) {
+            const element = {
+                name: startTag.toLowerCase(),
+                attributes: parseAttributes( attributeSource || '', match.index + 1 + startTag.length ),
+                children: [],
+                parent: current,
+                offset: match.index
+            }
+
+            current.children.push( element )
+
+            if( !VOID_ELEMENTS.has( element.name ) && !/\/>$/.test( match[0] ) ) {
+                current = element
+            }
+        }
+        else if( rawText ) {
+            current.children.push({
+                name: rawText.toLowerCase(),
+                attributes: new Map(),
+                children: [],
+                parent: current,
+                offset: match.index
+            })
+        }
+    }
+
+    return root
+
+}
+
+function parseAttributes( source, offset ) {
+
+    const attributes = new Map()
+    let match
+
+    ATTRIBUTE_REGEX.lastIndex = 0
+
+    while( ( match = ATTRIBUTE_REGEX.exec( source ) ) ) {
+        const name = match[1].toLowerCase()
+        const value = [ match[2], match[3], match[4] ].find( v => v !== undefined )
+
+        if( !attributes.has( name ) ) {
+            attributes.set( name, { value: value === undefined ? '' : value, offset: offset + match.index } )
+        }
+    }
+
+    return attributes
+
+}
+
+// Calls `callback` for every element below `node`, in document order
+function walk( node, callback ) {
+
+    node.children.forEach( child => {
+        callback( child )
+        walk( child, callback )
+    } )
+
+}
+
+function findAll( node, predicate ) {
+
+    const result = []
+    walk( node, element => { if( predicate( element ) ) result.push( element ) } )
+    return result
+
+}
+
+function hasClass( element, className ) {
+
+    const attribute = element.attributes.get( 'class' )
+    return !!attribute && attribute.value.split( /\s+/ ).indexOf( className ) !== -1
+
+}
+
+// Returns the offset of each line start, used to turn offsets into
+// line and column numbers
+function getLineOffsets( source ) {
+
+    const offsets = [ 0 ]
+    for( let i = 0; i < source.length; i++ ) {
+        if( source[i] === '\n' ) offsets.push( i + 1 )
+    }
+    return offsets
+
+}
+
+function getLocation( lineOffsets, offset ) {
+
+    let low = 0
+    let high = lineOffsets.length - 1
+
+    while( low < high ) {
+        const middle = Math.ceil( ( low + high ) / 2 )
+        if( lineOffsets[ middle ] <= offset ) low = middle
+        else high = middle - 1
+    }
+
+    return { line: low + 1, column: offset - lineOffsets[ low ] + 1 }
+
+}
+
+class DeckLinter {
+
+    constructor({ root = '.', manifest = 'deck.json', rules = {} } = {}) {
+
+        this.root = path.resolve( root )
+        this.manifest = path.resolve( this.root, manifest )
+        this.options = { rules }
+        this.rules = Object.assign( {}, DEFAULT_RULES, rules )
+
+        this.problems = []
+
+    }
+
+    // Returns the partials in deck order as { file, id } where `id` is
+    // the id the manifest gives the slide
+    getPartials() {
+
+        // Without a manifest, language variants (slide3.de.html) are left
+        // out, they share the ids of the partial they translate
+        if( !fs.existsSync( this.manifest ) ) {
+            return fs.readdirSync( this.root )
+                .filter( file => /^slide[^.]*\.html$/.test( file ) )
+                .sort( ( a, b ) => a.localeCompare( b, undefined, { numeric: true } ) )
+                .map( file => ({ file: path.join( this.root, file ), id: null }) )
+        }
+
+        const manifest = JSON.parse( fs.readFileSync( this.manifest, 'utf8' ) )
+        const baseDir = path.dirname( this.manifest )
+        const partials = []
+
+        if( manifest.lint && manifest.lint.rules ) {
+            this.rules = Object.assign( {}, DEFAULT_RULES, manifest.lint.rules, this.options.rules )
+        }
+
+        const addEntry = entry => {
+            if( typeof entry === 'string' ) entry = { src: entry }
+
+            if( Array.isArray( entry.stack ) ) entry.stack.forEach( addEntry )
+
+            if( entry.src && isLocal( entry.src ) ) {
+                const file = resolveFile( entry.src, baseDir )
+
+                if( fs.existsSync( file ) ) partials.push({ file, id: entry.id || null })
+                else if( !entry.optional ) this.report( this.manifest, null, 'missing-partial', `Slide partial "${entry.src}" does not exist` )
+            }
+        }
+
+        manifest.slides.forEach( addEntry )
+
+        return partials
+
+    }
+
+    report( file, location, rule, message ) {
+
+        const severity = this.rules[ rule ]
+        if( !severity || severity === 'off' ) return
+
+        this.problems.push({
+            file: path.relative( this.root, file ),
+            line: location ? location.line : 1,
+            column: location ? location.column : 1,
+            severity,
+            rule,
+            message
+        })
+
+    }
+
+    /**
+     * Lints all partials of the deck.
+     *
+     * @return {object[]} Problems as { file, line, column, severity,
+     * rule, message }, sorted by file and line
+     */
+    lint() {
+
+        this.problems = []
+
+        const documents = this.getPartials().map( ({ file, id }) => {
+            const source = fs.readFileSync( file, 'utf8' )
+            const lineOffsets = getLineOffsets( source )
+
+            return {
+                file,
+                id,
+                tree: parseHTML( source ),
+                locate: offset => getLocation( lineOffsets, offset )
+            }
+        } )
+
+        documents.forEach( doc => {
+            this.checkAttributes( doc )
+            this.checkImages( doc )
+            this.checkFragments( doc )
+        } )
+
+        this.checkIds( documents )
+        this.checkAutoAnimate( documents )
+
+        const order = documents.map( doc => path.relative( this.root, doc.file ) )
+
+        return this.problems.sort( ( a, b ) => {
+            return ( order.indexOf( a.file ) - order.indexOf( b.file ) ) || ( a.line - b.line ) || ( a.column - b.column )
+        } )
+
+    }
+
+    // Ids must be unique across the whole deck, all partials end up
+    // in the same document. A slide id that is the name of another
+    // partial makes named links point to the wrong slide.
+    checkIds( documents ) {
+
+        const seen = new Map()
+        const names = new Map( documents.map( doc => [ path.basename( doc.file, '.html' ), doc ] ) )
+
+        documents.forEach( doc => {
+            const slides = doc.tree.children.filter( element => element.name === 'section' )
+
+            walk( doc.tree, element => {
+                const attribute = element.attributes.get( 'id' )
+                if( !attribute || !attribute.value || attribute.value.indexOf( '{{' ) !== -1 ) return
+
+                const location = doc.locate( attribute.offset )
+                const first = seen.get( attribute.value )
+
+                if( first ) {
+                    this.report( doc.file, location, 'duplicate-id', `Duplicate id "${attribute.value}", first used in ${path.relative( this.root, first.file )}:${first.location.line}` )
+                }
+                else {
+                    seen.set( attribute.value, { file: doc.file, location } )
+                }
+
+                const partial = names.get( attribute.value )
+                if( partial && partial !== doc && slides.indexOf( element ) !== -1 ) {
+                    this.report( doc.file, location, 'duplicate-id', `Slide id "${attribute.value}" is also the name of ${path.relative( this.root, partial.file )}` )
+                }
+            } )
+
+            // The loader gives the slide the manifest id if it has none
+            if( doc.id && slides.length && !slides[0].attributes.has( 'id' ) ) {
+                const first = seen.get( doc.id )
+
+                if( first ) {
+                    this.report( doc.file, doc.locate( slides[0].offset ), 'duplicate-id', `Duplicate id "${doc.id}" from the manifest, first used in ${path.relative( this.root, first.file )}:${first.location.line}` )
+                }
+                else {
+                    seen.set( doc.id, { file: doc.file, location: doc.locate( slides[0].offset ) } )
+                }
+            }
+        } )
+
+    }
+
+    checkAttributes( doc ) {
+
+        walk( doc.tree, element => {
+            element.attributes.forEach( ( attribute, name ) => {
+                const replacement = NON_STANDARD_ATTRIBUTES[ name ]
+
+                if( replacement ) {
+                    this.report( doc.file, doc.locate( attribute.offset ), 'non-standard-attribute', `Non-standard attribute "${name}" on <${element.name}>, use "${replacement}"` )
+                }
+            } )
+        } )
+
+    }
+
+    checkImages( doc ) {
+
+        const baseDir = path.dirname( doc.file )
+
+        walk( doc.tree, element => {
+            ( IMAGE_ATTRIBUTES[ element.name ] || [] ).forEach( name => {
+                const attribute = element.attributes.get( name )
+                // Template placeholders are resolved when the deck loads
+                if( !attribute || !isLocal( attribute.value ) || attribute.value.indexOf( '{{' ) !== -1 ) return
+
+                if( !fs.existsSync( resolveFile( attribute.value, baseDir ) ) ) {
+                    this.report( doc.file, doc.locate( attribute.offset ), 'missing-image', `Image "${attribute.value}" does not exist` )
+                }
+            } )
+
+            if( element.name === 'img' && !element.attributes.has( 'alt' ) ) {
+                this.report( doc.file, doc.locate( element.offset ), 'missing-alt', 'Image has no alt text, use alt="" for decorative images' )
+            }
+        } )
+
+    }
+
+    // Checks the explicit fragment indices of each slide. Fragments
+    // that share an index are shown together, which is reported so
+    // that it isn't done by accident.
+    checkFragments( doc ) {
+
+        const slides = findAll( doc.tree, element => element.name === 'section' && !findAll( element, child => child.name === 'section' ).length )
+
+        slides.forEach( slide => {
+            const indices = new Map()
+
+            findAll( slide, element => hasClass( element, 'fragment' ) && element.attributes.has( 'data-fragment-index' ) ).forEach( fragment => {
+                const attribute = fragment.attributes.get( 'data-fragment-index' )
+                const index = parseInt( attribute.value, 10 )
+
+                if( isNaN( index ) ) return
+
+                if( !indices.has( index ) ) indices.set( index, [] )
+                indices.get( index ).push( doc.locate( attribute.offset ) )
+            } )
+
+            // Reported once per index, at the second fragment using it
+            indices.forEach( ( locations, index ) => {
+                if( locations.length > 1 ) {
+                    const lines = locations.map( location => location.line ).join( ', ' )
+                    this.report( doc.file, locations[1], 'fragment-index-duplicate', `data-fragment-index="${index}" is used by ${locations.length} fragments (lines ${lines})` )
+                }
+            } )
+
+            const sorted = [ ...indices.keys() ].sort( ( a, b ) => a - b )
+
+            for( let i = 1; i < sorted.length; i++ ) {
+                if( sorted[i] - sorted[i - 1] > 1 ) {
+                    const missing = sorted[i] - sorted[i - 1] === 2 ? sorted[i - 1] + 1 : `${sorted[i - 1] + 1}-${sorted[i] - 1}`
+                    this.report( doc.file, indices.get( sorted[i] )[0], 'fragment-index-gap', `data-fragment-index="${sorted[i]}" follows ${sorted[i - 1]}, index ${missing} is not used` )
+                }
+            }
+        } )
+
+    }
+
+    // reveal.js auto-animates between adjacent data-auto-animate slides
+    // by matching elements with the same data-id
+    checkAutoAnimate( documents ) {
+
+        const slides = []
+
+        documents.forEach( doc => {
+            findAll( doc.tree, element => element.name === 'section' && !findAll( element, child => child.name === 'section' ).length ).forEach( element => {
+                const attribute = element.attributes.get( 'data-auto-animate' )
+                const group = element.attributes.get( 'data-auto-animate-id' )
+
+                slides.push({
+                    doc,
+                    element,
+                    attribute,
+                    group: group ? group.value : null,
+                    restart: element.attributes.has( 'data-auto-animate-restart' ),
+                    ids: new Set( findAll( element, child => child.attributes.has( 'data-id' ) ).map( child => child.attributes.get( 'data-id' ).value ) )
+                })
+            } )
+        } )
+
+        // Whether reveal.js animates from slide `a` to the slide after it
+        const isPair = ( a, b ) => !!a && !!b && !!a.attribute && !!b.attribute && a.group === b.group && !b.restart
+
+        slides.forEach( ( slide, i ) => {
+            if( !slide.attribute ) return
+
+            const previous = slides[i - 1]
+            const next = slides[i + 1]
+            const location = slide.doc.locate( slide.attribute.offset )
+
+            if( !isPair( previous, slide ) && !isPair( slide, next ) ) {
+                this.report( slide.doc.file, location, 'auto-animate-data-id', 'data-auto-animate slide has no adjacent data-auto-animate slide to animate with' )
+            }
+            else if( isPair( previous, slide ) && ![ ...slide.ids ].some( id => previous.ids.has( id ) ) ) {
+                this.report( slide.doc.file, location, 'auto-animate-data-id', `No data-id matches the previous data-auto-animate slide in ${path.relative( this.root, previous.doc.file )}` )
+            }
+        } )
+
+    }
+
+}
+
+/**
+ * Formats problems as one "file:line:column: severity: message (rule)"
+ * line each, or as JSON.
+ *
+ * @param {object[]} problems
+ * @param {string} [format='text'] "text" or "json"
+ * @return {string}
+ */
+function formatProblems( problems, format = 'text' ) {
+
+    if( format === 'json' ) return JSON.stringify( problems, null, 2 )
+
+    return problems.map( p => `${p.file}:${p.line}:${p.column}: ${p.severity}: ${p.message} (${p.rule})` ).join( '\n' )
+
+}
+
+module.exports = { DeckLinter, formatProblems, parseHTML }
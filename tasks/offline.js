@@ -0,0 +1,327 @@
+// Builds a self-contained, single HTML file version of a deck that
+// works from file:// without network access. Stylesheets, scripts,
+// slide partials and local assets (images, fonts, videos) are all
+// inlined into the page.
+//
+// The deck manifest is embedded as <script id="deck-manifest"> with
+// the HTML of every partial in its entries, js/slide-loader.js uses
+// it instead of fetching anything. Partials are rendered with the
+// client profile of the manifest, or the one passed as `client`.
+// Decks are built in one language, the manifest's or the one passed
+// as `lang`, with the partial variants and strings for it.
+
+const fs = require('fs')
+const path = require('path')
+const template = require('../js/deck-template.js')
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mp3': 'audio/mpeg',
+    '.pdf': 'application/pdf'
+}
+
+// Attributes that reference assets which are inlined as data URIs
+const ASSET_ATTRIBUTES = [
+    'src',
+    'poster',
+    'data-src',
+    'data-background-image',
+    'data-background-video',
+    'data-embed-fallback-poster',
+    'data-embed-fallback-video'
+]
+
+const ASSET_ATTRIBUTE_REGEX = new RegExp( `(\\s(?:${ASSET_ATTRIBUTES.join( '|' )})=)(["'])(.*?)\\2`, 'g' )
+
+// Remote, absolute, anchor and data URLs are left as they are
+function isLocal( url ) {
+
+    return !!url && !/^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i.test( url.trim() )
+
+}
+
+function resolveFile( url, baseDir ) {
+
+    return path.resolve( baseDir, decodeURI( url.trim().replace( /[?#].*$/, '' ) ) )
+
+}
+
+function toDataURI( file ) {
+
+    const type = MIME_TYPES[ path.extname( file ).toLowerCase() ] || 'application/octet-stream'
+    return `data:${type};base64,${fs.readFileSync( file ).toString( 'base64' )}`
+
+}
+
+// Keeps inlined code from closing the <script> element it is put in
+function escapeScript( code ) {
+
+    return code.replace( /<\/script/gi, '<\\/script' )
+
+}
+
+class OfflineBuild {
+
+    constructor({ root = '.', input = 'index.html', manifest = 'deck.json', client = null, lang = null } = {}) {
+
+        this.root = path.resolve( root )
+        this.input = path.resolve( this.root, input )
+        this.manifest = path.resolve( this.root, manifest )
+        this.client = client
+        this.lang = lang
+
+        // The data partials are rendered with, see buildManifest()
+        this.data = { client: {}, strings: {}, lang: null }
+
+        // Languages to use partial variants of, see buildManifest()
+        this.variantLanguages = []
+
+        // Assets that could not be found, reported once the build is done
+        this.missing = new Set()
+
+    }
+
+    // Replaces a local URL with a data URI, or returns it unchanged
+    inlineURL( url, baseDir ) {
+
+        if( !isLocal( url ) ) return url
+
+        const file = resolveFile( url, baseDir )
+        if( !fs.existsSync( file ) ) {
+            this.missing.add( path.relative( this.root, file ) )
+            return url
+        }
+
+        return toDataURI( file )
+
+    }
+
+    // Inlines @import-ed stylesheets and url() references in CSS
+    inlineCSS( css, baseDir ) {
+
+        css = css.replace( /@import\s+(?:url\()?\s*(["']?)([^"')]+)\1\s*\)?\s*;/g, ( match, quote, url ) => {
+            if( !isLocal( url ) ) return match
+
+            const file = resolveFile( url, baseDir )
+            if( !fs.existsSync( file ) ) {
+                this.missing.add( path.relative( this.root, file ) )
+                return match
+            }
+
+            return this.inlineCSS( fs.readFileSync( file, 'utf8' ), path.dirname( file ) )
+        } )
+
+        return css.replace( /url\(\s*(["']?)(.*?)\1\s*\)/g, ( match, quote, url ) => {
+            return isLocal( url ) ? `url("${this.inlineURL( url, baseDir )}")` : match
+        } )
+
+    }
+
+    // Inlines asset attributes and inline style url()s in HTML
+    inlineHTMLAssets( html, baseDir ) {
+
+        // Scripts are inlined separately
+        html = html.replace( /<(?!script\b)[a-z][^>]*>/gi, tag => {
+            return tag.replace( ASSET_ATTRIBUTE_REGEX, ( match, attribute, quote, url ) => {
+                return attribute + quote + this.inlineURL( url, baseDir ) + quote
+            } )
+        } )
+
+        return html.replace( /(\sstyle=)(["'])(.*?)\2/g, ( match, attribute, quote, css ) => {
+            return attribute + quote + this.inlineCSS( css, baseDir ) + quote
+        } )
+
+    }
+
+    // Replaces <link rel="stylesheet"> with <style>
+    inlineStylesheets( html, baseDir ) {
+
+        return html.replace( /<link\b[^>]*>/gi, tag => {
+            const href = ( tag.match( /\shref=(["'])(.*?)\1/i ) || [] )[2]
+            if( !/\srel=(["'])stylesheet\1/i.test( tag ) || !isLocal( href ) ) return tag
+
+            const file = resolveFile( href, baseDir )
+            if( !fs.existsSync( file ) ) {
+                this.missing.add( path.relative( this.root, file ) )
+                return tag
+            }
+
+            return `<style>\n${this.inlineCSS( fs.readFileSync( file, 'utf8' ), path.dirname( file ) )}\n</style>`
+        } )
+
+    }
+
+    // Replaces <script src> with inline scripts
+    inlineScripts( html, baseDir ) {
+
+        return html.replace( /<script\b([^>]*?)\ssrc=(["'])(.*?)\2([^>]*)>\s*<\/script>/gi, ( tag, before, quote, src, after ) => {
+            if( !isLocal( src ) ) return tag
+
+            const file = resolveFile( src, baseDir )
+            if( !fs.existsSync( file ) ) {
+                this.missing.add( path.relative( this.root, file ) )
+                return tag
+            }
+
+            // Source maps aren't available next to the inlined script
+            const code = fs.readFileSync( file, 'utf8' ).replace( /\n\/\/# sourceMappingURL=.*$/m, '' )
+
+            return `<script${before}${after}>\n${escapeScript( code )}\n</script>`
+        } )
+
+    }
+
+    // Adds the HTML of each partial to its manifest entry
+    inlineEntry( entry, baseDir ) {
+
+        if( typeof entry === 'string' ) entry = { src: entry }
+        else entry = Object.assign( {}, entry )
+
+        if( Array.isArray( entry.stack ) ) {
+            entry.stack = entry.stack.map( child => this.inlineEntry( child, baseDir ) )
+        }
+
+        if( entry.src && isLocal( entry.src ) ) {
+            const file = this.resolvePartial( entry.src, baseDir )
+
+            if( fs.existsSync( file ) ) {
+                const html = this.render( fs.readFileSync( file, 'utf8' ), path.relative( this.root, file ) )
+                entry.html = this.inlineHTMLAssets( html, path.dirname( file ) )
+
+                // There is nothing left to load lazily
+                delete entry.lazy
+            }
+            else if( !entry.optional ) {
+                this.missing.add( path.relative( this.root, file ) )
+            }
+        }
+
+        return entry
+
+    }
+
+    // Returns the file of a partial, its variant for the language of
+    // the build if there is one
+    resolvePartial( src, baseDir ) {
+
+        const variant = this.variantLanguages
+            .map( lang => resolveFile( template.localizePath( src, lang ), baseDir ) )
+            .find( file => fs.existsSync( file ) )
+
+        return variant || resolveFile( src, baseDir )
+
+    }
+
+    // Reads and merges the string tables of the deck's own language and
+    // the language of the build, more specific tables win
+    loadStrings( manifest, lang ) {
+
+        if( !manifest.strings ) return {}
+
+        const languages = [
+            ...template.getLanguageChain( manifest.lang || 'en' ).reverse(),
+            ...template.getLanguageChain( lang ).reverse()
+        ].filter( ( language, index, all ) => all.indexOf( language ) === index )
+
+        return Object.assign( {}, ...languages.map( language => {
+            const file = path.resolve( path.dirname( this.manifest ), template.resolveStringsPath( manifest.strings, language ) )
+
+            if( !fs.existsSync( file ) ) {
+                console.warn( `No strings for "${language}" at ${path.relative( this.root, file )}` )
+                return {}
+            }
+
+            return JSON.parse( fs.readFileSync( file, 'utf8' ) )
+        } ) )
+
+    }
+
+    // Renders a partial with the client profile
+    render( text, name, options = {} ) {
+
+        return template.render( text, this.data, Object.assign( {
+            missing: ( value, line ) => console.warn( `${name}:${line} has no value for "${value}"` )
+        }, options ) )
+
+    }
+
+    // Reads the client profile, relative to the root for --client and
+    // to the manifest for "client" in the manifest
+    loadProfile( manifest ) {
+
+        const client = this.client || manifest.client
+        if( !client ) return {}
+
+        const baseDir = this.client ? this.root : path.dirname( this.manifest )
+        return JSON.parse( fs.readFileSync( path.resolve( baseDir, template.resolveProfilePath( client ) ), 'utf8' ) )
+
+    }
+
+    buildManifest() {
+
+        const manifest = JSON.parse( fs.readFileSync( this.manifest, 'utf8' ) )
+        const baseDir = path.dirname( this.manifest )
+
+        const lang = this.lang || manifest.lang || 'en'
+
+        this.data = { client: this.loadProfile( manifest ), strings: this.loadStrings( manifest, lang ), lang }
+        this.variantLanguages = template.getLanguageChain( lang ).filter( language => language !== ( manifest.lang || 'en' ) )
+
+        // The partials are personalized and translated from here on
+        delete manifest.client
+        delete manifest.strings
+        manifest.lang = lang
+        if( manifest.title ) manifest.title = this.render( manifest.title, 'title', { escape: false } )
+
+        manifest.slides = manifest.slides.map( entry => this.inlineEntry( entry, baseDir ) )
+
+        return manifest
+
+    }
+
+    // Returns the HTML of the self-contained deck
+    build() {
+
+        const baseDir = path.dirname( this.input )
+        const manifest = this.buildManifest()
+
+        let html = fs.readFileSync( this.input, 'utf8' )
+
+        // Assets first, so that code in inlined scripts isn't touched
+        html = this.inlineHTMLAssets( html, baseDir )
+        html = this.inlineStylesheets( html, baseDir )
+        html = this.inlineScripts( html, baseDir )
+
+        const manifestScript = `<script type="application/json" id="deck-manifest">\n${escapeScript( JSON.stringify( manifest ) )}\n</script>\n`
+
+        return html.replace( /<\/head>/i, head => manifestScript + head )
+
+    }
+
+    write( output ) {
+
+        const html = this.build()
+
+        fs.mkdirSync( path.dirname( output ), { recursive: true } )
+        fs.writeFileSync( output, html )
+
+        return { output, size: Buffer.byteLength( html ), missing: [ ...this.missing ] }
+
+    }
+
+}
+
+module.exports = { OfflineBuild, isLocal, resolveFile, toDataURI }
@@ -0,0 +1,368 @@
+// WebSocket relay for follow-the-presenter sync (js/sync.js), the
+// phone remote (js/remote-control.js, remote.html) and audience polls
+// (js/polls.js, join.html). Decks join a room as presenter, followers
+// as viewer, phones as remote and voters as audience. The state a
+// presenter sends is kept per room and forwarded to all viewers,
+// viewers that join late get the last state right away. Commands from
+// remotes go to the presenters, their status goes back to remotes. The
+// same goes for the current poll and the votes and questions of the
+// audience.
+//
+// Messages are JSON objects with a "type":
+//
+//   -> { type: 'join', room, role: 'presenter' | 'viewer' | 'remote' | 'audience', key, token, remoteKey, voter }
+//   <- { type: 'joined', room, role, viewers, token }  token to presenters only
+//   -> { type: 'state', state }                      presenter only
+//   <- { type: 'state', state }                      to viewers
+//   -> { type: 'status', status }                    presenter only
+//   <- { type: 'status', status }                    to remotes
+//   -> { type: 'command', method, args }             remote only
+//   <- { type: 'command', method, args }             to presenters
+//   -> { type: 'poll', poll }                        presenter only
+//   <- { type: 'poll', poll }                        to the audience
+//   -> { type: 'vote', poll, option }                audience only
+//   -> { type: 'question', poll, text }              audience only
+//   <- { type: 'vote' | 'question', ..., voter }     to presenters
+//   <- { type: 'viewers', count, remotes, audience } to presenters
+//   <- { type: 'error', message }
+//
+// Presenters may join without a room to get a new room code. If the
+// relay has a presenter key, presenters have to send it to join. The
+// presenter who creates a room gets a secret `token`, other presenters
+// can only join an existing room with that token or the presenter key,
+// room codes are shared with the audience.
+// Remotes have to send the `remoteKey` that the presenter who created
+// the room joined with. The audience can only join existing rooms, the
+// `voter` they join with is passed on with their votes so that decks
+// can count one vote per device.
+
+const crypto = require('crypto')
+const { WebSocketServer } = require('ws')
+
+// No 0/O or 1/I, codes are read out to customers
+const ROOM_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const ROOM_CODE_LENGTH = 6
+
+const HEARTBEAT_INTERVAL = 30000
+
+const MAX_QUESTION_LENGTH = 280
+
+// Role -> the set of a room it is kept in
+const ROLES = {
+    presenter: 'presenters',
+    viewer: 'viewers',
+    remote: 'remotes',
+    audience: 'audience'
+}
+
+function createRoomCode() {
+
+    const bytes = crypto.randomBytes( ROOM_CODE_LENGTH )
+    return Array.from( bytes, byte => ROOM_CODE_CHARACTERS[ byte % ROOM_CODE_CHARACTERS.length ] ).join( '' )
+
+}
+
+function createToken() {
+
+    return crypto.randomBytes( 16 ).toString( 'hex' )
+
+}
+
+function normalizeRoomCode( room ) {
+
+    return String( room || '' ).trim().toUpperCase()
+
+}
+
+// Compares presenter keys in constant time
+function isValidKey( expected, key ) {
+
+    if( !expected ) return true
+    if( typeof key !== 'string' ) return false
+
+    const a = Buffer.from( expected )
+    const b = Buffer.from( key )
+
+    return a.length === b.length && crypto.timingSafeEqual( a, b )
+
+}
+
+class SyncRelay {
+
+    /**
+     * @param {object} options
+     * @param {number} [options.port=8001] Port to listen on, ignored
+     * when `server` is given
+     * @param {string} [options.host='localhost']
+     * @param {object} [options.server] An existing http server to
+     * handle upgrade requests of
+     * @param {string} [options.presenterKey] Key that presenters need
+     * to join with
+     */
+    constructor({ port = 8001, host = 'localhost', server = null, presenterKey = null } = {}) {
+
+        this.presenterKey = presenterKey
+
+        // Room code -> { presenters: Set, viewers: Set, remotes: Set,
+        // audience: Set, state, status, poll, remoteKey, token }
+        this.rooms = new Map()
+
+        this.wss = server ? new WebSocketServer({ server }) : new WebSocketServer({ port, host })
+        this.wss.on( 'connection', socket => this.onConnection( socket ) )
+
+        // Drop connections that went away without closing
+        this.heartbeat = setInterval( () => {
+            this.wss.clients.forEach( socket => {
+                if( socket.isAlive === false ) return socket.terminate()
+
+                socket.isAlive = false
+                socket.ping()
+            } )
+        }, HEARTBEAT_INTERVAL )
+
+    }
+
+    onConnection( socket ) {
+
+        socket.isAlive = true
+        socket.on( 'pong', () => { socket.isAlive = true } )
+
+        socket.on( 'message', data => {
+            let message
+
+            try {
+                message = JSON.parse( data )
+            }
+            catch( error ) {
+                return this.send( socket, { type: 'error', message: 'Invalid message' } )
+            }
+
+            if( message.type === 'join' ) this.join( socket, message )
+            else if( message.type === 'state' ) this.broadcastState( socket, message.state )
+            else if( message.type === 'status' ) this.broadcastStatus( socket, message.status )
+            else if( message.type === 'command' ) this.forwardCommand( socket, message )
+            else if( message.type === 'poll' ) this.broadcastPoll( socket, message.poll )
+            else if( message.type === 'vote' || message.type === 'question' ) this.forwardResponse( socket, message )
+        } )
+
+        socket.on( 'close', () => this.leave( socket ) )
+
+    }
+
+    join( socket, { room, role, key, token, remoteKey, voter } ) {
+
+        if( ROLES[ role ] === undefined ) {
+            return this.send( socket, { type: 'error', message: `Unknown role "${role}"` } )
+        }
+
+        if( role === 'presenter' && !isValidKey( this.presenterKey, key ) ) {
+            this.send( socket, { type: 'error', message: 'Invalid presenter key' } )
+            return socket.close( 4001, 'Invalid presenter key' )
+        }
+
+        let code = normalizeRoomCode( room )
+
+        if( !code ) {
+            if( role !== 'presenter' ) return this.send( socket, { type: 'error', message: 'No room code' } )
+
+            do { code = createRoomCode() } while( this.rooms.has( code ) )
+        }
+
+        const existing = this.rooms.get( code )
+
+        if( role === 'remote' && !( existing && existing.remoteKey && isValidKey( existing.remoteKey, key ) ) ) {
+            this.send( socket, { type: 'error', message: 'Invalid pairing code' } )
+            return socket.close( 4001, 'Invalid pairing code' )
+        }
+
+        if( role === 'audience' && !existing ) {
+            return this.send( socket, { type: 'error', message: 'Unknown room' } )
+        }
+
+        // Rooms that viewers opened before a presenter joined have no
+        // token yet, the first presenter claims them
+        if( role === 'presenter' && existing && existing.token && !this.presenterKey && !isValidKey( existing.token, token ) ) {
+            this.send( socket, { type: 'error', message: 'Invalid presenter token' } )
+            return socket.close( 4001, 'Invalid presenter token' )
+        }
+
+        // Joining again, for example after the room code changed
+        this.leave( socket )
+
+        if( !this.rooms.has( code ) ) {
+            this.rooms.set( code, {
+                presenters: new Set(),
+                viewers: new Set(),
+                remotes: new Set(),
+                audience: new Set(),
+                state: null,
+                status: null,
+                poll: null,
+                remoteKey: null,
+                token: null
+            } )
+        }
+
+        const current = this.rooms.get( code )
+        current[ ROLES[ role ] ].add( socket )
+
+        // The first presenter decides which remotes may pair
+        if( role === 'presenter' && remoteKey && !current.remoteKey ) {
+            current.remoteKey = String( remoteKey )
+        }
+
+        if( role === 'presenter' && !current.token ) {
+            current.token = createToken()
+        }
+
+        socket.room = code
+        socket.role = role
+        socket.voter = role === 'audience' ? String( voter || createRoomCode() ).slice( 0, 64 ) : null
+
+        this.send( socket, {
+            type: 'joined',
+            room: code,
+            role,
+            viewers: current.viewers.size,
+            token: role === 'presenter' ? current.token : undefined
+        } )
+
+        if( role === 'viewer' && current.state ) {
+            this.send( socket, { type: 'state', state: current.state } )
+        }
+
+        if( role === 'remote' && current.status ) {
+            this.send( socket, { type: 'status', status: current.status } )
+        }
+
+        if( role === 'audience' ) {
+            this.send( socket, { type: 'poll', poll: current.poll } )
+        }
+
+        this.sendViewerCount( current )
+
+    }
+
+    leave( socket ) {
+
+        const current = this.rooms.get( socket.room )
+        if( !current ) return
+
+        current.presenters.delete( socket )
+        current.viewers.delete( socket )
+        current.remotes.delete( socket )
+        current.audience.delete( socket )
+
+        if( !current.presenters.size && !current.viewers.size && !current.remotes.size && !current.audience.size ) {
+            this.rooms.delete( socket.room )
+        }
+        else if( socket.role !== 'presenter' ) {
+            this.sendViewerCount( current )
+        }
+
+        socket.room = null
+        socket.role = null
+
+    }
+
+    broadcastState( socket, state ) {
+
+        const current = this.rooms.get( socket.room )
+
+        if( !current || socket.role !== 'presenter' ) {
+            return this.send( socket, { type: 'error', message: 'Only presenters can send state' } )
+        }
+
+        current.state = state
+        current.viewers.forEach( viewer => this.send( viewer, { type: 'state', state } ) )
+
+    }
+
+    broadcastStatus( socket, status ) {
+
+        const current = this.rooms.get( socket.room )
+
+        if( !current || socket.role !== 'presenter' ) {
+            return this.send( socket, { type: 'error', message: 'Only presenters can send status' } )
+        }
+
+        current.status = status
+        current.remotes.forEach( remote => this.send( remote, { type: 'status', status } ) )
+
+    }
+
+    forwardCommand( socket, { method, args } ) {
+
+        const current = this.rooms.get( socket.room )
+
+        if( !current || socket.role !== 'remote' ) {
+            return this.send( socket, { type: 'error', message: 'Only remotes can send commands' } )
+        }
+
+        const command = { type: 'command', method: String( method ), args: Array.isArray( args ) ? args : [] }
+        current.presenters.forEach( presenter => this.send( presenter, command ) )
+
+    }
+
+    broadcastPoll( socket, poll ) {
+
+        const current = this.rooms.get( socket.room )
+
+        if( !current || socket.role !== 'presenter' ) {
+            return this.send( socket, { type: 'error', message: 'Only presenters can send polls' } )
+        }
+
+        current.poll = poll || null
+        current.audience.forEach( member => this.send( member, { type: 'poll', poll: current.poll } ) )
+
+    }
+
+    forwardResponse( socket, { type, poll, option, text } ) {
+
+        const current = this.rooms.get( socket.room )
+
+        if( !current || socket.role !== 'audience' ) {
+            return this.send( socket, { type: 'error', message: 'Only the audience can vote' } )
+        }
+
+        const response = { type, poll: String( poll ), voter: socket.voter }
+
+        if( type === 'vote' ) response.option = option
+        else response.text = String( text || '' ).trim().slice( 0, MAX_QUESTION_LENGTH )
+
+        if( type === 'question' && !response.text ) return
+
+        current.presenters.forEach( presenter => this.send( presenter, response ) )
+
+    }
+
+    sendViewerCount( current ) {
+
+        const message = {
+            type: 'viewers',
+            count: current.viewers.size,
+            remotes: current.remotes.size,
+            audience: current.audience.size
+        }
+        current.presenters.forEach( presenter => this.send( presenter, message ) )
+
+    }
+
+    send( socket, message ) {
+
+        if( socket.readyState === socket.OPEN ) socket.send( JSON.stringify( message ) )
+
+    }
+
+    close() {
+
+        clearInterval( this.heartbeat )
+        this.wss.clients.forEach( socket => socket.terminate() )
+
+        return new Promise( resolve => this.wss.close( resolve ) )
+
+    }
+
+}
+
+module.exports = { SyncRelay, createRoomCode }
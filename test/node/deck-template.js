@@ -0,0 +1,105 @@
+// Tests for the slide partial templates (js/deck-template.js), run
+// with `gulp qunit-node`
+
+const template = require('../../js/deck-template.js')
+
+const client = {
+    name: 'Acme & Co',
+    tagline: '<em>Faster</em>',
+    contact: null,
+    kpis: [
+        { label: 'Orders', value: 50 },
+        { label: 'Returns', value: 2 }
+    ],
+    regions: { north: 'N', south: 'S' }
+}
+
+QUnit.module( 'Deck template', () => {
+
+    QUnit.test( 'Values are escaped', assert => {
+        assert.strictEqual( template.render( '<h1>{{ client.name }}</h1>', { client } ), '<h1>Acme &amp; Co</h1>' )
+        assert.strictEqual( template.render( '{{ value }}', { value: `<"'\`>` } ), '&lt;&quot;&#39;&#96;&gt;' )
+        assert.strictEqual( template.render( '{{ client.name }}', { client }, { escape: false } ), 'Acme & Co', 'unless escaping is off' )
+    } )
+
+    QUnit.test( 'Raw values', assert => {
+        assert.strictEqual( template.render( '{{{ client.tagline }}}', { client } ), '<em>Faster</em>' )
+        assert.strictEqual( template.render( '{{ client.tagline }}', { client } ), '&lt;em&gt;Faster&lt;/em&gt;' )
+    } )
+
+    QUnit.test( 'Helpers', assert => {
+        assert.strictEqual( template.render( '{{{ json client.regions }}}', { client } ), '{"north":"N","south":"S"}' )
+        assert.strictEqual( template.render( '{{ upper client.name }}', { client } ), 'ACME &amp; CO' )
+        assert.throws( () => template.render( '{{ shout client.name }}', { client } ), /Unknown helper "shout" on line 1/ )
+    } )
+
+    QUnit.test( 'Templates without tags are returned as they are', assert => {
+        const source = '<p>No placeholders</p>'
+        assert.strictEqual( template.render( source, {} ), source )
+    } )
+
+    QUnit.test( 'Comments are removed', assert => {
+        assert.strictEqual( template.render( 'a{{! note }}b', {} ), 'ab' )
+    } )
+
+    QUnit.test( 'if, unless and else', assert => {
+        assert.strictEqual( template.render( '{{#if client.name}}yes{{else}}no{{/if}}', { client } ), 'yes' )
+        assert.strictEqual( template.render( '{{#if client.contact}}yes{{else}}no{{/if}}', { client } ), 'no' )
+        assert.strictEqual( template.render( '{{#unless client.contact}}none{{/unless}}', { client } ), 'none' )
+        assert.strictEqual( template.render( '{{#unless client.name}}none{{else}}{{ client.name }}{{/unless}}', { client } ), 'Acme &amp; Co' )
+        assert.strictEqual( template.render( '{{#if list}}yes{{else}}empty{{/if}}', { list: [] } ), 'empty', 'empty lists are falsy' )
+    } )
+
+    QUnit.test( 'Nested else', assert => {
+        const source = '{{#if a}}{{#if b}}ab{{else}}a{{/if}}{{else}}{{#if b}}b{{else}}none{{/if}}{{/if}}'
+
+        assert.strictEqual( template.render( source, { a: true, b: true } ), 'ab' )
+        assert.strictEqual( template.render( source, { a: true, b: false } ), 'a' )
+        assert.strictEqual( template.render( source, { a: false, b: true } ), 'b' )
+        assert.strictEqual( template.render( source, { a: false, b: false } ), 'none' )
+    } )
+
+    QUnit.test( 'each', assert => {
+        const source = '{{#each client.kpis}}{{ label }}: {{ value }}{{#unless @last}}, {{/unless}}{{/each}}'
+        assert.strictEqual( template.render( source, { client } ), 'Orders: 50, Returns: 2' )
+
+        assert.strictEqual( template.render( '{{#each list}}{{ @index }}{{#if @first}}f{{/if}}{{#if @last}}l{{/if}} {{/each}}', { list: [ 'a', 'b', 'c' ] } ), '0f 1 2l ' )
+        assert.strictEqual( template.render( '{{#each list}}{{ this }}{{/each}}', { list: [ 'a', 'b' ] } ), 'ab' )
+        assert.strictEqual( template.render( '{{#each client.regions}}{{ @key }}={{ this }} {{/each}}', { client } ), 'north=N south=S ', 'objects' )
+        assert.strictEqual( template.render( '{{#each list}}x{{else}}empty{{/each}}', { list: [] } ), 'empty' )
+        assert.strictEqual( template.render( '{{#each client.kpis}}{{ label }} of {{ client.name }} {{/each}}', { client } ), 'Orders of Acme &amp; Co Returns of Acme &amp; Co ', 'enclosing data' )
+    } )
+
+    QUnit.test( 'Missing values', assert => {
+        assert.strictEqual( template.render( '[{{ client.fax }}]', { client } ), '[]', 'render as empty' )
+
+        assert.throws( () => template.render( 'a\n{{ client.fax }}', { client }, { strict: true } ), /Missing value "client.fax" on line 2/, 'strict' )
+
+        const missing = []
+        template.render( '{{ nope }}{{#if client.fax}}{{/if}}', { client }, { missing: ( path, line ) => missing.push( [ path, line ] ) } )
+        assert.deepEqual( missing, [ [ 'nope', 1 ], [ 'client.fax', 1 ] ], 'reported' )
+
+        assert.strictEqual( template.render( '{{ client.contact }}', { client }, { strict: true } ), '', 'null is not missing' )
+    } )
+
+    QUnit.test( 'Block errors', assert => {
+        assert.throws( () => template.render( '{{#if a}}\nopen', {} ), /Unclosed \{\{#if\}\} from line 1/ )
+        assert.throws( () => template.render( '{{#each a}}{{#if b}}{{/each}}', {} ), /Unexpected \{\{\/each\}\} on line 1/ )
+        assert.throws( () => template.render( 'a\n{{/if}}', {} ), /Unexpected \{\{\/if\}\} on line 2/ )
+        assert.throws( () => template.render( '{{else}}', {} ), /Unexpected \{\{else\}\} on line 1/ )
+        assert.throws( () => template.render( '{{#if a}}{{else}}{{else}}{{/if}}', {} ), /Unexpected \{\{else\}\}/ )
+        assert.throws( () => template.render( '{{#with a}}{{/with}}', {} ), /Unknown block \{\{#with\}\}/ )
+        assert.throws( () => template.render( '{{#if}}{{/if}}', {} ), /\{\{#if\}\} without a value/ )
+    } )
+
+    QUnit.test( 'Language paths', assert => {
+        assert.deepEqual( template.getLanguageChain( 'de-AT' ), [ 'de-AT', 'de' ] )
+        assert.deepEqual( template.getLanguageChain( '' ), [] )
+        assert.strictEqual( template.localizePath( 'slides/slide3.html', 'de' ), 'slides/slide3.de.html' )
+        assert.strictEqual( template.localizePath( 'slide3.md?v=1', 'de' ), 'slide3.de.md?v=1' )
+        assert.strictEqual( template.resolveStringsPath( 'locales/{lang}.json', 'fr' ), 'locales/fr.json' )
+        assert.strictEqual( template.resolveProfilePath( 'acme' ), 'clients/acme.json' )
+        assert.strictEqual( template.resolveProfilePath( 'other/acme.json' ), 'other/acme.json' )
+    } )
+
+} )
@@ -0,0 +1,177 @@
+// Tests for the sync relay (tasks/relay.js), run with `gulp qunit-node`
+
+const WebSocket = require('ws')
+const { SyncRelay } = require('../../tasks/relay.js')
+
+// Opens a socket to the relay that queues the messages it receives
+function connect( relay ) {
+
+    const socket = new WebSocket( `ws://127.0.0.1:${relay.wss.address().port}` )
+    const messages = []
+    const waiting = []
+
+    socket.on( 'message', data => {
+        const message = JSON.parse( data )
+        if( waiting.length ) waiting.shift()( message )
+        else messages.push( message )
+    } )
+
+    // Resolves with the next message
+    socket.next = () => messages.length ? Promise.resolve( messages.shift() ) : new Promise( resolve => waiting.push( resolve ) )
+
+    // Resolves with the code the socket is closed with
+    socket.closed = new Promise( resolve => socket.on( 'close', code => resolve( code ) ) )
+
+    socket.join = async message => {
+        socket.send( JSON.stringify( { type: 'join', ...message } ) )
+        return socket.next()
+    }
+
+    return new Promise( resolve => socket.on( 'open', () => resolve( socket ) ) )
+
+}
+
+function startRelay( options = {} ) {
+
+    const relay = new SyncRelay( { port: 0, host: '127.0.0.1', ...options } )
+    return new Promise( resolve => relay.wss.on( 'listening', () => resolve( relay ) ) )
+
+}
+
+QUnit.module( 'Relay', hooks => {
+
+    let relay
+
+    hooks.beforeEach( async () => {
+        relay = await startRelay()
+    } )
+
+    hooks.afterEach( () => relay.close() )
+
+    QUnit.test( 'Presenters get a new room and a token', async assert => {
+        const presenter = await connect( relay )
+        const joined = await presenter.join( { role: 'presenter' } )
+
+        assert.strictEqual( joined.type, 'joined' )
+        assert.ok( /^[A-Z0-9]{6}$/.test( joined.room ), 'room code' )
+        assert.ok( joined.token, 'token' )
+    } )
+
+    QUnit.test( 'Presenters can only join an existing room with its token', async assert => {
+        const presenter = await connect( relay )
+        const { room, token } = await presenter.join( { role: 'presenter' } )
+
+        const intruder = await connect( relay )
+        const rejected = await intruder.join( { role: 'presenter', room } )
+
+        assert.deepEqual( rejected, { type: 'error', message: 'Invalid presenter token' } )
+        assert.strictEqual( await intruder.closed, 4001, 'closed as unauthorized' )
+
+        const guesser = await connect( relay )
+        await guesser.join( { role: 'presenter', room, token: 'wrong' } )
+        assert.strictEqual( await guesser.closed, 4001, 'wrong token' )
+
+        const other = await connect( relay )
+        const joined = await other.join( { role: 'presenter', room, token } )
+
+        assert.strictEqual( joined.type, 'joined' )
+        assert.strictEqual( joined.room, room )
+        assert.strictEqual( joined.token, token )
+    } )
+
+    QUnit.test( 'Viewers and the audience get no token and cannot send state or polls', async assert => {
+        const presenter = await connect( relay )
+        const { room } = await presenter.join( { role: 'presenter' } )
+
+        const viewer = await connect( relay )
+        const joined = await viewer.join( { role: 'viewer', room } )
+        assert.strictEqual( joined.token, undefined, 'no token for viewers' )
+
+        viewer.send( JSON.stringify( { type: 'state', state: { indexh: 3 } } ) )
+        assert.deepEqual( await viewer.next(), { type: 'error', message: 'Only presenters can send state' } )
+
+        const member = await connect( relay )
+        const audience = await member.join( { role: 'audience', room } )
+        assert.strictEqual( audience.token, undefined, 'no token for the audience' )
+        await member.next()
+
+        member.send( JSON.stringify( { type: 'poll', poll: { id: 'fake' } } ) )
+        assert.deepEqual( await member.next(), { type: 'error', message: 'Only presenters can send polls' } )
+    } )
+
+    QUnit.test( 'The first presenter claims a room that viewers opened', async assert => {
+        const viewer = await connect( relay )
+        await viewer.join( { role: 'viewer', room: 'ABC234' } )
+
+        const presenter = await connect( relay )
+        const joined = await presenter.join( { role: 'presenter', room: 'ABC234' } )
+        assert.strictEqual( joined.type, 'joined' )
+        assert.ok( joined.token, 'token' )
+
+        const intruder = await connect( relay )
+        await intruder.join( { role: 'presenter', room: 'ABC234' } )
+        assert.strictEqual( await intruder.closed, 4001, 'room is claimed' )
+    } )
+
+    QUnit.test( 'Remotes need the pairing key', async assert => {
+        const presenter = await connect( relay )
+        const { room } = await presenter.join( { role: 'presenter', remoteKey: 'secret' } )
+
+        const stranger = await connect( relay )
+        assert.deepEqual( await stranger.join( { role: 'remote', room, key: 'guess' } ), { type: 'error', message: 'Invalid pairing code' } )
+        assert.strictEqual( await stranger.closed, 4001 )
+
+        const remote = await connect( relay )
+        const joined = await remote.join( { role: 'remote', room, key: 'secret' } )
+        assert.strictEqual( joined.type, 'joined' )
+        assert.strictEqual( joined.token, undefined, 'no token for remotes' )
+    } )
+
+    QUnit.test( 'Later presenters cannot change the pairing key', async assert => {
+        const presenter = await connect( relay )
+        const { room, token } = await presenter.join( { role: 'presenter', remoteKey: 'first' } )
+
+        const other = await connect( relay )
+        await other.join( { role: 'presenter', room, token, remoteKey: 'second' } )
+
+        const remote = await connect( relay )
+        await remote.join( { role: 'remote', room, key: 'second' } )
+        assert.strictEqual( await remote.closed, 4001 )
+    } )
+
+    QUnit.test( 'The audience can only join existing rooms', async assert => {
+        const member = await connect( relay )
+        assert.deepEqual( await member.join( { role: 'audience', room: 'NOROOM' } ), { type: 'error', message: 'Unknown room' } )
+        assert.deepEqual( await member.join( { role: 'audience' } ), { type: 'error', message: 'No room code' } )
+    } )
+
+} )
+
+QUnit.module( 'Relay with a presenter key', hooks => {
+
+    let relay
+
+    hooks.beforeEach( async () => {
+        relay = await startRelay( { presenterKey: 'letmein' } )
+    } )
+
+    hooks.afterEach( () => relay.close() )
+
+    QUnit.test( 'Presenters need the key to join', async assert => {
+        const presenter = await connect( relay )
+        assert.deepEqual( await presenter.join( { role: 'presenter', key: 'wrong' } ), { type: 'error', message: 'Invalid presenter key' } )
+        assert.strictEqual( await presenter.closed, 4001 )
+    } )
+
+    QUnit.test( 'The key lets presenters join existing rooms without the token', async assert => {
+        const presenter = await connect( relay )
+        const { room } = await presenter.join( { role: 'presenter', key: 'letmein' } )
+
+        const other = await connect( relay )
+        const joined = await other.join( { role: 'presenter', room, key: 'letmein' } )
+
+        assert.strictEqual( joined.type, 'joined' )
+        assert.strictEqual( joined.room, room )
+    } )
+
+} )